@@ -0,0 +1,2 @@
+export function buildReport(options?: any): Promise<string>;
+export function buildTimeSeries(path: string, options?: any): Promise<any>;
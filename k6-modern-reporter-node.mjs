@@ -0,0 +1,425 @@
+/**
+ * Companion report builder for k6-modern-reporter (Node.js only)
+ *
+ * handleSummary only receives end-of-test aggregates. This module reads the samples that
+ * `k6 run --out json=results.json` or `--out csv=results.csv` writes (gzipped files too),
+ * buckets them into time series and renders the HTML report with a Timeline tab.
+ * Files are streamed line by line and every bucket keeps a histogram instead of the raw samples,
+ * so memory depends on the run duration and bucket size, not on the size of the results file.
+ *
+ * Usage:
+ *   node k6-modern-reporter-node.mjs --summary summary.json --results results.json [--out report.html]
+ *                                   [--bucket 10s] [--format json|csv] [--title "..."] [--subtitle "..."] [--theme dark]
+ */
+
+import { createReadStream, readFileSync, realpathSync, writeFileSync } from 'fs';
+import { createInterface } from 'readline';
+import { pipeline } from 'stream';
+import { createGunzip } from 'zlib';
+import { fileURLToPath } from 'url';
+import { htmlReport } from './k6-modern-reporter.js';
+
+/**
+ * Bucket size used when options.bucketSize is not set
+ */
+const DEFAULT_BUCKET_SIZE = '10s';
+
+/**
+ * Relative precision of the latency histograms: p95 estimates are at most 1% above the exact value
+ */
+const HISTOGRAM_PRECISION = 0.01;
+
+/**
+ * Maximum number of points in a time series: when the run spans more buckets,
+ * neighbouring buckets are merged so the report stays small and fast to render
+ */
+const MAX_POINTS = 1000;
+
+/**
+ * The k6 metrics the time series are built from
+ */
+const SERIES_METRICS = ['http_reqs', 'http_req_duration', 'http_req_failed', 'vus'];
+
+/**
+ * Entry point for building the HTML report from the summary and k6's JSON or CSV output
+ *
+ * @param {Object} options - Configuration options, plus any htmlReport option (title, theme, verdict, ...)
+ * @param {Object|string} options.summary - handleSummary data, or the path of a file holding it as JSON
+ *                                          (e.g. written by handleSummary as 'summary.json': JSON.stringify(data))
+ * @param {string} options.results - Path of the file written by `--out json=...` or `--out csv=...` (may end in .gz)
+ * @param {string} options.format - 'json' or 'csv' (defaults to the file extension)
+ * @param {string|number} options.bucketSize - Width of a time bucket, e.g. '1s', '10s', '1m' or milliseconds (defaults to '10s')
+ * @param {string} options.output - If set, the report is also written to this path
+ * @returns {Promise<string>} Complete HTML document as a string
+ */
+export async function buildReport(options = {}) {
+    const summary = typeof options.summary === 'string'
+        ? JSON.parse(readFileSync(options.summary, 'utf8'))
+        : options.summary;
+    if (!summary || !summary.metrics) {
+        throw new Error('[k6-reporter-modern] The summary has no metrics, pass the handleSummary data or its JSON file');
+    }
+
+    const timeSeries = options.results ? await buildTimeSeries(options.results, options) : undefined;
+    const html = htmlReport(summary, Object.assign({}, options, { timeSeries }));
+
+    if (options.output) {
+        writeFileSync(options.output, html);
+        console.log(`[k6-reporter-modern] Report written to ${options.output}`);
+    }
+    return html;
+}
+
+/**
+ * Stream k6's JSON or CSV output into time series of request rate, p95 latency, error rate and VUs
+ *
+ * @param {string} path - Path of the results file (may end in .gz)
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - 'json' or 'csv' (defaults to the file extension)
+ * @param {string|number} options.bucketSize - Width of a time bucket (defaults to '10s')
+ * @returns {Promise<Object>} Time series for the htmlReport timeSeries option
+ */
+export async function buildTimeSeries(path, options = {}) {
+    const format = options.format || (/\.csv(\.gz)?$/i.test(path) ? 'csv' : 'json');
+    const bucketMs = parseBucketSize(options.bucketSize);
+    const buckets = new Map();
+    // First and last bucket index, tracked while streaming so no list of all indexes is needed
+    const range = { first: Infinity, last: -Infinity };
+    let parseLine = parseJsonLine;
+
+    console.log(`[k6-reporter-modern] Reading ${format.toUpperCase()} results from ${path}`);
+
+    if (format === 'csv') {
+        let columns = null;
+        parseLine = line => {
+            if (!columns) {
+                columns = parseCsvHeader(line);
+                return null;
+            }
+            return parseCsvLine(line, columns);
+        };
+    }
+
+    // Unlike .pipe(), pipeline passes file errors on to gunzip. The readline iterator of some
+    // Node versions ends without rejecting on them, so the error is kept and thrown after the loop
+    const source = createReadStream(path);
+    const input = /\.gz$/i.test(path) ? pipeline(source, createGunzip(), () => {}) : source;
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    let readError = null;
+    input.on('error', error => {
+        readError = error;
+        lines.close();
+    });
+    for await (const line of lines) {
+        const sample = parseLine(line);
+        if (sample) {
+            const index = addSample(buckets, bucketMs, sample);
+            range.first = Math.min(range.first, index);
+            range.last = Math.max(range.last, index);
+        }
+    }
+    if (readError) {
+        throw readError;
+    }
+
+    return summarizeBuckets(buckets, bucketMs, range);
+}
+
+/**
+ * Parse a bucket size such as '500ms', '10s', '1m' or '1h', or a number of milliseconds
+ *
+ * @param {string|number} size - The bucketSize option
+ * @returns {number} Bucket size in milliseconds
+ */
+function parseBucketSize(size) {
+    if (size === undefined) {
+        return parseBucketSize(DEFAULT_BUCKET_SIZE);
+    }
+    if (typeof size === 'number' && size > 0) {
+        return size;
+    }
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(size).trim());
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    if (!match || !(parseFloat(match[1]) > 0)) {
+        console.warn(`[k6-reporter-modern] Ignoring invalid bucket size "${size}", using ${DEFAULT_BUCKET_SIZE}`);
+        return parseBucketSize(DEFAULT_BUCKET_SIZE);
+    }
+    return parseFloat(match[1]) * units[match[2]];
+}
+
+/**
+ * Parse a timestamp of k6's output: RFC 3339 (nanosecond fractions are cut to milliseconds)
+ * or a Unix time in seconds, milliseconds, microseconds or nanoseconds (CSV timeFormat option)
+ *
+ * @param {string} value - Timestamp
+ * @returns {number} Milliseconds since the epoch, NaN if the timestamp cannot be read
+ */
+function parseTimestamp(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const number = parseFloat(value);
+        return number > 1e17 ? number / 1e6 : number > 1e14 ? number / 1e3 : number > 1e11 ? number : number * 1000;
+    }
+    return Date.parse(value.replace(/(\.\d{3})\d+/, '$1'));
+}
+
+/**
+ * Read a sample from a line of k6's JSON output ({"type":"Point","metric":...,"data":{"time","value"}})
+ * Lines of other types and metrics are skipped before the JSON is parsed
+ *
+ * @param {string} line - Line of the results file
+ * @returns {Object|null} Sample with metric, time and value, or null if the line is not needed
+ */
+function parseJsonLine(line) {
+    if (line.indexOf('"type":"Point"') === -1) {
+        return null;
+    }
+    const match = /"metric":"([^"]+)"/.exec(line);
+    if (!match || SERIES_METRICS.indexOf(match[1]) === -1) {
+        return null;
+    }
+
+    let point;
+    try {
+        point = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    if (!point.data || SERIES_METRICS.indexOf(point.metric) === -1) {
+        return null;
+    }
+    const time = parseTimestamp(String(point.data.time));
+    return isNaN(time) ? null : { metric: point.metric, time, value: Number(point.data.value) };
+}
+
+/**
+ * Find the metric name, timestamp and value columns in the header of k6's CSV output
+ *
+ * @param {string} line - Header line
+ * @returns {Object} Column indexes
+ */
+function parseCsvHeader(line) {
+    const names = splitCsvLine(line);
+    return {
+        metric: names.indexOf('metric_name'),
+        time: names.indexOf('timestamp'),
+        value: names.indexOf('metric_value'),
+    };
+}
+
+/**
+ * Read a sample from a line of k6's CSV output
+ * The metric name is checked before the rest of the line is split
+ *
+ * @param {string} line - Line of the results file
+ * @param {Object} columns - Column indexes from parseCsvHeader
+ * @returns {Object|null} Sample with metric, time and value, or null if the line is not needed
+ */
+function parseCsvLine(line, columns) {
+    if (columns.metric === 0 && SERIES_METRICS.indexOf(line.slice(0, line.indexOf(','))) === -1) {
+        return null;
+    }
+    const fields = splitCsvLine(line);
+    if (SERIES_METRICS.indexOf(fields[columns.metric]) === -1) {
+        return null;
+    }
+    const time = parseTimestamp(fields[columns.time] || '');
+    const value = parseFloat(fields[columns.value]);
+    return isNaN(time) || isNaN(value) ? null : { metric: fields[columns.metric], time, value };
+}
+
+/**
+ * Split a CSV line into fields, handling quoted fields with commas and doubled quotes
+ *
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Add a sample to the bucket of its time
+ * Latencies go into a histogram of logarithmic bins keyed by bin index, so a bucket's memory
+ * is bounded by the range of its latencies rather than by the number of requests
+ *
+ * @param {Map} buckets - Buckets keyed by their index since the epoch
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @param {Object} sample - Sample with metric, time and value
+ * @returns {number} Index of the bucket the sample went into
+ */
+function addSample(buckets, bucketMs, sample) {
+    const index = Math.floor(sample.time / bucketMs);
+    let bucket = buckets.get(index);
+    if (!bucket) {
+        bucket = createBucket();
+        buckets.set(index, bucket);
+    }
+
+    if (sample.metric === 'http_reqs') {
+        bucket.requests += sample.value;
+    } else if (sample.metric === 'http_req_failed') {
+        bucket.failed += sample.value;
+        bucket.failedSamples++;
+    } else if (sample.metric === 'http_req_duration') {
+        const bin = sample.value > 0 ? Math.ceil(Math.log(sample.value) / Math.log(1 + HISTOGRAM_PRECISION)) : -Infinity;
+        bucket.latencies.set(bin, (bucket.latencies.get(bin) || 0) + 1);
+        bucket.latencySamples++;
+    } else if (sample.metric === 'vus') {
+        bucket.vus = Math.max(bucket.vus === null ? 0 : bucket.vus, sample.value);
+    }
+    return index;
+}
+
+/**
+ * Create an empty bucket
+ *
+ * @returns {Object} Bucket with request, failure, latency histogram and VU fields
+ */
+function createBucket() {
+    return { requests: 0, failed: 0, failedSamples: 0, latencies: new Map(), latencySamples: 0, vus: null };
+}
+
+/**
+ * Add the samples of one bucket to another, e.g. when neighbouring buckets are merged
+ *
+ * @param {Object} target - Bucket that receives the samples
+ * @param {Object} bucket - Bucket whose samples are added
+ */
+function mergeBucket(target, bucket) {
+    target.requests += bucket.requests;
+    target.failed += bucket.failed;
+    target.failedSamples += bucket.failedSamples;
+    for (let [bin, count] of bucket.latencies) {
+        target.latencies.set(bin, (target.latencies.get(bin) || 0) + count);
+    }
+    target.latencySamples += bucket.latencySamples;
+    if (bucket.vus !== null) {
+        target.vus = Math.max(target.vus === null ? 0 : target.vus, bucket.vus);
+    }
+}
+
+/**
+ * Estimate a percentile from a latency histogram, using the upper bound of the bin it falls in
+ *
+ * @param {Map} latencies - Sample counts keyed by bin index
+ * @param {number} samples - Total number of samples
+ * @param {number} rank - Percentile rank (0-100)
+ * @returns {number} Estimated percentile in milliseconds
+ */
+function histogramPercentile(latencies, samples, rank) {
+    const bins = Array.from(latencies.keys()).sort((a, b) => a - b);
+    const target = Math.ceil(samples * rank / 100);
+    let seen = 0;
+    for (let bin of bins) {
+        seen += latencies.get(bin);
+        if (seen >= target) {
+            return bin === -Infinity ? 0 : Math.pow(1 + HISTOGRAM_PRECISION, bin);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Turn the buckets into time series points, filling buckets without samples from the first to the last
+ * When the run spans more than MAX_POINTS buckets (a long run, a small bucket size or a stray
+ * timestamp), neighbouring buckets are merged into wider ones first
+ *
+ * @param {Map} buckets - Buckets keyed by their index since the epoch
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @param {Object} range - First and last bucket index
+ * @returns {Object} Time series with bucketMs, start (ISO time) and points
+ */
+function summarizeBuckets(buckets, bucketMs, range) {
+    if (buckets.size === 0) {
+        console.warn('[k6-reporter-modern] The results file has no HTTP or VU samples');
+        return { bucketMs, start: null, points: [] };
+    }
+
+    const first = range.first;
+    const factor = Math.ceil((range.last - first + 1) / MAX_POINTS);
+    let merged = buckets;
+    if (factor > 1) {
+        console.log(`[k6-reporter-modern] The run spans ${range.last - first + 1} buckets, merging every ${factor} to keep ${MAX_POINTS} points at most`);
+        merged = new Map();
+        for (let [index, bucket] of buckets) {
+            const group = first + Math.floor((index - first) / factor) * factor;
+            if (!merged.has(group)) {
+                merged.set(group, createBucket());
+            }
+            mergeBucket(merged.get(group), bucket);
+        }
+    }
+
+    const width = bucketMs * factor;
+    const points = [];
+    for (let index = first; index <= range.last; index += factor) {
+        const bucket = merged.get(index);
+        points.push({
+            time: (index - first) * bucketMs,
+            requests: bucket ? bucket.requests : 0,
+            requestRate: bucket ? bucket.requests / (width / 1000) : 0,
+            p95: bucket && bucket.latencySamples > 0 ? histogramPercentile(bucket.latencies, bucket.latencySamples, 95) : null,
+            errorRate: bucket && bucket.failedSamples > 0 ? bucket.failed / bucket.failedSamples : null,
+            vus: bucket ? bucket.vus : null,
+        });
+    }
+
+    return { bucketMs: width, start: new Date(first * bucketMs).toISOString(), points };
+}
+
+/**
+ * Read the command line options (--summary, --results, --out, --bucket, --format, --title, --subtitle, --theme)
+ *
+ * @param {string[]} args - Command line arguments after the script path
+ * @returns {Object} Options for buildReport
+ */
+function parseArgs(args) {
+    const names = { summary: 'summary', results: 'results', out: 'output', bucket: 'bucketSize', format: 'format', title: 'title', subtitle: 'subtitle', theme: 'theme' };
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const name = names[args[i].replace(/^--/, '')];
+        if (!name || args[i + 1] === undefined) {
+            throw new Error(`[k6-reporter-modern] Unknown or incomplete option "${args[i]}"`);
+        }
+        options[name] = args[i + 1];
+    }
+    return options;
+}
+
+// Command line use: node k6-modern-reporter-node.mjs --summary summary.json --results results.json
+if (process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(process.argv[1])) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (!options.summary) {
+            throw new Error('[k6-reporter-modern] Missing --summary <file>');
+        }
+        await buildReport(Object.assign({ output: 'report.html' }, options));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
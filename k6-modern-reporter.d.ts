@@ -1 +1,6 @@
-export function htmlReport(data: any, options?: any): any;
\ No newline at end of file
+export function htmlReport(data: any, options?: any): any;
+export function jsonReport(data: any, options?: any): any;
+export function junitReport(data: any, options?: any): any;
+export function markdownReport(data: any, options?: any): any;
+export function aggregateReport(summaries: any[], options?: any): any;
+export function historyReport(entries: any[], options?: any): any;
\ No newline at end of file
@@ -8,6 +8,25 @@
  * - Visual charts and progress bars
  * - Detailed metrics, checks, and threshold reporting
  * - Support for custom test information
+ * - Machine-readable JSON export of the computed report model
+ * - JUnit XML export of thresholds and checks for CI systems
+ * - Markdown summary for pull-request comments and CI job summaries
+ * - Self-contained output with inline SVG icons (no external requests)
+ * - Light, dark and automatic themes, plus custom branding themes
+ * - Web Vitals section for k6/browser runs
+ * - WebSocket and gRPC sections for non-HTTP test runs
+ * - Inline SVG latency distribution charts (box plot and percentile ladders)
+ * - Apdex and error budget scoring against service level objectives
+ * - Configurable pass/fail verdict policy with a WARN state for near-miss thresholds
+ * - Sortable tables, per-tab search and "failed only" filters
+ * - Deep links: tab, filters and expanded rows in the URL hash, with copy-link buttons
+ * - Print / PDF stylesheet and a print-first layout option
+ * - Timeline charts of request rate, p95 latency, error rate and VUs from k6's JSON/CSV output
+ *   (built by the companion k6-modern-reporter-node.mjs)
+ * - One combined report of several k6 summaries (e.g. per load generator) with a per-source breakdown
+ * - History index page with trend lines across runs and rolling-median regression flags
+ * - Insights: ranked, rule-based hints on bottlenecks and anomalies, extensible with custom rules
+ * - HTTP status class and k6 error code breakdown from {status:...} and {error_code:...} sub-metrics
  */
 
 /**
@@ -19,6 +38,29 @@
  * @param {string} options.subtitle - Subtitle or endpoint description
  * @param {string} options.httpMethod - HTTP method (GET, POST, PUT, DELETE, etc.)
  * @param {Object} options.additionalInfo - Key-value pairs of additional test information to display
+ * @param {Object} options.k6Options - The test script's exported k6 `options` object (used to detect abortOnFail thresholds
+ *                                     and to show each scenario's executor configuration)
+ * @param {string|Object} options.theme - 'light' (default), 'dark', 'auto' (follows the system setting),
+ *                                       or a custom theme object ({ base, colors, logo }, see THEMES)
+ * @param {boolean} options.selfContained - If false, loads Font Awesome from its CDN instead of inlining SVG icons (defaults to true)
+ * @param {boolean} options.footerLinks - If false, leaves the documentation and GitHub links out of the footer (defaults to true)
+ * @param {Object|string} options.baseline - A previous run's summary (handleSummary data or its JSON export) to compare against
+ * @param {number|Object} options.baselineTolerance - Allowed change in percent before a difference counts as a regression,
+ *                                                    either one number or per-metric values ({ default: 5, http_req_duration: 10 })
+ * @param {string|Function} options.verdict - Pass/fail policy: 'all' (default: no failed HTTP request, check or threshold),
+ *                                           'checks+thresholds', 'thresholds' (matches k6's exit code) or a predicate
+ *                                           (stats, data) => boolean over the jsonReport stats
+ * @param {boolean} options.printLayout - If true, produces a static print-first document: every tab laid out in order
+ *                                      with a table of contents, all groups expanded and no script (defaults to false)
+ * @param {Object} options.slo - Service level objectives to score the run against:
+ *                              { latency: { http_req_duration: 500 } (Apdex T in ms per metric or sub-metric),
+ *                                apdex: 0.85 (minimum Apdex score), availability: 99.9 (percent), window: '30d' (error budget window) }
+ * @param {Array|Object|boolean} options.insights - Custom Insights rules ({ id, title, check: (stats, data) => finding(s) or null }),
+ *                                               either as an array added to the built-in rules or as { rules, disable: [ids] };
+ *                                               false leaves the Insights tab out (see INSIGHT_RULES)
+ * @param {Object} options.timeSeries - Time series for the Timeline tab, as built by buildTimeSeries in k6-modern-reporter-node.mjs:
+ *                                     { bucketMs, start (ISO time), points: [{ time (ms since start), requests, requestRate,
+ *                                       p95 (ms), errorRate (0-1), vus }] }, with null where a bucket has no samples
  * @param {boolean} options.debug - If true, logs the raw k6 data to console
  * @returns {string} Complete HTML document as a string
  */
@@ -41,7 +83,280 @@ export function htmlReport(data, options = {}) {
     const stats = calculateStats(data);
     
     // Generate and return the complete HTML report
-    return generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, stats);
+    return generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, stats, options);
+}
+
+/**
+ * Entry point for generating a JSON report
+ * Returns the same numbers the HTML report is built from as a stable, versioned document
+ * (see REPORT_SCHEMA and REPORT_SCHEMA_VERSION), so dashboards do not need to scrape the HTML
+ * 
+ * @param {Object} data - The k6 test results data object containing metrics, checks, thresholds, etc.
+ * @param {Object} options - Configuration options, the same as for htmlReport
+ * @param {number} options.indent - Number of spaces used to indent the JSON (defaults to 2, 0 for compact output)
+ * @returns {string} JSON document as a string
+ */
+export function jsonReport(data, options = {}) {
+    console.log("[k6-reporter-modern] Generating JSON summary report");
+
+    const indent = options.indent === undefined ? 2 : options.indent;
+    return JSON.stringify(buildReportModel(data, options), null, indent || undefined);
+}
+
+/**
+ * Entry point for generating a JUnit XML report
+ * Every threshold becomes a test case in a test suite per metric, and every check
+ * a test case in a test suite per k6 group, so CI systems show them as native test results
+ * 
+ * @param {Object} data - The k6 test results data object containing metrics, checks, thresholds, etc.
+ * @param {Object} options - Configuration options for the report
+ * @param {string} options.name - Name of the <testsuites> element (defaults to options.title or "k6")
+ * @param {Object} options.k6Options - The test script's exported k6 `options` object (used to detect abortOnFail thresholds)
+ * @returns {string} JUnit XML document as a string
+ */
+export function junitReport(data, options = {}) {
+    console.log("[k6-reporter-modern] Generating JUnit XML summary report");
+
+    const suites = [];
+
+    // One test suite per metric with thresholds
+    const thresholdSuites = {};
+    for (let result of evaluateThresholds(data, options.k6Options)) {
+        if (!thresholdSuites[result.metric]) {
+            thresholdSuites[result.metric] = { name: `thresholds: ${result.metric}`, classname: `k6.thresholds.${result.metric}`, cases: [] };
+            suites.push(thresholdSuites[result.metric]);
+        }
+        const metric = data.metrics[result.metric];
+        const testCase = { name: result.expression };
+        if (!result.ok) {
+            const observed = result.observed !== null
+                ? `${result.stat}=${formatStatValue(result.observed, metric, result.stat)}, limit ${result.operator} ${formatStatValue(result.limit, metric, result.stat)}`
+                : `${result.stat || 'value'} not available in the summary`;
+            testCase.failure = {
+                type: 'threshold',
+                message: `Threshold ${result.expression} on ${result.metric} failed: ${observed}`,
+                details: `metric: ${result.metric}\nthreshold: ${result.expression}\nobserved: ${observed}${result.abortOnFail ? '\nabortOnFail: true' : ''}`,
+            };
+        }
+        thresholdSuites[result.metric].cases.push(testCase);
+    }
+
+    // One test suite per group with checks
+    walkGroups(data.root_group, (group, parentNames) => {
+        if (!group.checks || group.checks.length === 0) {
+            return;
+        }
+        const names = group.name ? parentNames.concat(group.name) : parentNames;
+        const suite = {
+            name: names.length > 0 ? `checks: ${names.join(' › ')}` : 'checks',
+            classname: ['k6', 'checks'].concat(names).join('.'),
+            cases: [],
+        };
+        for (let check of group.checks) {
+            const passes = parseInt(check.passes || 0);
+            const fails = parseInt(check.fails || 0);
+            const testCase = { name: check.name };
+            if (fails > 0) {
+                testCase.failure = {
+                    type: 'check',
+                    message: `Check "${check.name}" failed ${fails} of ${passes + fails} times`,
+                    details: `passes: ${passes}\nfails: ${fails}\npath: ${check.path || check.name}`,
+                };
+            }
+            suite.cases.push(testCase);
+        }
+        suites.push(suite);
+    });
+
+    const state = data.state || {};
+    const time = typeof state.testRunDurationMs === 'number' ? (state.testRunDurationMs / 1000).toFixed(3) : '0';
+    const countFailures = cases => cases.filter(testCase => testCase.failure).length;
+    const totalTests = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+    const totalFailures = suites.reduce((sum, suite) => sum + countFailures(suite.cases), 0);
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<testsuites name="${escapeXml(options.name || options.title || 'k6')}" tests="${totalTests}" failures="${totalFailures}" errors="0" time="${time}">\n`;
+    for (let suite of suites) {
+        xml += `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${countFailures(suite.cases)}" errors="0" skipped="0">\n`;
+        for (let testCase of suite.cases) {
+            xml += `    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(suite.classname)}"`;
+            if (!testCase.failure) {
+                xml += ' />\n';
+                continue;
+            }
+            xml += '>\n';
+            xml += `      <failure type="${testCase.failure.type}" message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.details)}</failure>\n`;
+            xml += '    </testcase>\n';
+        }
+        xml += '  </testsuite>\n';
+    }
+    xml += '</testsuites>\n';
+
+    return xml;
+}
+
+/**
+ * Entry point for generating a Markdown (GitHub Flavored Markdown) summary
+ * Suited for pull-request comments and $GITHUB_STEP_SUMMARY: a status headline, the key
+ * stats, the thresholds, the failed checks and optionally the full metrics, truncated
+ * section by section so the output stays below options.maxLength
+ * 
+ * @param {Object} data - The k6 test results data object containing metrics, checks, thresholds, etc.
+ * @param {Object} options - Configuration options for the report
+ * @param {string} options.title - Title shown below the headline
+ * @param {boolean} options.details - If false, leaves out the collapsible full metrics tables (defaults to true)
+ * @param {number} options.maxLength - Maximum length of the output in characters (defaults to GitHub's comment limit)
+ * @param {Object} options.k6Options - The test script's exported k6 `options` object (used to detect abortOnFail thresholds)
+ * @param {string|Function} options.verdict - Pass/fail policy, as in htmlReport
+ * @returns {string} Markdown document as a string
+ */
+export function markdownReport(data, options = {}) {
+    console.log("[k6-reporter-modern] Generating Markdown summary report");
+
+    const stats = calculateStats(data);
+    const maxLength = options.maxLength || GITHUB_COMMENT_LIMIT;
+    const verdict = decideVerdict(data, stats, options);
+
+    // Headline and key stats are always included
+    let head = `## ${VERDICT_STATUSES[verdict.status].emoji} k6 Performance Test Report: ${VERDICT_STATUSES[verdict.status].word}\n\n`;
+    if (options.title) {
+        head += `**${escapeMarkdown(options.title)}**\n\n`;
+    }
+    head += `${escapeMarkdown(describeVerdict(verdict))}\n\n`;
+    head += '| Stat | Value | Details |\n| --- | --- | --- |\n';
+    const protocols = detectProtocols(data).filter(protocol => protocol.id !== 'http');
+    if (stats.protocols.indexOf('http') !== -1 || protocols.length === 0) {
+        head += `| Total Requests | ${stats.totalRequests.toLocaleString()} | ${stats.successfulRequests.toLocaleString()} successful |\n`;
+        head += `| Success Rate | ${stats.successRate}% | ${stats.failedRequests} failed requests |\n`;
+        head += `| Avg Response Time | ${stats.avgResponseTime}ms | P95: ${stats.p95ResponseTime}ms |\n`;
+    }
+    for (let protocol of protocols) {
+        for (let card of buildProtocolCards(data, protocol)) {
+            head += `| ${protocol.title} ${card.label} | ${card.value} | ${card.details} |\n`;
+        }
+    }
+    head += `| Virtual Users | ${stats.maxVUs} | Average: ${stats.avgVUs} VUs |\n`;
+    head += `| Checks | ${stats.totalChecks} | ${stats.checkPasses} passed / ${stats.checkFailures} failed |\n`;
+    head += `| Thresholds | ${stats.thresholdFailures} breached | of ${stats.thresholdCount} |\n`;
+
+    // Sections are listed in document order; lower priority sections are truncated first
+    const sections = [];
+
+    const thresholds = evaluateThresholds(data, options.k6Options);
+    if (thresholds.length > 0) {
+        sections.push({
+            priority: 1,
+            title: 'Thresholds',
+            header: '\n### Thresholds\n\n| | Metric | Threshold | Observed | Limit |\n| --- | --- | --- | --- | --- |\n',
+            rows: thresholds.map(result => {
+                const metric = data.metrics[result.metric];
+                const observed = result.observed !== null ? formatStatValue(result.observed, metric, result.stat) : 'n/a';
+                const limit = result.limit !== null ? `${escapeMarkdown(result.operator)} ${formatStatValue(result.limit, metric, result.stat)}` : 'n/a';
+                return `| ${result.ok ? '✅' : '❌'} | ${escapeMarkdown(result.metric)} | \`${result.expression.replace(/\|/g, '\\|')}\` | ${observed} | ${limit} |\n`;
+            }),
+            footer: '',
+        });
+    }
+
+    const failedChecks = [];
+    walkGroups(data.root_group, (group, parentNames) => {
+        const names = group.name ? parentNames.concat(group.name) : parentNames;
+        for (let check of group.checks || []) {
+            const fails = parseInt(check.fails || 0);
+            if (fails > 0) {
+                const total = parseInt(check.passes || 0) + fails;
+                const path = names.length > 0 ? `**${escapeMarkdown(names.join(' › '))}** › ` : '';
+                failedChecks.push(`- ❌ ${path}${escapeMarkdown(check.name)}: ${fails} of ${total} failed\n`);
+            }
+        }
+    });
+    if (failedChecks.length > 0) {
+        sections.push({ priority: 2, title: 'Failed Checks', header: '\n### Failed Checks\n\n', rows: failedChecks, footer: '' });
+    }
+
+    if (options.details !== false) {
+        const names = sortMetricNames(Object.keys(data.metrics));
+        for (let section of getMetricSections(data)) {
+            const metricNames = names.filter(name => data.metrics[name].type === section.type);
+            if (metricNames.length === 0) {
+                continue;
+            }
+            const columns = section.columns.map(column => column.label);
+            sections.push({
+                priority: 3,
+                title: section.title,
+                header: `\n<details>\n<summary>${section.title} (${metricNames.length})</summary>\n\n| Metric | ${columns.join(' | ')} |\n| --- |${' --- |'.repeat(columns.length)}\n`,
+                rows: metricNames.map(name => {
+                    const metric = data.metrics[name];
+                    const cells = section.columns.map(column => formatMetricColumn(metric, column));
+                    return `| ${escapeMarkdown(name)} | ${cells.join(' | ')} |\n`;
+                }),
+                footer: '\n</details>\n',
+                optional: true,
+            });
+        }
+    }
+
+    return head + fitMarkdownSections(sections, maxLength - head.length);
+}
+
+/**
+ * Entry point for generating one HTML report from several k6 summaries of the same test,
+ * e.g. one per load-generator machine or region
+ * Counters, rates and checks are merged exactly; combined percentiles can only be estimated
+ * from the per-source values and are shown as upper bounds (see mergeMetric)
+ * 
+ * @param {Array<Object|string>} summaries - handleSummary data objects, their JSON or jsonReport documents,
+ *                                           each optionally wrapped as { name, summary } to label the source
+ * @param {Object} options - Configuration options, the same as for htmlReport
+ * @returns {string} Complete HTML document as a string
+ */
+export function aggregateReport(summaries, options = {}) {
+    console.log(`[k6-reporter-modern] Aggregating ${(summaries || []).length} summaries`);
+
+    const sources = (summaries || []).map((entry, index) => {
+        const wrapped = entry && typeof entry === 'object' && entry.summary !== undefined && !entry.metrics;
+        const name = wrapped && entry.name ? String(entry.name) : `Source ${index + 1}`;
+        const data = loadSummary(wrapped ? entry.summary : entry, `summary "${name}"`);
+        return data ? { name, data } : null;
+    }).filter(Boolean);
+
+    return htmlReport(mergeSummaries(sources), options);
+}
+
+/**
+ * Entry point for generating a history index page across many runs of a test
+ * Shows trend lines of p95 latency, error rate, throughput and passed thresholds, and a table
+ * of the runs linking to their HTML reports; runs that regressed against the rolling median
+ * of the runs before them are flagged
+ * 
+ * @param {Array<Object|string>} entries - Summaries of past runs (handleSummary data, its JSON or jsonReport documents),
+ *                                         each optionally wrapped as { summary, href, name, date }
+ * @param {Object} options - Configuration options for the page
+ * @param {string} options.title - Page title (defaults to "Test History")
+ * @param {number} options.window - Number of previous runs in the rolling median (defaults to 5)
+ * @param {number|Object} options.baselineTolerance - Allowed change before a run counts as regressed, in percent
+ *                                                    (percentage points for the error rate), as in htmlReport
+ * @param {number|Object} options.tolerance - Alias of baselineTolerance
+ * @param {string|Function} options.verdict - Pass/fail policy of each run's status, as in htmlReport
+ * @param {string|Object} options.theme - Theme, as in htmlReport
+ * @param {boolean} options.selfContained - If false, loads Font Awesome from its CDN (defaults to true)
+ * @param {boolean} options.footerLinks - If false, leaves the documentation and GitHub links out of the footer (defaults to true)
+ * @returns {string} Complete HTML document as a string
+ */
+export function historyReport(entries, options = {}) {
+    console.log(`[k6-reporter-modern] Generating history report of ${(entries || []).length} runs`);
+
+    const runs = (entries || [])
+        .map((entry, index) => collectHistoryRun(entry, index, options))
+        .filter(Boolean);
+    // Runs are charted in date order when every run has a date
+    if (runs.every(run => run.date)) {
+        runs.sort((a, b) => a.date - b.date);
+    }
+    flagHistoryRegressions(runs, options);
+
+    return generateHistoryHTML(runs, options);
 }
 
 /**
@@ -53,52 +368,57 @@ export function htmlReport(data, options = {}) {
  * @param {string} httpMethod - HTTP method for the API call
  * @param {Object} additionalInfo - Additional test configuration info
  * @param {Object} stats - Pre-calculated statistics
+ * @param {Object} options - Report options passed to htmlReport
  * @returns {string} Complete HTML document
  */
-function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, stats) {
-    // Determine overall test status (pass/fail) based on errors, check failures, and threshold failures
-    const testStatus = stats.failedRequests === 0 && stats.checkFailures === 0 && stats.thresholdFailures === 0;
+function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, stats, options) {
+    // Determine overall test status (pass, warn or fail) using the options.verdict policy
+    const verdict = decideVerdict(data, stats, options);
+    // Compare against a previous run when a baseline was provided
+    const comparison = buildComparison(data, stats, options);
+    // Icons are inlined as SVG unless the report may load Font Awesome from its CDN
+    const selfContained = options.selfContained !== false;
+    const footerLinks = options.footerLinks !== false;
+    const theme = resolveTheme(options.theme);
+    // The print stylesheet also applies on screen for print-first documents
+    const printLayout = options.printLayout === true;
+    const printMedia = printLayout ? 'all' : 'print';
+    // Per-scenario breakdown from {scenario:...} sub-metrics and the configured scenarios
+    const scenarios = collectScenarios(data, options.k6Options);
+    // Core Web Vitals from k6/browser runs
+    const webVitals = collectWebVitals(data);
+    // Non-HTTP protocols (WebSocket, gRPC) used by the run, each with its own cards and metrics
+    const protocols = detectProtocols(data).filter(protocol => protocol.id !== 'http');
+    const httpUsed = stats.protocols.indexOf('http') !== -1;
+    // Apdex and error budget scoring against options.slo
+    const slo = evaluateSlo(data, options.slo);
+    // Trend metrics with samples, charted in the Latency tab
+    const trendNames = collectTrendMetrics(data);
+    // Request rate, latency, errors and VUs over time from options.timeSeries
+    const timeSeries = collectTimeSeries(options.timeSeries);
+    // Summaries combined by aggregateReport, shown side by side in the Sources tab
+    const sources = data.sources || [];
+    // Rule-based hints on bottlenecks and anomalies, most severe first
+    const insights = collectInsights(data, stats, options);
+    // Requests per status class and error code from tagged sub-metrics
+    const httpStatuses = collectHttpStatuses(data);
     
-    return `
+    const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="en"${theme.base === 'auto' ? '' : ` data-theme="${theme.base}"`}>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>K6 Performance Test Report - ${escapeHtml(title)}</title>
-    <!-- Font Awesome for icons -->
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    ${selfContained ? '' : `<!-- Font Awesome for icons -->
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">`}
     <style>
         /* ========================================
-           GLOBAL STYLES
+           THEME PALETTE
            ======================================== */
-        
-        /* Reset default browser styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        /* Main body styling with gradient background */
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: #333;
-            line-height: 1.6;
-            padding: 20px;
-            min-height: 100vh;
-        }
+        ${generateThemeCss(theme, printMedia)}
 
-        /* Main container with white background and shadow */
-        .container {
-            max-width: 1400px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 20px;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            overflow: hidden;
-        }
+        ${generateBaseCss()}
 
         /* ========================================
            HEADER SECTION
@@ -106,7 +426,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         
         /* Header with dynamic gradient based on test pass/fail status */
         .header {
-            background: ${testStatus ? 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)' : 'linear-gradient(135deg, #eb3349 0%, #f45c43 100%)'};
+            background: ${VERDICT_STATUSES[verdict.status].gradient};
             color: white;
             padding: 40px;
             position: relative;
@@ -159,6 +479,26 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             font-size: 2em;
         }
 
+        /* Light/dark theme toggle in the top right corner of the header */
+        .theme-toggle {
+            position: absolute;
+            top: 0;
+            right: 0;
+            width: 40px;
+            height: 40px;
+            border: none;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.2);
+            color: white;
+            font-size: 1.2em;
+            cursor: pointer;
+            transition: background 0.3s ease;
+        }
+
+        .theme-toggle:hover {
+            background: rgba(255, 255, 255, 0.35);
+        }
+
         /* Test status badge (PASSED/FAILED) */
         .test-status {
             display: inline-block;
@@ -171,6 +511,16 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             backdrop-filter: blur(10px);
         }
 
+        /* Policy and rule outcomes behind the status */
+        .verdict-rules {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px 20px;
+            margin-top: 15px;
+            font-size: 0.9em;
+            opacity: 0.9;
+        }
+
         /* ========================================
            STATS GRID SECTION
            ======================================== */
@@ -181,15 +531,15 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
             gap: 25px;
             padding: 40px;
-            background: #f8f9fa;
+            background: var(--surface-alt);
         }
 
         /* Individual stat card with shadow and hover effects */
         .stat-card {
-            background: white;
+            background: var(--surface);
             border-radius: 15px;
             padding: 30px;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            box-shadow: 0 10px 30px var(--shadow);
             transition: all 0.3s ease;
             position: relative;
             overflow: hidden;
@@ -203,28 +553,28 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             left: 0;
             width: 100%;
             height: 4px;
-            background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
+            background: var(--accent-gradient);
         }
 
         /* Hover effect: lift the card */
         .stat-card:hover {
             transform: translateY(-5px);
-            box-shadow: 0 15px 40px rgba(0, 0, 0, 0.15);
+            box-shadow: 0 15px 40px var(--shadow);
         }
 
         /* Success state: green gradient */
         .stat-card.success::before {
-            background: linear-gradient(90deg, #11998e 0%, #38ef7d 100%);
+            background: var(--pass-gradient);
         }
 
         /* Error state: red gradient */
         .stat-card.error::before {
-            background: linear-gradient(90deg, #eb3349 0%, #f45c43 100%);
+            background: var(--fail-gradient);
         }
 
         /* Warning state: yellow/orange gradient */
         .stat-card.warning::before {
-            background: linear-gradient(90deg, #f2994a 0%, #f2c94c 100%);
+            background: var(--warn-gradient);
         }
 
         /* Background icon for stat cards (low opacity) */
@@ -240,7 +590,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         /* Label text for each statistic */
         .stat-label {
             font-size: 0.85em;
-            color: #6c757d;
+            color: var(--muted);
             text-transform: uppercase;
             letter-spacing: 1px;
             margin-bottom: 10px;
@@ -251,7 +601,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         .stat-value {
             font-size: 2.5em;
             font-weight: 700;
-            color: #2c3e50;
+            color: var(--heading);
             position: relative;
             z-index: 10;
         }
@@ -259,7 +609,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         /* Subtext below the main stat value */
         .stat-subtext {
             font-size: 0.9em;
-            color: #95a5a6;
+            color: var(--subtle);
             margin-top: 8px;
         }
 
@@ -276,7 +626,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         .tabs {
             display: flex;
             gap: 10px;
-            border-bottom: 2px solid #e9ecef;
+            border-bottom: 2px solid var(--border);
             margin-bottom: 30px;
             flex-wrap: wrap;
         }
@@ -289,7 +639,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             cursor: pointer;
             font-size: 1em;
             font-weight: 600;
-            color: #6c757d;
+            color: var(--muted);
             border-bottom: 3px solid transparent;
             transition: all 0.3s ease;
             display: flex;
@@ -299,14 +649,14 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
 
         /* Tab button hover state */
         .tab-button:hover {
-            color: #667eea;
-            background: rgba(102, 126, 234, 0.1);
+            color: var(--accent);
+            background: var(--accent-soft);
         }
 
         /* Active tab styling */
         .tab-button.active {
-            color: #667eea;
-            border-bottom-color: #667eea;
+            color: var(--accent);
+            border-bottom-color: var(--accent);
         }
 
         /* Tab content panel (hidden by default) */
@@ -330,36 +680,19 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
            METRICS TABLE
            ======================================== */
         
-        /* Main metrics table with rounded corners */
-        .metrics-table {
-            width: 100%;
-            border-collapse: separate;
-            border-spacing: 0;
-            border-radius: 10px;
-            overflow: hidden;
-            box-shadow: 0 5px 15px rgba(0, 0, 0, 0.1);
-        }
-
-        /* Table header with gradient background */
-        .metrics-table thead {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
+        /* Header cells sort the table when clicked */
+        .metrics-table th {
+            cursor: pointer;
+            user-select: none;
         }
 
-        /* Table header cells */
-        .metrics-table th {
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-            font-size: 0.9em;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
+        /* Sort direction of the sorted column */
+        .metrics-table th[aria-sort="ascending"]::after {
+            content: ' \\25B2';
         }
 
-        /* Table data cells */
-        .metrics-table td {
-            padding: 15px;
-            border-bottom: 1px solid #e9ecef;
+        .metrics-table th[aria-sort="descending"]::after {
+            content: ' \\25BC';
         }
 
         /* Table row hover effect */
@@ -368,82 +701,73 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         }
 
         .metrics-table tbody tr:hover {
-            background: #f8f9fa;
+            background: var(--surface-alt);
         }
 
-        /* Remove border from last row */
-        .metrics-table tbody tr:last-child td {
-            border-bottom: none;
+        /* Expand/collapse button for metrics with tagged sub-metrics */
+        .expand-toggle {
+            background: none;
+            border: none;
+            cursor: pointer;
+            color: var(--accent);
+            width: 22px;
+            margin-right: 6px;
+            transition: transform 0.2s ease;
         }
 
-        /* ========================================
-           BADGES AND INDICATORS
-           ======================================== */
-        
-        /* Generic badge styling */
-        .badge {
-            display: inline-block;
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 0.85em;
-            font-weight: 600;
+        .expand-toggle.expanded {
+            transform: rotate(90deg);
         }
 
-        /* Success badge (green) */
-        .badge-success {
-            background: #d4edda;
-            color: #155724;
+        /* Number of tagged sub-metrics next to the metric name */
+        .submetric-count {
+            font-size: 0.75em;
+            color: var(--muted);
+            background: var(--border);
+            padding: 2px 8px;
+            border-radius: 10px;
         }
 
-        /* Error badge (red) */
-        .badge-error {
-            background: #f8d7da;
-            color: #721c24;
+        /* Tagged sub-metric rows (hidden until the parent is expanded) */
+        .metrics-table tbody tr.submetric-row {
+            display: none;
+            background: var(--surface-sunken);
+            font-size: 0.9em;
         }
 
-        /* Warning badge (yellow) */
-        .badge-warning {
-            background: #fff3cd;
-            color: #856404;
+        .metrics-table tbody tr.submetric-row.visible {
+            display: table-row;
         }
 
-        /* Good metric value (green text) */
-        .metric-value-good {
-            color: #28a745;
-            font-weight: 600;
+        /* Sub-metric rows matching a search are shown without expanding their parent */
+        .metrics-table tbody tr.submetric-row.search-match {
+            display: table-row;
         }
 
-        /* Bad metric value (red text) */
-        .metric-value-bad {
-            color: #dc3545;
+        .metrics-table tr.submetric-row td:first-child {
+            padding-left: 50px;
+            font-family: 'Courier New', monospace;
+        }
+
+        /* Tag heading row introducing a per-tag breakdown */
+        .metrics-table tr.submetric-heading td {
+            color: var(--accent);
             font-weight: 600;
+            font-size: 0.85em;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            padding-top: 10px;
+            padding-bottom: 10px;
         }
 
         /* ========================================
            CHART AND CONTAINER STYLES
            ======================================== */
         
-        /* Container for charts and content sections */
-        .chart-container {
-            background: white;
-            border-radius: 15px;
-            padding: 30px;
-            box-shadow: 0 5px 15px rgba(0, 0, 0, 0.1);
-            margin-bottom: 30px;
-        }
-
-        /* Chart section title */
-        .chart-title {
-            font-size: 1.3em;
-            font-weight: 600;
-            margin-bottom: 20px;
-            color: #2c3e50;
-        }
-
         /* Progress bar container */
         .progress-bar {
             height: 30px;
-            background: #e9ecef;
+            background: var(--border);
             border-radius: 15px;
             overflow: hidden;
             margin: 10px 0;
@@ -453,7 +777,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         /* Progress bar fill with animation */
         .progress-fill {
             height: 100%;
-            background: linear-gradient(90deg, #11998e 0%, #38ef7d 100%);
+            background: var(--pass-gradient);
             border-radius: 15px;
             display: flex;
             align-items: center;
@@ -466,31 +790,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
 
         /* Error state for progress bar (red gradient) */
         .progress-fill.error {
-            background: linear-gradient(90deg, #eb3349 0%, #f45c43 100%);
-        }
-
-        /* ========================================
-           FOOTER
-           ======================================== */
-        
-        /* Footer section */
-        .footer {
-            text-align: center;
-            padding: 30px;
-            background: #f8f9fa;
-            color: #6c757d;
-            font-size: 0.9em;
-        }
-
-        /* Footer links */
-        .footer a {
-            color: #667eea;
-            text-decoration: none;
-            font-weight: 600;
-        }
-
-        .footer a:hover {
-            text-decoration: underline;
+            background: var(--fail-gradient);
         }
 
         /* ========================================
@@ -528,14 +828,14 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
             justify-content: space-between;
             align-items: center;
             padding: 15px;
-            background: white;
+            background: var(--surface);
             border-radius: 10px;
             margin-bottom: 10px;
-            box-shadow: 0 2px 5px rgba(0, 0, 0, 0.05);
+            box-shadow: 0 2px 5px var(--shadow);
         }
 
         .check-item:hover {
-            box-shadow: 0 5px 15px rgba(0, 0, 0, 0.1);
+            box-shadow: 0 5px 15px var(--shadow);
         }
 
         /* Check name/description */
@@ -551,46 +851,469 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         }
 
         /* ========================================
-           HEADER SUBTITLE AND METHOD BADGES
+           SCENARIOS
            ======================================== */
-        
-        /* Subtitle display in header */
-        .header-subtitle {
-            font-size: 1.1em;
-            opacity: 0.85;
-            margin: 15px 0 10px 0;
-            font-family: 'Courier New', monospace;
-            background: rgba(255, 255, 255, 0.2);
-            padding: 10px 20px;
-            border-radius: 8px;
-            display: inline-block;
+
+        /* Headline numbers of a scenario */
+        .scenario-stats {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(110px, 1fr));
+            gap: 15px;
         }
 
-        /* HTTP method badge (GET, POST, etc.) */
-        .http-method-badge {
-            display: inline-block;
-            padding: 5px 15px;
-            border-radius: 6px;
+        .scenario-stat-value {
+            font-size: 1.5em;
             font-weight: 700;
-            font-size: 0.9em;
-            margin-right: 10px;
-            font-family: 'Courier New', monospace;
-            letter-spacing: 1px;
+            color: var(--heading);
         }
 
-        /* Color coding for different HTTP methods */
-        .method-GET {
-            background: #28a745;
-            color: white;
+        /* ========================================
+           SEARCH AND FILTER TOOLBAR
+           ======================================== */
+
+        .table-tools {
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 15px;
+            margin-bottom: 20px;
+            color: var(--muted);
         }
 
-        .method-POST {
-            background: #007bff;
-            color: white;
+        .tab-search {
+            flex: 1;
+            max-width: 420px;
+            padding: 10px 15px;
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            background: var(--surface);
+            color: var(--text);
+            font-size: 0.95em;
         }
 
-        .method-PUT {
-            background: #ffc107;
+        .tab-search:focus {
+            outline: 2px solid var(--accent);
+            border-color: transparent;
+        }
+
+        .failed-only {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            cursor: pointer;
+        }
+
+        .filter-count {
+            font-size: 0.9em;
+        }
+
+        /* "Copy link" button of metric rows, checks and thresholds */
+        .copy-link {
+            background: none;
+            border: none;
+            cursor: pointer;
+            color: var(--muted);
+            margin-left: 8px;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+        }
+
+        tr:hover .copy-link,
+        .check-item:hover .copy-link,
+        .copy-link:focus {
+            opacity: 1;
+        }
+
+        .copy-link.copied {
+            opacity: 1;
+            color: var(--success);
+        }
+
+        /* Item opened through a link */
+        .link-target {
+            outline: 3px solid var(--accent);
+            outline-offset: -3px;
+        }
+
+        /* Rows, items, groups and containers left out by the current search */
+        .filter-hidden {
+            display: none !important;
+        }
+
+        /* ========================================
+           LATENCY CHARTS
+           ======================================== */
+
+        /* Keep a chart on one page when printing */
+        .latency-chart {
+            break-inside: avoid;
+        }
+
+        .chart-label {
+            fill: var(--text);
+            font-family: monospace;
+        }
+
+        .box-whisker {
+            stroke: var(--muted);
+            stroke-width: 1.5;
+        }
+
+        .box-range {
+            fill: var(--accent-soft);
+            stroke: var(--accent);
+            stroke-width: 1.5;
+        }
+
+        .box-median {
+            stroke: var(--accent);
+            stroke-width: 3;
+        }
+
+        .box-average {
+            fill: var(--warning);
+        }
+
+        .ladder-bar {
+            fill: var(--accent);
+            opacity: 0.8;
+        }
+
+        .ladder-average {
+            stroke: var(--warning);
+            stroke-width: 2;
+            stroke-dasharray: 4 3;
+        }
+
+        /* ========================================
+           HTTP STATUS BREAKDOWN
+           ======================================== */
+
+        /* Stacked bar of requests per status class */
+        .status-bar {
+            display: flex;
+            height: 30px;
+            border-radius: 15px;
+            overflow: hidden;
+            background: var(--border);
+            margin: 10px 0 15px 0;
+        }
+
+        .status-segment {
+            height: 100%;
+            min-width: 2px;
+        }
+
+        .status-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 20px;
+            margin-bottom: 20px;
+            font-size: 0.9em;
+        }
+
+        .status-swatch {
+            display: inline-block;
+            width: 12px;
+            height: 12px;
+            border-radius: 3px;
+            margin-right: 6px;
+            vertical-align: -1px;
+        }
+
+        /* ========================================
+           INSIGHTS
+           ======================================== */
+
+        /* One finding, with a stripe in the colour of its severity */
+        .insight-item {
+            padding: 15px 20px;
+            background: var(--surface);
+            border-radius: 10px;
+            border-left: 5px solid var(--muted);
+            margin-bottom: 12px;
+            box-shadow: 0 2px 5px var(--shadow);
+            break-inside: avoid;
+        }
+
+        .insight-item.insight-critical {
+            border-left-color: var(--error);
+        }
+
+        .insight-item.insight-warning {
+            border-left-color: var(--warning);
+        }
+
+        .insight-item.insight-info {
+            border-left-color: var(--accent);
+        }
+
+        .insight-title {
+            font-weight: 600;
+            color: var(--heading);
+            margin-left: 8px;
+        }
+
+        .insight-message {
+            margin-top: 8px;
+        }
+
+        .insight-hint {
+            margin-top: 6px;
+            color: var(--muted);
+            font-size: 0.9em;
+        }
+
+        /* ========================================
+           PROTOCOL SECTIONS
+           ======================================== */
+
+        /* Summary cards inside a protocol section */
+        .protocol-cards {
+            padding: 0;
+            background: none;
+        }
+
+        /* ========================================
+           WEB VITALS
+           ======================================== */
+
+        /* p75 value of a Web Vital */
+        .vital-value {
+            font-size: 2.2em;
+            font-weight: 700;
+            color: var(--heading);
+        }
+
+        /* Scale with the good / needs improvement / poor ranges */
+        .vital-scale {
+            position: relative;
+            display: flex;
+            height: 10px;
+            border-radius: 5px;
+            overflow: visible;
+            margin: 15px 0 5px;
+        }
+
+        .vital-range.good {
+            background: var(--success);
+            border-radius: 5px 0 0 5px;
+        }
+
+        .vital-range.needs-improvement {
+            background: var(--warning);
+        }
+
+        .vital-range.poor {
+            background: var(--error);
+            border-radius: 0 5px 5px 0;
+        }
+
+        /* Marker at the measured p75 */
+        .vital-marker {
+            position: absolute;
+            top: -5px;
+            width: 4px;
+            height: 20px;
+            margin-left: -2px;
+            background: var(--heading);
+            border-radius: 2px;
+        }
+
+        /* ========================================
+           BASELINE COMPARISON
+           ======================================== */
+
+        /* Change against the baseline run, shown below a value */
+        .baseline-delta {
+            font-size: 0.75em;
+            font-weight: 600;
+            color: var(--muted);
+            margin-top: 4px;
+            position: relative;
+            z-index: 10;
+        }
+
+        .baseline-delta.inline {
+            display: inline;
+            font-size: 1em;
+            margin-top: 0;
+        }
+
+        .baseline-delta.regressed {
+            color: var(--error);
+        }
+
+        .baseline-delta.improved {
+            color: var(--success);
+        }
+
+        /* Baseline value next to a stat card's delta */
+        .baseline-value {
+            font-weight: 400;
+            color: var(--subtle);
+        }
+
+        /* ========================================
+           GROUP TREE
+           ======================================== */
+
+        /* Collapsible group header with roll-up counts */
+        .group-summary {
+            display: flex;
+            align-items: center;
+            gap: 15px;
+            flex-wrap: wrap;
+            cursor: pointer;
+            list-style: none;
+            margin-bottom: 15px;
+        }
+
+        .group-summary::-webkit-details-marker {
+            display: none;
+        }
+
+        .group-summary .chart-title {
+            margin-bottom: 0;
+        }
+
+        /* Chevron showing the open/closed state of a group */
+        .group-summary::before {
+            content: '\\25B8';
+            color: var(--accent);
+            transition: transform 0.2s ease;
+        }
+
+        .group-node[open] > .group-summary::before {
+            transform: rotate(90deg);
+        }
+
+        .group-summary .check-stats {
+            margin-left: auto;
+        }
+
+        /* Full path of a nested group (e.g. login › nested) */
+        .group-path {
+            font-family: 'Courier New', monospace;
+            font-size: 0.85em;
+            color: var(--muted);
+        }
+
+        /* Nested groups are indented below their parent */
+        .group-children {
+            margin: 10px 0 10px 20px;
+            padding-left: 20px;
+            border-left: 2px solid var(--border);
+        }
+
+        .group-children .group-summary .chart-title {
+            font-size: 1.1em;
+        }
+
+        .group-node.has-failures > .group-summary .chart-title {
+            color: var(--error);
+        }
+
+        /* ========================================
+           THRESHOLD DETAILS
+           ======================================== */
+
+        /* Observed value, limit and margin line below a threshold expression */
+        .threshold-details {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 20px;
+            margin-top: 8px;
+            font-size: 0.85em;
+            color: var(--muted);
+        }
+
+        .threshold-details strong {
+            color: var(--heading);
+        }
+
+        /* Gauge bar showing how much of the threshold limit was used */
+        .threshold-gauge {
+            height: 6px;
+            max-width: 400px;
+            background: var(--border);
+            border-radius: 3px;
+            overflow: hidden;
+            margin-top: 8px;
+        }
+
+        .threshold-gauge-fill {
+            height: 100%;
+            border-radius: 3px;
+        }
+
+        .threshold-gauge-fill.success {
+            background: var(--pass-gradient);
+        }
+
+        .threshold-gauge-fill.warning {
+            background: var(--warn-gradient);
+        }
+
+        .threshold-gauge-fill.error {
+            background: var(--fail-gradient);
+        }
+
+        /* Marker for thresholds declared with abortOnFail */
+        .abort-badge {
+            display: inline-block;
+            margin-left: 8px;
+            padding: 2px 8px;
+            border-radius: 6px;
+            font-size: 0.75em;
+            font-weight: 700;
+            background: var(--heading);
+            color: var(--surface);
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        /* ========================================
+           HEADER SUBTITLE AND METHOD BADGES
+           ======================================== */
+        
+        /* Subtitle display in header */
+        .header-subtitle {
+            font-size: 1.1em;
+            opacity: 0.85;
+            margin: 15px 0 10px 0;
+            font-family: 'Courier New', monospace;
+            background: rgba(255, 255, 255, 0.2);
+            padding: 10px 20px;
+            border-radius: 8px;
+            display: inline-block;
+        }
+
+        /* HTTP method badge (GET, POST, etc.) */
+        .http-method-badge {
+            display: inline-block;
+            padding: 5px 15px;
+            border-radius: 6px;
+            font-weight: 700;
+            font-size: 0.9em;
+            margin-right: 10px;
+            font-family: 'Courier New', monospace;
+            letter-spacing: 1px;
+        }
+
+        /* Color coding for different HTTP methods */
+        .method-GET {
+            background: #28a745;
+            color: white;
+        }
+
+        .method-POST {
+            background: #007bff;
+            color: white;
+        }
+
+        .method-PUT {
+            background: #ffc107;
             color: #000;
         }
 
@@ -618,19 +1341,19 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         /* Info table cells */
         .info-table td {
             padding: 10px 15px;
-            border-bottom: 1px solid #e9ecef;
+            border-bottom: 1px solid var(--border);
         }
 
         /* Info table labels (left column) */
         .info-table td:first-child {
             font-weight: 600;
-            color: #667eea;
+            color: var(--accent);
             width: 40%;
         }
 
         /* Info table values (right column) */
         .info-table td:last-child {
-            color: #2c3e50;
+            color: var(--heading);
             font-family: 'Courier New', monospace;
         }
 
@@ -641,43 +1364,187 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
 
         /* Row hover effect */
         .info-table tr:hover {
-            background: #f8f9fa;
+            background: var(--surface-alt);
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <!-- ========================================
-             HEADER SECTION
-             ======================================== -->
-        <div class="header">
-            <div class="header-content">
-                <h1>
-                    <!-- K6 Logo SVG -->
-                    <div class="k6-logo">
-                        <svg width="40" height="36" viewBox="0 0 50 45" fill="white">
-                            <path d="M31.968 34.681a2.007 2.007 0 002.011-2.003c0-1.106-.9-2.003-2.011-2.003a2.007 2.007 0 00-2.012 2.003c0 1.106.9 2.003 2.012 2.003z"/>
-                            <path d="M39.575 0L27.154 16.883 16.729 9.31 0 45h50L39.575 0zM23.663 37.17l-2.97-4.072v4.072h-2.751V22.038l2.75 1.989v7.66l3.659-5.014 2.086 1.51-3.071 4.21 3.486 4.776h-3.189v.001zm8.305.17c-2.586 0-4.681-2.088-4.681-4.662 0-1.025.332-1.972.896-2.743l4.695-6.435 2.086 1.51-2.239 3.07a4.667 4.667 0 013.924 4.6c0 2.572-2.095 4.66-4.681 4.66z"/>
-                        </svg>
-                    </div>
-                    K6 Performance Test Report
-                </h1>
-                <!-- Report title -->
-                <p style="font-size: 1.2em; opacity: 0.9; margin: 10px 0;">${escapeHtml(title)}</p>
-                <!-- Subtitle with HTTP method badge if provided -->
-                ${subtitle ? `
-                <div class="header-subtitle">
-                    ${httpMethod ? `<span class="http-method-badge method-${httpMethod}">${httpMethod}</span>` : '<i class="fas fa-link"></i>'}
-                    ${escapeHtml(subtitle)}
+
+        /* Table of contents, only shown in print */
+        .print-toc {
+            display: none;
+        }
+
+        /* ========================================
+           PRINT / PDF
+           Lays out every tab in order with page breaks; also applied on screen with options.printLayout
+           ======================================== */
+        @media ${printMedia} {
+            @page {
+                margin: 15mm;
+            }
+
+            *, *::before, *::after {
+                animation: none !important;
+                transition: none !important;
+                box-shadow: none !important;
+            }
+
+            body {
+                background: none;
+                padding: 0;
+            }
+
+            .container {
+                max-width: none;
+                border-radius: 0;
+            }
+
+            /* Plain header instead of the status gradient */
+            .header {
+                background: none;
+                color: var(--heading);
+                border-bottom: 3px solid var(--heading);
+            }
+
+            .header::before {
+                display: none;
+            }
+
+            .k6-logo svg {
+                fill: var(--heading);
+            }
+
+            .test-status {
+                background: none;
+                border: 2px solid currentColor;
+            }
+
+            /* Controls that do nothing on paper */
+            .tabs,
+            .theme-toggle,
+            .table-tools,
+            .copy-link,
+            .expand-toggle {
+                display: none !important;
+            }
+
+            .print-toc {
+                display: block;
+                margin-bottom: 30px;
+            }
+
+            .print-toc ol {
+                margin: 10px 0 0 25px;
+            }
+
+            /* Every tab on its own page, titled with its tab name */
+            .tab-content {
+                display: block !important;
+                break-before: page;
+            }
+
+            #overview {
+                break-before: auto;
+            }
+
+            .tab-content::before {
+                content: attr(data-title);
+                display: block;
+                font-size: 1.6em;
+                font-weight: 700;
+                color: var(--heading);
+                border-bottom: 2px solid var(--border);
+                padding-bottom: 8px;
+                margin-bottom: 20px;
+            }
+
+            .metrics-table tbody tr.submetric-row {
+                display: table-row;
+            }
+
+            .stats-grid {
+                grid-template-columns: repeat(3, 1fr);
+                padding: 20px 40px;
+                background: none;
+            }
+
+            .chart-container,
+            .stat-card,
+            .check-item,
+            .group-summary,
+            .metrics-table tr {
+                break-inside: avoid;
+            }
+
+            /* Status stays readable in greyscale: solid, dashed and double borders tell the states apart */
+            .stat-card {
+                border: 1px solid var(--border);
+            }
+
+            .stat-card.success {
+                border-left: 6px solid var(--success);
+            }
+
+            .stat-card.warning {
+                border-left: 6px dashed var(--warning);
+            }
+
+            .stat-card.error {
+                border-left: 6px double var(--error);
+            }
+
+            .badge {
+                border: 1px solid currentColor;
+            }
+
+            /* Bars and charts carry their meaning in their fill, so keep it when printing */
+            .progress-fill,
+            .threshold-gauge-fill,
+            .vital-range,
+            .chart-svg {
+                -webkit-print-color-adjust: exact;
+                print-color-adjust: exact;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- ========================================
+             HEADER SECTION
+             ======================================== -->
+        <div class="header">
+            <div class="header-content">
+                <!-- Light/dark theme toggle -->
+                <button class="theme-toggle" onclick="toggleTheme()" title="Toggle dark mode">
+                    <i class="fas fa-circle-half-stroke"></i>
+                </button>
+                <h1>
+                    <!-- K6 Logo SVG (or the custom theme's logo) -->
+                    <div class="k6-logo">
+                        ${theme.logo || `<svg width="40" height="36" viewBox="0 0 50 45" fill="white">
+                            <path d="M31.968 34.681a2.007 2.007 0 002.011-2.003c0-1.106-.9-2.003-2.011-2.003a2.007 2.007 0 00-2.012 2.003c0 1.106.9 2.003 2.012 2.003z"/>
+                            <path d="M39.575 0L27.154 16.883 16.729 9.31 0 45h50L39.575 0zM23.663 37.17l-2.97-4.072v4.072h-2.751V22.038l2.75 1.989v7.66l3.659-5.014 2.086 1.51-3.071 4.21 3.486 4.776h-3.189v.001zm8.305.17c-2.586 0-4.681-2.088-4.681-4.662 0-1.025.332-1.972.896-2.743l4.695-6.435 2.086 1.51-2.239 3.07a4.667 4.667 0 013.924 4.6c0 2.572-2.095 4.66-4.681 4.66z"/>
+                        </svg>`}
+                    </div>
+                    K6 Performance Test Report
+                </h1>
+                <!-- Report title -->
+                <p style="font-size: 1.2em; opacity: 0.9; margin: 10px 0;">${escapeHtml(title)}</p>
+                <!-- Subtitle with HTTP method badge if provided -->
+                ${subtitle ? `
+                <div class="header-subtitle">
+                    ${httpMethod ? `<span class="http-method-badge method-${httpMethod}">${httpMethod}</span>` : '<i class="fas fa-link"></i>'}
+                    ${escapeHtml(subtitle)}
                 </div>
                 <span class="test-status" style="margin-top: 15px;">
-                    ${testStatus ? '✅ ALL TESTS PASSED' : '❌ TESTS FAILED'}
+                    ${VERDICT_STATUSES[verdict.status].label}
                 </span>
                 ` : `
                 <span class="test-status">
-                    ${testStatus ? '✅ ALL TESTS PASSED' : '❌ TESTS FAILED'}
+                    ${VERDICT_STATUSES[verdict.status].label}
                 </span>
                 `}
+                <!-- Rules that decided the verdict -->
+                ${generateVerdictRules(verdict)}
                 <!-- Timestamp when report was generated -->
                 <p style="margin-top: 15px; opacity: 0.9;">
                     <i class="far fa-clock"></i> Generated: ${new Date().toLocaleString()}
@@ -689,29 +1556,35 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
              STATS GRID - Overview Cards
              ======================================== -->
         <div class="stats-grid">
-            <!-- Total Requests Card -->
-            <div class="stat-card ${stats.failedRequests === 0 ? 'success' : 'error'}">
-                <i class="fas fa-globe stat-icon"></i>
-                <div class="stat-label">Total Requests</div>
-                <div class="stat-value">${stats.totalRequests.toLocaleString()}</div>
-                <div class="stat-subtext">${stats.successfulRequests.toLocaleString()} successful</div>
-            </div>
+            <!-- Request cards for HTTP runs, page load cards for browser-only runs, protocol cards for WebSocket/gRPC-only runs -->
+            ${!httpUsed && webVitals.browserOnly ? generateBrowserStatCards(data, webVitals) : !httpUsed && protocols.length > 0 ? protocols.map(protocol => generateProtocolStatCards(data, protocol)).join('') : `
+                <!-- Total Requests Card -->
+                <div class="stat-card ${stats.failedRequests === 0 ? 'success' : 'error'}">
+                    <i class="fas fa-globe stat-icon"></i>
+                    <div class="stat-label">Total Requests</div>
+                    <div class="stat-value">${stats.totalRequests.toLocaleString()}</div>
+                    <div class="stat-subtext">${stats.successfulRequests.toLocaleString()} successful</div>
+                    ${generateCardDelta(comparison, 'totalRequests')}
+                </div>
 
-            <!-- Success Rate Card -->
-            <div class="stat-card ${stats.errorRate > 0 ? 'error' : 'success'}">
-                <i class="fas fa-chart-line stat-icon"></i>
-                <div class="stat-label">Success Rate</div>
-                <div class="stat-value">${stats.successRate}%</div>
-                <div class="stat-subtext">${stats.failedRequests} failed requests</div>
-            </div>
+                <!-- Success Rate Card -->
+                <div class="stat-card ${stats.errorRate > 0 ? 'error' : 'success'}">
+                    <i class="fas fa-chart-line stat-icon"></i>
+                    <div class="stat-label">Success Rate</div>
+                    <div class="stat-value">${stats.successRate}%</div>
+                    <div class="stat-subtext">${stats.failedRequests} failed requests</div>
+                    ${generateCardDelta(comparison, 'successRate')}
+                </div>
 
-            <!-- Average Response Time Card -->
-            <div class="stat-card ${parseFloat(stats.avgResponseTime) > 1000 ? 'warning' : 'success'}">
-                <i class="fas fa-tachometer-alt stat-icon"></i>
-                <div class="stat-label">Avg Response Time</div>
-                <div class="stat-value">${stats.avgResponseTime}<span style="font-size: 0.5em;">ms</span></div>
-                <div class="stat-subtext">P95: ${stats.p95ResponseTime}ms</div>
-            </div>
+                <!-- Average Response Time Card -->
+                <div class="stat-card ${parseFloat(stats.avgResponseTime) > 1000 ? 'warning' : 'success'}">
+                    <i class="fas fa-tachometer-alt stat-icon"></i>
+                    <div class="stat-label">Avg Response Time</div>
+                    <div class="stat-value">${stats.avgResponseTime}<span style="font-size: 0.5em;">ms</span></div>
+                    <div class="stat-subtext">P95: ${data.metrics.http_req_duration ? estimateMark(data.metrics.http_req_duration, 'p(95)') : ''}${stats.p95ResponseTime}ms</div>
+                    ${generateCardDelta(comparison, 'avgResponseTime')}
+                </div>
+            `}
 
             <!-- Virtual Users Card -->
             <div class="stat-card">
@@ -719,6 +1592,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
                 <div class="stat-label">Virtual Users</div>
                 <div class="stat-value">${stats.maxVUs}</div>
                 <div class="stat-subtext">Average: ${stats.avgVUs} VUs</div>
+                ${generateCardDelta(comparison, 'maxVUs')}
             </div>
 
             <!-- Checks Card -->
@@ -727,6 +1601,7 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
                 <div class="stat-label">Checks</div>
                 <div class="stat-value">${stats.totalChecks}</div>
                 <div class="stat-subtext">${stats.checkPasses} passed / ${stats.checkFailures} failed</div>
+                ${generateCardDelta(comparison, 'checkFailures')}
             </div>
 
             <!-- Thresholds Card -->
@@ -735,7 +1610,11 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
                 <div class="stat-label">Thresholds</div>
                 <div class="stat-value">${stats.thresholdFailures}</div>
                 <div class="stat-subtext">of ${stats.thresholdCount} breached</div>
+                ${generateCardDelta(comparison, 'thresholdFailures')}
             </div>
+
+            <!-- SLO Card (only if options.slo is set) -->
+            ${slo ? generateSloCard(slo) : ''}
         </div>
 
         <!-- ========================================
@@ -744,51 +1623,166 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         <div class="tabs-container">
             <!-- Tab Navigation Buttons -->
             <div class="tabs">
-                <button class="tab-button active" onclick="switchTab(event, 'overview')">
+                <button class="tab-button active" data-tab="overview" onclick="switchTab(event, 'overview')">
                     <i class="fas fa-chart-pie"></i> Overview
                 </button>
-                <button class="tab-button" onclick="switchTab(event, 'metrics')">
+                <!-- Conditional Insights tab (only if a rule found something) -->
+                ${insights.length > 0 ? `
+                <button class="tab-button" data-tab="insights" onclick="switchTab(event, 'insights')">
+                    <i class="fas fa-lightbulb"></i> Insights <span class="badge ${INSIGHT_SEVERITIES[insights[0].severity].badge}">${insights.length}</span>
+                </button>
+                ` : ''}
+                <button class="tab-button" data-tab="metrics" onclick="switchTab(event, 'metrics')">
                     <i class="fas fa-table"></i> Detailed Metrics
                 </button>
-                <button class="tab-button" onclick="switchTab(event, 'checks')">
+                <button class="tab-button" data-tab="checks" onclick="switchTab(event, 'checks')">
                     <i class="fas fa-tasks"></i> Checks & Groups
                 </button>
-                <button class="tab-button" onclick="switchTab(event, 'thresholds')">
+                <button class="tab-button" data-tab="thresholds" onclick="switchTab(event, 'thresholds')">
                     <i class="fas fa-gauge-high"></i> Thresholds
                 </button>
+                <!-- Conditional Sources tab (only for aggregateReport) -->
+                ${sources.length > 0 ? `
+                <button class="tab-button" data-tab="sources" onclick="switchTab(event, 'sources')">
+                    <i class="fas fa-server"></i> Sources
+                </button>
+                ` : ''}
+                <!-- Conditional Timeline tab (only if options.timeSeries is set) -->
+                ${timeSeries ? `
+                <button class="tab-button" data-tab="timeline" onclick="switchTab(event, 'timeline')">
+                    <i class="fas fa-chart-line"></i> Timeline
+                </button>
+                ` : ''}
+                <!-- Conditional SLO tab (only if options.slo is set) -->
+                ${slo ? `
+                <button class="tab-button" data-tab="slo" onclick="switchTab(event, 'slo')">
+                    <i class="fas fa-bullseye"></i> SLO
+                </button>
+                ` : ''}
+                <!-- Conditional Latency tab (only if trend metrics were recorded) -->
+                ${trendNames.length > 0 ? `
+                <button class="tab-button" data-tab="latency" onclick="switchTab(event, 'latency')">
+                    <i class="fas fa-chart-bar"></i> Latency
+                </button>
+                ` : ''}
+                <!-- Conditional Web Vitals tab (only for k6/browser runs) -->
+                ${webVitals.detected ? `
+                <button class="tab-button" data-tab="webvitals" onclick="switchTab(event, 'webvitals')">
+                    <i class="fas fa-heart-pulse"></i> Web Vitals
+                </button>
+                ` : ''}
+                <!-- Conditional Scenarios tab (only if scenarios were detected) -->
+                ${scenarios.length > 0 ? `
+                <button class="tab-button" data-tab="scenarios" onclick="switchTab(event, 'scenarios')">
+                    <i class="fas fa-sitemap"></i> Scenarios
+                </button>
+                ` : ''}
+                <!-- Conditional Comparison tab (only if a baseline was provided) -->
+                ${comparison ? `
+                <button class="tab-button" data-tab="comparison" onclick="switchTab(event, 'comparison')">
+                    <i class="fas fa-code-compare"></i> Comparison${comparison.regressions > 0 ? ` <span class="badge badge-error">${comparison.regressions}</span>` : ''}
+                </button>
+                ` : ''}
                 <!-- Conditional Test Info tab (only if additional info provided) -->
                 ${Object.keys(additionalInfo).length > 0 ? `
-                <button class="tab-button" onclick="switchTab(event, 'testinfo')">
+                <button class="tab-button" data-tab="testinfo" onclick="switchTab(event, 'testinfo')">
                     <i class="fas fa-info-circle"></i> Test Info
                 </button>
                 ` : ''}
             </div>
 
+            <!-- Table of contents, shown when printing (filled in by addPrintToc) -->
+            <nav class="print-toc"></nav>
+
             <!-- Tab Content Panels -->
             
             <!-- Overview Tab - Charts and graphs -->
-            <div id="overview" class="tab-content active">
-                ${generateOverviewSection(stats)}
+            <div id="overview" class="tab-content active" data-title="Overview">
+                ${httpUsed || protocols.length === 0 ? generateOverviewSection(stats) : ''}
+                ${httpStatuses ? generateHttpStatusSection(httpStatuses) : ''}
+                ${generateProtocolSections(data, protocols, comparison)}
+                ${generateRunMetadataSection(data, stats)}
+            </div>
+
+            <!-- Insights Tab - Ranked hints on bottlenecks and anomalies -->
+            ${insights.length > 0 ? `
+            <div id="insights" class="tab-content" data-title="Insights">
+                ${generateInsightsSection(insights)}
             </div>
+            ` : ''}
 
             <!-- Metrics Tab - Detailed metrics table -->
-            <div id="metrics" class="tab-content">
-                ${generateMetricsTable(data)}
+            <div id="metrics" class="tab-content" data-title="Detailed Metrics">
+                ${generateTableTools('Search metrics and tags...', false)}
+                ${generateMetricsTable(data, comparison)}
             </div>
 
             <!-- Checks Tab - Test checks and validations -->
-            <div id="checks" class="tab-content">
+            <div id="checks" class="tab-content" data-title="Checks &amp; Groups">
+                ${generateTableTools('Search checks and groups...', true)}
                 ${generateChecksSection(data)}
             </div>
 
             <!-- Thresholds Tab - Threshold pass/fail status -->
-            <div id="thresholds" class="tab-content">
-                ${generateThresholdsSection(data)}
+            <div id="thresholds" class="tab-content" data-title="Thresholds">
+                ${generateTableTools('Search thresholds...', true)}
+                ${generateThresholdsSection(data, options, comparison)}
+            </div>
+
+            <!-- Sources Tab - Per-source breakdown of an aggregated report -->
+            ${sources.length > 0 ? `
+            <div id="sources" class="tab-content" data-title="Sources">
+                ${generateTableTools('Search sources...', false)}
+                ${generateSourcesSection(sources, options)}
+            </div>
+            ` : ''}
+
+            <!-- Timeline Tab - Time series charts from k6's JSON or CSV output -->
+            ${timeSeries ? `
+            <div id="timeline" class="tab-content" data-title="Timeline">
+                ${generateTimelineSection(timeSeries)}
+            </div>
+            ` : ''}
+
+            <!-- SLO Tab - Apdex and error budget objectives -->
+            ${slo ? `
+            <div id="slo" class="tab-content" data-title="SLO">
+                ${generateSloSection(slo)}
             </div>
+            ` : ''}
+
+            <!-- Latency Tab - Box plot and percentile ladders of trend metrics -->
+            ${trendNames.length > 0 ? `
+            <div id="latency" class="tab-content" data-title="Latency">
+                ${generateLatencySection(data, trendNames)}
+            </div>
+            ` : ''}
+
+            <!-- Web Vitals Tab - Core Web Vitals of k6/browser runs -->
+            ${webVitals.detected ? `
+            <div id="webvitals" class="tab-content" data-title="Web Vitals">
+                ${generateWebVitalsSection(data, webVitals)}
+            </div>
+            ` : ''}
+
+            <!-- Scenarios Tab - Per-scenario breakdown -->
+            ${scenarios.length > 0 ? `
+            <div id="scenarios" class="tab-content" data-title="Scenarios">
+                ${generateScenariosSection(data, scenarios)}
+            </div>
+            ` : ''}
+
+            <!-- Comparison Tab - Regressions against the baseline run -->
+            ${comparison ? `
+            <div id="comparison" class="tab-content" data-title="Comparison">
+                ${generateTableTools('Search metrics...', false)}
+                ${generateComparisonSection(data, comparison)}
+            </div>
+            ` : ''}
 
             <!-- Test Info Tab - Additional configuration details -->
             ${Object.keys(additionalInfo).length > 0 ? `
-            <div id="testinfo" class="tab-content">
+            <div id="testinfo" class="tab-content" data-title="Test Info">
                 ${generateTestInfoSection(additionalInfo)}
             </div>
             ` : ''}
@@ -800,34 +1794,355 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
         <div class="footer">
             <p><strong>K6 Modern Reporter by Samin Azhan</strong></p>
             <p>Generated with ❤️ by K6 Performance Testing Suite</p>
+            ${footerLinks ? `
             <p style="margin-top: 10px;">
                 <a href="https://github.com/Samin005/k6-modern-reporter" target="_blank">Documentation</a> | 
                 <a href="https://github.com/Samin005" target="_blank">GitHub</a>
             </p>
+            ` : ''}
         </div>
     </div>
 
     <!-- ========================================
          JAVASCRIPT - Tab Switching & Animations
          ======================================== -->
-    <script>
+    ${printLayout ? '' : `<script>
         /**
          * Switch between tabs when clicking tab buttons
+         * The tab is stored in the URL hash as a new history entry, so back/forward move between tabs
          * @param {Event} event - The click event
          * @param {string} tabId - The ID of the tab to show
          */
         function switchTab(event, tabId) {
-            // Remove active class from all tab buttons
-            document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
-            // Hide all tab content panels
-            document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-            
-            // Add active class to clicked button
-            event.currentTarget.classList.add('active');
-            // Show selected tab content
-            document.getElementById(tabId).classList.add('active');
+            showTab(tabId);
+            saveState(true);
+        }
+
+        /**
+         * Show a tab and mark its button as active
+         * @param {string} tabId - The ID of the tab to show
+         */
+        function showTab(tabId) {
+            if (!document.getElementById(tabId)) {
+                return;
+            }
+            document.querySelectorAll('.tab-button').forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-tab') === tabId));
+            document.querySelectorAll('.tab-content').forEach(content => content.classList.toggle('active', content.id === tabId));
+        }
+
+        /**
+         * Build the URL hash describing the current view: the tab, its search and
+         * "failed only" filter and the expanded metric rows (e.g. #tab=checks&q=login&failed=1)
+         * @returns {URLSearchParams} View state
+         */
+        function currentState() {
+            const params = new URLSearchParams();
+            const tab = document.querySelector('.tab-content.active');
+            if (tab && tab.id !== 'overview') {
+                params.set('tab', tab.id);
+            }
+            const search = tab ? tab.querySelector('.tab-search') : null;
+            if (search && search.value.trim()) {
+                params.set('q', search.value.trim());
+            }
+            const toggle = tab ? tab.querySelector('.failed-only input') : null;
+            if (toggle && toggle.checked) {
+                params.set('failed', '1');
+            }
+            const expanded = Array.from(document.querySelectorAll('.expand-toggle.expanded')).map(button => button.closest('tr').id);
+            if (expanded.length > 0) {
+                params.set('open', expanded.join(','));
+            }
+            return params;
+        }
+
+        /**
+         * Store the current view in the URL hash
+         * @param {boolean} push - Add a history entry (tab changes) instead of replacing the current one
+         */
+        function saveState(push) {
+            const hash = currentState().toString();
+            if (hash === location.hash.slice(1)) {
+                return;
+            }
+            const url = hash ? '#' + hash : location.pathname + location.search;
+            try {
+                history[push ? 'pushState' : 'replaceState'](null, '', url);
+            } catch (error) {
+                // Some browsers restrict the history API on file:// pages
+                location.hash = hash;
+            }
+        }
+
+        /**
+         * Restore the view stored in the URL hash and scroll to the linked item, if any
+         * A plain element id (e.g. #threshold-...) is accepted as a link to that item
+         */
+        function restoreState() {
+            const hash = location.hash.slice(1);
+            const params = new URLSearchParams(hash.indexOf('=') === -1 ? '' : hash);
+            const itemId = hash && hash.indexOf('=') === -1 ? decodeURIComponent(hash) : params.get('item');
+            const item = itemId ? document.getElementById(itemId) : null;
+            const itemTab = item ? item.closest('.tab-content') : null;
+
+            showTab(params.get('tab') || (itemTab ? itemTab.id : 'overview'));
+
+            const tab = document.querySelector('.tab-content.active');
+            const search = tab ? tab.querySelector('.tab-search') : null;
+            if (search) {
+                search.value = params.get('q') || '';
+                const toggle = tab.querySelector('.failed-only input');
+                if (toggle) {
+                    toggle.checked = params.get('failed') === '1';
+                }
+                applyFilter(search);
+            }
+
+            const open = (params.get('open') || '').split(',');
+            document.querySelectorAll('.expand-toggle').forEach(button => {
+                const row = button.closest('tr');
+                const expanded = open.indexOf(row.id) !== -1;
+                if (button.classList.contains('expanded') !== expanded) {
+                    setSubMetricsExpanded(button, row.id, expanded);
+                }
+            });
+
+            if (item) {
+                revealItem(item);
+            }
+        }
+
+        /**
+         * Make a linked item visible: expand its parent metric and enclosing groups, scroll to it and highlight it
+         * @param {HTMLElement} item - Metric row, check or threshold element
+         */
+        function revealItem(item) {
+            const parentId = item.getAttribute('data-parent');
+            if (parentId) {
+                const button = document.querySelector('#' + parentId + ' .expand-toggle');
+                if (button && !button.classList.contains('expanded')) {
+                    setSubMetricsExpanded(button, parentId, true);
+                }
+            }
+            for (let group = item.closest('details'); group; group = group.parentElement.closest('details')) {
+                group.open = true;
+            }
+            document.querySelectorAll('.link-target').forEach(element => element.classList.remove('link-target'));
+            item.classList.add('link-target');
+            if (item.scrollIntoView) {
+                item.scrollIntoView({ block: 'center' });
+            }
+        }
+
+        /**
+         * Copy a link that opens the report on an item (its tab, scrolled to and highlighted)
+         * @param {Event} event - The click event
+         * @param {string} id - Element id of the item
+         */
+        function copyLink(event, id) {
+            event.stopPropagation();
+            const button = event.currentTarget;
+            const item = document.getElementById(id);
+            const params = new URLSearchParams();
+            params.set('tab', item.closest('.tab-content').id);
+            params.set('item', id);
+            const url = location.href.split('#')[0] + '#' + params.toString();
+            const done = () => {
+                button.classList.add('copied');
+                setTimeout(() => button.classList.remove('copied'), 1500);
+            };
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(url).then(done, () => window.prompt('Copy this link:', url));
+            } else {
+                window.prompt('Copy this link:', url);
+            }
+        }
+
+        // Restore the view when the page opens and when moving through the history
+        window.addEventListener('popstate', restoreState);
+        window.addEventListener('hashchange', restoreState);
+        document.addEventListener('DOMContentLoaded', restoreState);
+
+        /**
+         * Switch between the light and dark palette
+         * Without an explicit choice the report follows the system setting (auto theme)
+         */
+        function toggleTheme() {
+            const root = document.documentElement;
+            const current = root.getAttribute('data-theme');
+            const isDark = current ? current === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches;
+            root.setAttribute('data-theme', isDark ? 'light' : 'dark');
+        }
+
+        /**
+         * Show or hide the tagged sub-metric rows of a metrics table row
+         * @param {HTMLElement} button - The expand/collapse button
+         * @param {string} parentId - The ID shared by the parent row's sub-metric rows
+         */
+        function toggleSubMetrics(button, parentId) {
+            setSubMetricsExpanded(button, parentId, !button.classList.contains('expanded'));
+            saveState(false);
+        }
+
+        /**
+         * Show or hide the tagged sub-metric rows of a metrics table row without touching the URL
+         * @param {HTMLElement} button - The expand/collapse button
+         * @param {string} parentId - The ID shared by the parent row's sub-metric rows
+         * @param {boolean} expanded - Whether the rows should be shown
+         */
+        function setSubMetricsExpanded(button, parentId, expanded) {
+            button.classList.toggle('expanded', expanded);
+            document.querySelectorAll('tr[data-parent="' + parentId + '"]').forEach(row => row.classList.toggle('visible', expanded));
+        }
+
+        /**
+         * Turn a formatted cell value such as "1.2 s", "340 ms", "5.23 MB", "1,000" or "12.5%"
+         * into a number in a common base unit, so columns sort numerically
+         * @param {string} text - Cell text
+         * @returns {number|null} Numeric value, or null for text cells
+         */
+        function parseSortValue(text) {
+            const match = /^[≤≈]?\\s*([-+]?\\d[\\d,]*(?:\\.\\d+)?)\\s*(µs|ms|s|m|h|B|kB|MB|GB|TB)?(?![a-zA-Z])/.exec(text.trim());
+            if (!match) {
+                return null;
+            }
+            const units = { 'µs': 0.001, ms: 1, s: 1000, m: 60000, h: 3600000, B: 1, kB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12 };
+            return parseFloat(match[1].replace(/,/g, '')) * (units[match[2]] || 1);
+        }
+
+        /**
+         * Split the rows of a table body into blocks of a row and its tagged sub-metric rows,
+         * so sorting and searching keep sub-metrics with their parent metric
+         * @param {HTMLElement} tbody - Table body
+         * @returns {Array<Array<HTMLElement>>} Row blocks
+         */
+        function getRowBlocks(tbody) {
+            const blocks = [];
+            Array.from(tbody.rows).forEach(row => {
+                if (row.hasAttribute('data-parent') && blocks.length > 0) {
+                    blocks[blocks.length - 1].push(row);
+                } else {
+                    blocks.push([row]);
+                }
+            });
+            return blocks;
+        }
+
+        /**
+         * Sort a metrics table by the clicked column, toggling between ascending and descending
+         * Numbers sort before text; rows without a value sort last
+         * @param {HTMLElement} th - The clicked header cell
+         */
+        function sortTable(th) {
+            const table = th.closest('table');
+            const tbody = table.tBodies[0];
+            const column = Array.from(th.parentNode.children).indexOf(th);
+            const ascending = th.getAttribute('aria-sort') !== 'ascending';
+            table.querySelectorAll('th[aria-sort]').forEach(header => header.removeAttribute('aria-sort'));
+            th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+            const keyOf = block => {
+                const cell = block[0].cells[column];
+                const text = cell ? cell.textContent.trim() : '';
+                return { text, number: parseSortValue(text) };
+            };
+            const blocks = getRowBlocks(tbody).map(block => ({ block, key: keyOf(block) }));
+            blocks.sort((a, b) => {
+                if (!a.key.text || !b.key.text) {
+                    return (a.key.text ? 0 : 1) - (b.key.text ? 0 : 1);
+                }
+                let order;
+                if (a.key.number !== null && b.key.number !== null) {
+                    order = a.key.number - b.key.number;
+                } else if (a.key.number !== null || b.key.number !== null) {
+                    order = a.key.number !== null ? -1 : 1;
+                } else {
+                    order = a.key.text.localeCompare(b.key.text);
+                }
+                return ascending ? order : -order;
+            });
+            blocks.forEach(entry => entry.block.forEach(row => tbody.appendChild(row)));
+        }
+
+        /**
+         * Filter a tab after its search box or toggle changed and store the filter in the URL hash
+         * @param {HTMLElement} control - The search box or toggle that changed
+         */
+        function filterTab(control) {
+            applyFilter(control);
+            saveState(false);
+        }
+
+        /**
+         * Filter the tables, checks and thresholds of a tab by the search text and the
+         * "failed only" toggle of its toolbar
+         * @param {HTMLElement} control - The search box or toggle of the tab's toolbar
+         */
+        function applyFilter(control) {
+            const tab = control.closest('.tab-content');
+            const tools = control.closest('.table-tools');
+            const query = tools.querySelector('.tab-search').value.trim().toLowerCase();
+            const toggle = tools.querySelector('.failed-only input');
+            const failedOnly = toggle ? toggle.checked : false;
+            const active = query !== '' || failedOnly;
+            const matches = element => element.textContent.toLowerCase().indexOf(query) !== -1;
+            let visible = 0;
+
+            // Table rows: a metric stays visible when it or one of its sub-metrics matches
+            tab.querySelectorAll('.metrics-table tbody').forEach(tbody => {
+                getRowBlocks(tbody).forEach(block => {
+                    const [parent, ...children] = block;
+                    const parentMatch = matches(parent);
+                    const childMatches = children.filter(row => !row.classList.contains('submetric-heading') && matches(row));
+                    const shown = !active || parentMatch || childMatches.length > 0;
+                    block.forEach(row => {
+                        row.classList.toggle('filter-hidden', !shown);
+                        row.classList.toggle('search-match', active && !parentMatch && childMatches.indexOf(row) !== -1);
+                    });
+                    visible += shown ? 1 : 0;
+                });
+            });
+
+            // Check and threshold items: a check also matches when the name of a group around it does
+            const groupMatches = item => {
+                for (let group = item.closest('.group-node'); group; group = group.parentElement.closest('.group-node')) {
+                    if (matches(group.querySelector(':scope > .group-summary .chart-title'))) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            tab.querySelectorAll('.check-item').forEach(item => {
+                const shown = (matches(item) || groupMatches(item)) && (!failedOnly || item.classList.contains('failed'));
+                item.classList.toggle('filter-hidden', !shown);
+                visible += shown ? 1 : 0;
+            });
+
+            // Groups without visible checks are hidden, groups with matches are expanded
+            tab.querySelectorAll('.group-node').forEach(group => {
+                const shown = !active || group.querySelector('.check-item:not(.filter-hidden)') !== null;
+                group.classList.toggle('filter-hidden', !shown);
+                if (active && shown) {
+                    group.open = true;
+                }
+            });
+            tab.querySelectorAll('.chart-container').forEach(container => {
+                const items = container.querySelectorAll('.check-item, .metrics-table tbody tr');
+                const shown = !active || items.length === 0 || container.querySelector('.check-item:not(.filter-hidden), .metrics-table tbody tr:not(.filter-hidden)') !== null;
+                container.classList.toggle('filter-hidden', !shown);
+            });
+
+            tools.querySelector('.filter-count').textContent = active ? visible + ' matching' : '';
         }
 
+        // Sort a metrics table when one of its column headers is clicked
+        document.addEventListener('click', event => {
+            const th = event.target.closest('.metrics-table thead th');
+            if (th) {
+                sortTable(th);
+            }
+        });
+
         /**
          * Animate progress bars on page load
          * Progress bars start at 0 width and animate to their final width
@@ -839,31 +2154,421 @@ function generateModernHTML(data, title, subtitle, httpMethod, additionalInfo, s
                 setTimeout(() => { bar.style.width = width; }, 100); // Animate to final width
             });
         });
-    </script>
+
+        /**
+         * Expand all groups while printing, as the content of closed <details> is not printed,
+         * and collapse them again afterwards
+         */
+        window.addEventListener('beforeprint', () => {
+            document.querySelectorAll('details:not([open])').forEach(details => {
+                details.open = true;
+                details.setAttribute('data-print-opened', '');
+            });
+        });
+        window.addEventListener('afterprint', () => {
+            document.querySelectorAll('details[data-print-opened]').forEach(details => {
+                details.open = false;
+                details.removeAttribute('data-print-opened');
+            });
+        });
+    </script>`}
 </body>
 </html>`;
+
+    const report = addPrintToc(printLayout ? openAllDetails(html) : html);
+    return selfContained ? inlineIcons(report) : report;
 }
 
 /**
- * Calculate summary statistics from k6 test data
- * Processes metrics, checks, and thresholds to generate summary numbers
+ * Fill the print table of contents with a link to every tab in the document
+ * The entries are taken from the tab panels' data-title attributes, so conditional tabs are only listed when present
  * 
- * @param {Object} data - The k6 test results data object
- * @returns {Object} Object containing calculated statistics
+ * @param {string} html - HTML document with an empty <nav class="print-toc">
+ * @returns {string} HTML document with the table of contents
  */
-function calculateStats(data) {
-    // Initialize stats object with default values
-    const stats = {
-        totalRequests: 0,
-        successfulRequests: 0,
-        failedRequests: 0,
-        successRate: 0,
-        errorRate: 0,
-        avgResponseTime: 0,
-        p95ResponseTime: 0,
-        maxResponseTime: 0,
-        minResponseTime: 0,
-        thresholdFailures: 0,
+function addPrintToc(html) {
+    const entries = [];
+    const pattern = /<div id="([a-z]+)" class="tab-content[^"]*" data-title="([^"]*)">/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        entries.push(`<li><a href="#${match[1]}">${match[2]}</a></li>`);
+    }
+    const toc = `<nav class="print-toc"><h2 class="chart-title"><i class="fas fa-list"></i> Contents</h2><ol>${entries.join('')}</ol></nav>`;
+    return html.replace('<nav class="print-toc"></nav>', toc);
+}
+
+/**
+ * Render every collapsible group expanded, for static print-first documents without script
+ * 
+ * @param {string} html - HTML document
+ * @returns {string} HTML document with all <details> elements open
+ */
+function openAllDetails(html) {
+    return html.replace(/<details(?![^>]*\sopen[\s>])/g, '<details open');
+}
+
+/**
+ * Built-in color palettes, written to the report as CSS custom properties
+ * (e.g. accentSecondary becomes --accent-secondary). A custom theme can override
+ * any of these keys through theme.colors.
+ */
+const THEMES = {
+    light: {
+        colorScheme: 'light',
+        pageBackground: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        surface: 'white',
+        surfaceAlt: '#f8f9fa',
+        surfaceSunken: '#fbfbfe',
+        border: '#e9ecef',
+        text: '#333',
+        heading: '#2c3e50',
+        muted: '#6c757d',
+        subtle: '#95a5a6',
+        accent: '#667eea',
+        accentSecondary: '#764ba2',
+        accentSoft: 'rgba(102, 126, 234, 0.1)',
+        accentGradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        success: '#28a745',
+        successSoft: '#d4edda',
+        successStrong: '#155724',
+        error: '#dc3545',
+        errorSoft: '#f8d7da',
+        errorStrong: '#721c24',
+        warning: '#f2994a',
+        warningSoft: '#fff3cd',
+        warningStrong: '#856404',
+        passGradient: 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)',
+        failGradient: 'linear-gradient(135deg, #eb3349 0%, #f45c43 100%)',
+        warnGradient: 'linear-gradient(90deg, #f2994a 0%, #f2c94c 100%)',
+        shadow: 'rgba(0, 0, 0, 0.1)',
+    },
+    dark: {
+        colorScheme: 'dark',
+        pageBackground: 'linear-gradient(135deg, #1e2140 0%, #2d1b3d 100%)',
+        surface: '#1f2430',
+        surfaceAlt: '#272d3b',
+        surfaceSunken: '#232836',
+        border: '#363d4e',
+        text: '#d8dde6',
+        heading: '#f0f3f8',
+        muted: '#9aa4b5',
+        subtle: '#7d8799',
+        accent: '#8c9eff',
+        accentSecondary: '#a77bd6',
+        accentSoft: 'rgba(140, 158, 255, 0.15)',
+        accentGradient: 'linear-gradient(135deg, #4c5bd4 0%, #6a3f99 100%)',
+        success: '#3ddc84',
+        successSoft: '#1e3a2a',
+        successStrong: '#7ee2a8',
+        error: '#ff6b6b',
+        errorSoft: '#4a2326',
+        errorStrong: '#ffaaaa',
+        warning: '#f5b461',
+        warningSoft: '#4a3b1e',
+        warningStrong: '#f5d08a',
+        passGradient: 'linear-gradient(135deg, #0e7c73 0%, #2bb866 100%)',
+        failGradient: 'linear-gradient(135deg, #b8283a 0%, #c94a35 100%)',
+        warnGradient: 'linear-gradient(90deg, #c7772f 0%, #c9a13a 100%)',
+        shadow: 'rgba(0, 0, 0, 0.4)',
+    },
+};
+
+/**
+ * Resolve the theme option into a base palette choice, color overrides and an optional logo
+ * 
+ * @param {string|Object} theme - 'light', 'dark', 'auto' or a custom theme object
+ *                                ({ base: 'light'|'dark'|'auto', colors: { accent: '#ff6600', ... }, logo: '<svg>...</svg>' })
+ * @returns {Object} Theme with base, colors and logo
+ */
+function resolveTheme(theme) {
+    const custom = theme && typeof theme === 'object' ? theme : { base: theme };
+    const base = ['light', 'dark', 'auto'].indexOf(custom.base) !== -1 ? custom.base : 'light';
+    return {
+        base,
+        colors: custom.colors || {},
+        logo: custom.logo || '',
+    };
+}
+
+/**
+ * Generate the CSS shared by the run report and the history page: page layout, containers,
+ * charts, the metrics table, badges and the footer
+ * Page specific rules follow it in each stylesheet and may override it
+ * 
+ * @returns {string} CSS rules, using the palette variables of generateThemeCss
+ */
+function generateBaseCss() {
+    return `
+        /* ========================================
+           GLOBAL STYLES
+           ======================================== */
+        
+        /* Reset default browser styles */
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        /* Main body styling with gradient background */
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: var(--page-background);
+            color: var(--text);
+            line-height: 1.6;
+            padding: 20px;
+            min-height: 100vh;
+        }
+
+        /* Main container with white background and shadow */
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: var(--surface);
+            border-radius: 20px;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+            overflow: hidden;
+        }
+
+        /* Inline SVG icons, sized and colored like the surrounding text */
+        .icon {
+            display: inline-block;
+            width: 1em;
+            height: 1em;
+            vertical-align: -0.125em;
+            fill: currentColor;
+            overflow: visible;
+        }
+
+        /* ========================================
+           CONTAINERS AND CHARTS
+           ======================================== */
+
+        /* Container for charts and content sections */
+        .chart-container {
+            background: var(--surface);
+            border-radius: 15px;
+            padding: 30px;
+            box-shadow: 0 5px 15px var(--shadow);
+            margin-bottom: 30px;
+        }
+
+        /* Chart section title */
+        .chart-title {
+            font-size: 1.3em;
+            font-weight: 600;
+            margin-bottom: 20px;
+            color: var(--heading);
+        }
+
+        /* Grid of cards side by side, e.g. scenarios or charts */
+        .scenario-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+            gap: 25px;
+        }
+
+        .scenario-card {
+            margin-bottom: 0;
+        }
+
+        /* Inline SVG charts scale with their container */
+        .chart-svg {
+            display: block;
+            width: 100%;
+            height: auto;
+            font-size: 12px;
+        }
+
+        .chart-grid {
+            stroke: var(--border);
+            stroke-width: 1;
+        }
+
+        .chart-axis-label,
+        .chart-value {
+            fill: var(--muted);
+            font-size: 11px;
+        }
+
+        /* ========================================
+           TIMELINE CHARTS
+           ======================================== */
+
+        .timeline-line {
+            fill: none;
+            stroke: var(--accent);
+            stroke-width: 2;
+            stroke-linejoin: round;
+            stroke-linecap: round;
+        }
+
+        .timeline-point {
+            fill: var(--accent);
+        }
+
+        /* ========================================
+           METRICS TABLE
+           ======================================== */
+
+        /* Main metrics table with rounded corners */
+        .metrics-table {
+            width: 100%;
+            border-collapse: separate;
+            border-spacing: 0;
+            border-radius: 10px;
+            overflow: hidden;
+            box-shadow: 0 5px 15px var(--shadow);
+        }
+
+        /* Table header with gradient background */
+        .metrics-table thead {
+            background: var(--accent-gradient);
+            color: white;
+        }
+
+        /* Table header cells */
+        .metrics-table th {
+            padding: 15px;
+            text-align: left;
+            font-weight: 600;
+            font-size: 0.9em;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        /* Table data cells */
+        .metrics-table td {
+            padding: 15px;
+            border-bottom: 1px solid var(--border);
+        }
+
+        /* Remove border from last row */
+        .metrics-table tbody tr:last-child td {
+            border-bottom: none;
+        }
+
+        /* ========================================
+           BADGES AND INDICATORS
+           ======================================== */
+        
+        /* Generic badge styling */
+        .badge {
+            display: inline-block;
+            padding: 5px 12px;
+            border-radius: 20px;
+            font-size: 0.85em;
+            font-weight: 600;
+        }
+
+        /* Success badge (green) */
+        .badge-success {
+            background: var(--success-soft);
+            color: var(--success-strong);
+        }
+
+        /* Error badge (red) */
+        .badge-error {
+            background: var(--error-soft);
+            color: var(--error-strong);
+        }
+
+        /* Warning badge (yellow) */
+        .badge-warning {
+            background: var(--warning-soft);
+            color: var(--warning-strong);
+        }
+
+        /* Neutral badge (grey), e.g. for objectives without data */
+        .badge-neutral {
+            background: var(--surface-sunken);
+            color: var(--muted);
+        }
+
+        /* Good metric value (green text) */
+        .metric-value-good {
+            color: var(--success);
+            font-weight: 600;
+        }
+
+        /* Bad metric value (red text) */
+        .metric-value-bad {
+            color: var(--error);
+            font-weight: 600;
+        }
+
+        /* ========================================
+           FOOTER
+           ======================================== */
+        
+        /* Footer section */
+        .footer {
+            text-align: center;
+            padding: 30px;
+            background: var(--surface-alt);
+            color: var(--muted);
+            font-size: 0.9em;
+        }
+
+        /* Footer links */
+        .footer a {
+            color: var(--accent);
+            text-decoration: none;
+            font-weight: 600;
+        }
+
+        .footer a:hover {
+            text-decoration: underline;
+        }
+`;
+}
+
+/**
+ * Generate the CSS custom properties for a theme
+ * The light and dark palettes are both included so the header toggle can switch between them;
+ * the 'auto' theme picks one through the prefers-color-scheme media query.
+ * Printing always uses the light palette to save ink.
+ * 
+ * @param {Object} theme - Theme from resolveTheme
+ * @param {string} printMedia - Media query of the print stylesheet ('print', or 'all' for print-first documents)
+ * @returns {string} CSS rules defining the palette variables
+ */
+function generateThemeCss(theme, printMedia = 'print') {
+    const declarations = palette => Object.keys(palette)
+        .map(key => `${key === 'colorScheme' ? 'color-scheme' : `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`}: ${palette[key]};`)
+        .join(' ');
+    const light = declarations(Object.assign({}, THEMES.light, theme.colors));
+    const dark = declarations(Object.assign({}, THEMES.dark, theme.colors));
+
+    let css = `:root, :root[data-theme="light"] { ${light} }\n`;
+    css += `        :root[data-theme="dark"] { ${dark} }\n`;
+    if (theme.base === 'auto') {
+        css += `        @media (prefers-color-scheme: dark) { :root:not([data-theme]) { ${dark} } }\n`;
+    }
+    css += `        @media ${printMedia} { :root, :root[data-theme] { ${light} } }\n`;
+    return css;
+}
+
+/**
+ * Calculate summary statistics from k6 test data
+ * Processes metrics, checks, and thresholds to generate summary numbers
+ * 
+ * @param {Object} data - The k6 test results data object
+ * @returns {Object} Object containing calculated statistics
+ */
+function calculateStats(data) {
+    // Initialize stats object with default values
+    const stats = {
+        totalRequests: 0,
+        successfulRequests: 0,
+        failedRequests: 0,
+        successRate: 0,
+        errorRate: 0,
+        avgResponseTime: 0,
+        p95ResponseTime: 0,
+        maxResponseTime: 0,
+        minResponseTime: 0,
+        thresholdFailures: 0,
         thresholdCount: 0,
         checkFailures: 0,
         checkPasses: 0,
@@ -873,9 +2578,15 @@ function calculateStats(data) {
         iterations: 0,
         dataReceived: 0,
         dataSent: 0,
-        testDuration: 0
+        testDuration: 0,
+        requestsPerSecond: 0,
+        iterationsPerSecond: 0,
+        protocols: []
     };
 
+    // Protocols (HTTP, WebSocket, gRPC) that were actually used during the run
+    stats.protocols = detectProtocols(data).map(protocol => protocol.id);
+
     // Extract HTTP request count
     if (data.metrics.http_reqs) {
         stats.totalRequests = data.metrics.http_reqs.values.count || 0;
@@ -909,6 +2620,16 @@ function calculateStats(data) {
         stats.iterations = data.metrics.iterations.values.count || 0;
     }
 
+    // Extract test run duration and throughput (requests and iterations per second)
+    if (data.state && typeof data.state.testRunDurationMs === 'number') {
+        stats.testDuration = data.state.testRunDurationMs;
+        const seconds = stats.testDuration / 1000;
+        if (seconds > 0) {
+            stats.requestsPerSecond = (stats.totalRequests / seconds).toFixed(2);
+            stats.iterationsPerSecond = (stats.iterations / seconds).toFixed(2);
+        }
+    }
+
     // Extract data transfer metrics (convert bytes to megabytes)
     if (data.metrics.data_received) {
         stats.dataReceived = (data.metrics.data_received.values.count / 1000000).toFixed(2);
@@ -930,239 +2651,3723 @@ function calculateStats(data) {
         }
     }
 
-    // Count check passes and failures from root group
-    if (data.root_group.checks) {
-        const { passes, fails } = countChecks(data.root_group.checks);
-        stats.checkPasses += passes;
-        stats.checkFailures += fails;
+    // Count check passes and failures from the root group and all nested groups
+    const { passes, fails } = countGroupChecks(data.root_group);
+    stats.checkPasses += passes;
+    stats.checkFailures += fails;
+
+    stats.totalChecks = stats.checkPasses + stats.checkFailures;
+
+    return stats;
+}
+
+/**
+ * Verdict policies selectable with options.verdict, each a list of rules that must all hold
+ */
+const VERDICT_POLICIES = {
+    all: { description: 'no failed HTTP requests, checks or thresholds', rules: ['requests', 'checks', 'thresholds'] },
+    'checks+thresholds': { description: 'checks and thresholds', rules: ['checks', 'thresholds'] },
+    thresholds: { description: "thresholds only, like k6's exit code", rules: ['thresholds'] },
+};
+
+/**
+ * Presentation of the verdict statuses
+ */
+const VERDICT_STATUSES = {
+    pass: { label: '✅ ALL TESTS PASSED', word: 'PASSED', emoji: '✅', gradient: 'var(--pass-gradient)' },
+    warn: { label: '⚠️ PASSED WITH WARNINGS', word: 'WARN', emoji: '⚠️', gradient: 'var(--warn-gradient)' },
+    fail: { label: '❌ TESTS FAILED', word: 'FAILED', emoji: '❌', gradient: 'var(--fail-gradient)' },
+};
+
+/**
+ * Evaluate one rule of a verdict policy
+ * The requests rule only applies when the run made HTTP requests
+ * 
+ * @param {string} rule - Rule name ('requests', 'checks' or 'thresholds')
+ * @param {Object} stats - Pre-calculated statistics from calculateStats
+ * @returns {Object|null} Rule result with label, ok and detail, or null if the rule does not apply
+ */
+function evaluateVerdictRule(rule, stats) {
+    if (rule === 'requests') {
+        if (stats.protocols.indexOf('http') === -1) {
+            return null;
+        }
+        return { rule, label: 'HTTP requests', ok: stats.failedRequests === 0, detail: `${stats.failedRequests} of ${stats.totalRequests.toLocaleString()} failed` };
+    }
+    if (rule === 'checks') {
+        return { rule, label: 'Checks', ok: stats.checkFailures === 0, detail: `${stats.checkFailures} of ${stats.totalChecks} failed` };
+    }
+    return { rule, label: 'Thresholds', ok: stats.thresholdFailures === 0, detail: `${stats.thresholdFailures} breached` };
+}
+
+/**
+ * Decide the overall status of the run using the options.verdict policy
+ * A run that passes is downgraded to "warn" when a threshold passed as a near miss
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} stats - Pre-calculated statistics from calculateStats
+ * @param {Object} options - Report options (see htmlReport)
+ * @returns {Object} Verdict with status ('pass', 'warn' or 'fail'), passed, policy, description and rule results
+ */
+function decideVerdict(data, stats, options) {
+    let policy = options.verdict === undefined ? 'all' : options.verdict;
+    if (typeof policy !== 'function' && !VERDICT_POLICIES[policy]) {
+        console.warn(`[k6-reporter-modern] Unknown verdict policy "${policy}", using "all"`);
+        policy = 'all';
+    }
+
+    let rules;
+    if (typeof policy === 'function') {
+        // A predicate that throws fails the run instead of aborting the report
+        try {
+            rules = [{ rule: 'custom', label: 'Custom verdict', ok: Boolean(policy(toNumericStats(stats), data)), detail: '' }];
+        } catch (error) {
+            console.warn(`[k6-reporter-modern] Custom verdict failed: ${error.message}`);
+            rules = [{ rule: 'custom', label: 'Custom verdict', ok: false, detail: `threw: ${error.message}` }];
+        }
+    } else {
+        rules = VERDICT_POLICIES[policy].rules
+            .map(rule => evaluateVerdictRule(rule, stats))
+            .filter(result => result !== null);
+    }
+
+    const passed = rules.every(result => result.ok);
+    const nearMisses = evaluateThresholds(data, options.k6Options).filter(result => result.nearMiss).length;
+    if (passed && nearMisses > 0) {
+        rules.push({ rule: 'near-miss', label: 'Near misses', ok: false, detail: `${nearMisses} threshold${nearMisses === 1 ? '' : 's'} within ${Math.round((1 - NEAR_MISS_RATIO) * 100)}% of the limit` });
     }
 
-    // Count check passes and failures from all sub-groups
-    for (let group of data.root_group.groups || []) {
-        if (group.checks) {
-            const { passes, fails } = countChecks(group.checks);
-            stats.checkPasses += passes;
-            stats.checkFailures += fails;
+    return {
+        status: !passed ? 'fail' : nearMisses > 0 ? 'warn' : 'pass',
+        passed,
+        policy: typeof policy === 'function' ? 'custom' : policy,
+        description: typeof policy === 'function' ? 'custom predicate' : VERDICT_POLICIES[policy].description,
+        rules,
+    };
+}
+
+/**
+ * Describe which rules decided a verdict in one line of plain text
+ * 
+ * @param {Object} verdict - Result of decideVerdict
+ * @returns {string} Description (e.g. "Verdict: checks and thresholds - Checks: 0 of 12 failed, ...")
+ */
+function describeVerdict(verdict) {
+    const rules = verdict.rules.map(result => `${result.label}${result.detail ? `: ${result.detail}` : (result.ok ? ': passed' : ': failed')}`);
+    return `Verdict: ${verdict.description} - ${rules.join(', ')}`;
+}
+
+/**
+ * Generate the header line explaining the verdict: the policy and the outcome of each of its rules
+ * 
+ * @param {Object} verdict - Result of decideVerdict
+ * @returns {string} HTML string for the verdict explanation
+ */
+function generateVerdictRules(verdict) {
+    let html = '<div class="verdict-rules">';
+    html += `<span><i class="fas fa-scale-balanced"></i> Verdict: ${escapeHtml(verdict.description)}</span>`;
+    for (let result of verdict.rules) {
+        const icon = result.ok ? 'fa-check-circle' : result.rule === 'near-miss' ? 'fa-exclamation-triangle' : 'fa-times-circle';
+        html += `<span class="verdict-rule"><i class="fas ${icon}"></i> ${escapeHtml(result.label)}${result.detail ? `: ${escapeHtml(result.detail)}` : ''}</span>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Identifier of the document produced by jsonReport
+ */
+const REPORT_SCHEMA = 'k6-modern-reporter/report';
+
+/**
+ * Version of the jsonReport document layout
+ * Bumped whenever a field is renamed or removed; new fields may be added within a version
+ */
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Build the normalized report model returned by jsonReport
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} options - Report options (see htmlReport)
+ * @returns {Object} Report model with metadata, stats, metrics, check tree and threshold results
+ */
+function buildReportModel(data, options) {
+    const stats = calculateStats(data);
+    const verdict = decideVerdict(data, stats, options);
+    const comparison = buildComparison(data, stats, options);
+    const state = data.state || {};
+
+    const model = {
+        schema: REPORT_SCHEMA,
+        version: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        meta: {
+            title: options.title || '',
+            subtitle: options.subtitle || '',
+            httpMethod: options.httpMethod || '',
+            additionalInfo: options.additionalInfo || {},
+            testRunDurationMs: typeof state.testRunDurationMs === 'number' ? state.testRunDurationMs : null,
+        },
+        passed: verdict.passed,
+        verdict: {
+            status: verdict.status,
+            policy: verdict.policy,
+            rules: verdict.rules,
+        },
+        stats: toNumericStats(stats),
+        metrics: sortMetricNames(Object.keys(data.metrics)).map(name => {
+            const metric = data.metrics[name];
+            const parsed = parseMetricName(name);
+            return {
+                name,
+                metric: parsed.name,
+                tags: parsed.tags,
+                type: metric.type,
+                contains: metric.contains,
+                values: metric.values,
+            };
+        }),
+        checks: buildCheckTree(data.root_group || {}),
+        thresholds: evaluateThresholds(data, options.k6Options),
+        webVitals: collectWebVitals(data).vitals.map(vital => ({
+            metric: vital.metric,
+            name: vital.name,
+            p75: vital.p75,
+            p75Estimated: vital.p75Estimated,
+            rating: vital.rating,
+            good: vital.good,
+            poor: vital.poor,
+        })),
+        scenarios: collectScenarios(data, options.k6Options).map(scenario => ({
+            name: scenario.name,
+            executor: scenario.config ? scenario.config.executor || null : null,
+            config: scenario.config,
+            metrics: Object.keys(scenario.metrics).reduce((metrics, name) => {
+                metrics[name] = scenario.metrics[name].values;
+                return metrics;
+            }, {}),
+        })),
+    };
+
+    const slo = evaluateSlo(data, options.slo);
+    if (slo) {
+        model.slo = slo;
+    }
+
+    const timeSeries = collectTimeSeries(options.timeSeries);
+    if (timeSeries) {
+        model.timeSeries = timeSeries;
+    }
+
+    model.insights = collectInsights(data, stats, options);
+
+    const httpStatuses = collectHttpStatuses(data);
+    if (httpStatuses) {
+        model.httpStatuses = httpStatuses;
+    }
+
+    if (comparison) {
+        model.comparison = {
+            regressions: comparison.regressions,
+            entries: comparison.entries,
+        };
+    }
+
+    return model;
+}
+
+/**
+ * Convert the formatted numbers in a stats object (e.g. "12.34") back to numbers
+ * 
+ * @param {Object} stats - Statistics from calculateStats
+ * @returns {Object} Copy of the statistics with numeric values
+ */
+function toNumericStats(stats) {
+    const numeric = {};
+    for (let key in stats) {
+        const value = stats[key];
+        numeric[key] = typeof value === 'string' && value !== '' && !isNaN(value) ? parseFloat(value) : value;
+    }
+    return numeric;
+}
+
+/**
+ * Build a check tree from a k6 group, keeping k6's group layout (name, path, checks, groups)
+ * and adding roll-up passes/fails to every group
+ * 
+ * @param {Object} group - A k6 group object
+ * @returns {Object} Group node with passes, fails, checks and nested groups
+ */
+function buildCheckTree(group) {
+    const { passes, fails } = countGroupChecks(group);
+    return {
+        name: group.name || '',
+        path: group.path || '',
+        passes,
+        fails,
+        checks: (group.checks || []).map(check => ({
+            name: check.name,
+            path: check.path,
+            passes: parseInt(check.passes || 0),
+            fails: parseInt(check.fails || 0),
+        })),
+        groups: (group.groups || []).map(buildCheckTree),
+    };
+}
+
+/**
+ * Turn a jsonReport document back into the k6 summary layout (metrics and root_group)
+ * so it can be used wherever handleSummary data is expected, e.g. as a baseline
+ * 
+ * @param {Object} model - A document produced by jsonReport
+ * @returns {Object} Summary data with metrics, root_group and state
+ */
+function reportModelToSummary(model) {
+    const metrics = {};
+    for (let row of model.metrics || []) {
+        metrics[row.name] = { type: row.type, contains: row.contains, values: row.values };
+    }
+    for (let result of model.thresholds || []) {
+        if (metrics[result.metric]) {
+            metrics[result.metric].thresholds = metrics[result.metric].thresholds || {};
+            metrics[result.metric].thresholds[result.expression] = { ok: result.ok };
+        }
+    }
+    return {
+        metrics,
+        root_group: model.checks || {},
+        state: { testRunDurationMs: model.meta ? model.meta.testRunDurationMs : undefined },
+    };
+}
+
+/**
+ * Count total passes and fails from an array of checks
+ * 
+ * @param {Array} checks - Array of check objects
+ * @returns {Object} Object with passes and fails counts
+ */
+function countChecks(checks) {
+    let passes = 0;
+    let fails = 0;
+    for (let check of checks) {
+        passes += parseInt(check.passes || 0);
+        fails += parseInt(check.fails || 0);
+    }
+    return { passes, fails };
+}
+
+/**
+ * Display order of k6's built-in metrics in the metrics table
+ * Custom metrics are listed after these, in alphabetical order
+ */
+const BUILTIN_METRIC_ORDER = [
+    'http_req_duration',
+    'http_req_waiting',
+    'http_req_connecting',
+    'http_req_tls_handshaking',
+    'http_req_sending',
+    'http_req_receiving',
+    'http_req_blocked',
+    'iteration_duration',
+    'http_reqs',
+    'http_req_failed',
+    'iterations',
+    'dropped_iterations',
+    'data_received',
+    'data_sent',
+    'checks',
+    'vus',
+    'vus_max',
+];
+
+/**
+ * Table layout for each k6 metric type
+ * Each column reads one key from the metric's values object
+ */
+const METRIC_TYPE_SECTIONS = [
+    {
+        type: 'trend',
+        title: 'Trend Metrics',
+        icon: 'fa-chart-area',
+        columns: [
+            { label: 'Avg', key: 'avg' },
+            { label: 'Min', key: 'min', className: 'metric-value-good' },
+            { label: 'Med', key: 'med' },
+            { label: 'Max', key: 'max', className: 'metric-value-bad' },
+            { label: 'P90', key: 'p(90)' },
+            { label: 'P95', key: 'p(95)' },
+        ],
+    },
+    {
+        type: 'counter',
+        title: 'Counter Metrics',
+        icon: 'fa-calculator',
+        columns: [
+            { label: 'Count', key: 'count' },
+            { label: 'Rate', key: 'rate', perSecond: true },
+        ],
+    },
+    {
+        type: 'rate',
+        title: 'Rate Metrics',
+        icon: 'fa-percent',
+        // k6 counts non-zero samples as passes, which means failures for http_req_failed,
+        // so these columns keep k6's meaning without calling either side good or bad
+        columns: [
+            { label: 'Rate', key: 'rate', percentage: true },
+            { label: 'Non-zero', key: 'passes' },
+            { label: 'Zero', key: 'fails' },
+        ],
+    },
+    {
+        type: 'gauge',
+        title: 'Gauge Metrics',
+        icon: 'fa-gauge',
+        columns: [
+            { label: 'Value', key: 'value' },
+            { label: 'Min', key: 'min', className: 'metric-value-good' },
+            { label: 'Max', key: 'max', className: 'metric-value-bad' },
+        ],
+    },
+];
+
+/**
+ * Visit a group and all of its nested groups, depth first
+ * 
+ * @param {Object} group - A k6 group object (e.g. data.root_group)
+ * @param {Function} visit - Called with (group, parentNames) for every group, including the one passed in
+ * @param {Array<string>} parentNames - Names of the enclosing groups (used while recursing)
+ */
+function walkGroups(group, visit, parentNames = []) {
+    if (!group) {
+        return;
+    }
+    visit(group, parentNames);
+    const names = group.name ? parentNames.concat(group.name) : parentNames;
+    for (let child of group.groups || []) {
+        walkGroups(child, visit, names);
+    }
+}
+
+/**
+ * Count passes and fails of all checks in a group, including every nested group
+ * 
+ * @param {Object} group - A k6 group object
+ * @returns {Object} Object with passes and fails counts
+ */
+function countGroupChecks(group) {
+    let passes = 0;
+    let fails = 0;
+    walkGroups(group, current => {
+        const counts = countChecks(current.checks || []);
+        passes += counts.passes;
+        fails += counts.fails;
+    });
+    return { passes, fails };
+}
+
+/**
+ * Column labels for well-known trend statistics; percentiles are labelled P90, P99.9, etc.
+ */
+const TREND_STAT_LABELS = {
+    avg: 'Avg',
+    min: 'Min',
+    med: 'Med',
+    max: 'Max',
+    count: 'Count',
+};
+
+/**
+ * Time units k6 accepts as summaryTimeUnit, with their size in milliseconds and their symbol
+ */
+const SUMMARY_TIME_UNITS = {
+    s: { ms: 1000, symbol: 's' },
+    ms: { ms: 1, symbol: 'ms' },
+    us: { ms: 0.001, symbol: 'µs' },
+};
+
+/**
+ * Build the metrics table layout for a summary
+ * Trend columns follow the summaryTrendStats the test was run with (e.g. adding p(99) or count),
+ * falling back to the default Avg/Min/Med/Max/P90/P95 columns, and time values are shown
+ * in the summaryTimeUnit the test was run with, if any
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {Array<Object>} Section definitions in the same shape as METRIC_TYPE_SECTIONS
+ */
+function getMetricSections(data) {
+    const summaryOptions = data.options || {};
+    const trendStats = summaryOptions.summaryTrendStats;
+    const timeUnit = SUMMARY_TIME_UNITS[summaryOptions.summaryTimeUnit] ? summaryOptions.summaryTimeUnit : null;
+    if ((!Array.isArray(trendStats) || trendStats.length === 0) && !timeUnit) {
+        return METRIC_TYPE_SECTIONS;
+    }
+
+    const trendColumns = !Array.isArray(trendStats) || trendStats.length === 0 ? null : trendStats.map(stat => {
+        const percentile = /^p\((.+)\)$/.exec(stat);
+        return {
+            label: TREND_STAT_LABELS[stat] || (percentile ? `P${percentile[1]}` : stat),
+            key: stat,
+            className: stat === 'min' ? 'metric-value-good' : stat === 'max' ? 'metric-value-bad' : undefined,
+            // The sample count of a time trend is a plain number, not a duration
+            plain: stat === 'count',
+        };
+    });
+
+    return METRIC_TYPE_SECTIONS.map(section => {
+        const columns = section.type === 'trend' && trendColumns ? trendColumns : section.columns;
+        return Object.assign({}, section, { columns: timeUnit ? columns.map(column => Object.assign({ timeUnit }, column)) : columns });
+    });
+}
+
+/**
+ * Generate the metrics table HTML for every metric in the k6 summary
+ * Metrics are grouped into one table per k6 metric type (trend, counter, rate, gauge)
+ * Tagged sub-metrics are nested under their parent as collapsible rows, grouped by tag
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @param {string} idPrefix - Prefix of the row ids, so the same metric can be listed in several tabs
+ * @returns {string} HTML string for the metrics tables
+ */
+function generateMetricsTable(data, comparison, idPrefix = 'metric') {
+    const allNames = Object.keys(data.metrics);
+    const subMetrics = collectSubMetrics(allNames);
+    // Sub-metrics whose parent is missing from the summary are shown as top-level rows
+    const topLevelNames = allNames.filter(name => {
+        const parsed = parseMetricName(name);
+        return !parsed.tagKey || !data.metrics[parsed.name];
+    });
+    const metricNames = sortMetricNames(topLevelNames);
+    let html = '';
+
+    for (let section of getMetricSections(data)) {
+        const names = metricNames.filter(name => data.metrics[name].type === section.type);
+        if (names.length === 0) {
+            continue;
+        }
+
+        html += `<div class="chart-container"><h3 class="chart-title"><i class="fas ${section.icon}"></i> ${section.title}</h3>`;
+        html += '<table class="metrics-table"><thead><tr>';
+        html += '<th>Metric</th>';
+        for (let column of section.columns) {
+            html += `<th>${column.label}</th>`;
+        }
+        html += '</tr></thead><tbody>';
+
+        // Generate table row for each metric of this type, followed by its sub-metric rows
+        for (let metricName of names) {
+            const children = subMetrics[metricName] || [];
+            const rowId = domId(idPrefix, metricName);
+
+            html += `<tr id="${rowId}">`;
+            html += '<td>';
+            if (children.length > 0) {
+                html += `<button class="expand-toggle" onclick="toggleSubMetrics(this, '${rowId}')" title="Show tagged sub-metrics"><i class="fas fa-chevron-right"></i></button>`;
+            }
+            html += `<strong>${escapeHtml(metricName)}</strong>`;
+            if (children.length > 0) {
+                html += ` <span class="submetric-count">${children.length} tagged</span>`;
+            }
+            html += generateCopyLink(rowId);
+            html += '</td>';
+            html += generateMetricCells(metricName, data.metrics[metricName], section, comparison);
+            html += '</tr>';
+
+            html += generateSubMetricRows(data, children, section, rowId, comparison, idPrefix);
+        }
+
+        html += '</tbody></table></div>';
+    }
+
+    // Show message if the summary has no metrics at all
+    if (!html) {
+        return '<div class="chart-container"><p style="color: var(--muted);">No metrics recorded for this test</p></div>';
+    }
+
+    const timeUnit = SUMMARY_TIME_UNITS[(data.options || {}).summaryTimeUnit];
+    const timeNote = timeUnit ? `Time metrics are shown in ${timeUnit.symbol} (summaryTimeUnit)` : 'Time metrics are scaled to µs, ms or s';
+    html += `<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> ${timeNote} and data metrics are scaled to B, kB, MB or GB</p>`;
+    if (allNames.some(name => data.metrics[name].estimates)) {
+        html += `<p style="margin-top: 5px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> Combined from ${data.sources.length} sources: values marked ≤ are upper-bound estimates (the highest value of any source), values marked ≈ are approximate</p>`;
+    }
+
+    return html;
+}
+
+/**
+ * Generate the value cells of one metrics table row
+ * 
+ * @param {string} metricName - Full metric name as it appears in data.metrics
+ * @param {Object} metric - A k6 metric object with type, contains and values
+ * @param {Object} section - Section definition from METRIC_TYPE_SECTIONS
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @returns {string} HTML string of table cells
+ */
+function generateMetricCells(metricName, metric, section, comparison) {
+    let html = '';
+    for (let column of section.columns) {
+        let value = formatMetricColumn(metric, column);
+        if (comparison && comparison.lookup[`${metricName}|${column.key}`]) {
+            value += generateBaselineDelta(comparison.lookup[`${metricName}|${column.key}`], metric);
+        }
+        html += column.className ? `<td class="${column.className}">${value}</td>` : `<td>${value}</td>`;
+    }
+    return html;
+}
+
+/**
+ * Generate the collapsible child rows for a metric's tagged sub-metrics
+ * Sub-metrics sharing the same tag keys (e.g. all {name:...} rows) are listed together
+ * under a tag heading, giving a per-tag breakdown such as one row per endpoint
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Array<Object>} children - Parsed sub-metrics from collectSubMetrics
+ * @param {Object} section - Section definition from METRIC_TYPE_SECTIONS
+ * @param {string} parentId - DOM id of the parent metric row
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @param {string} idPrefix - Prefix of the row ids (see generateMetricsTable)
+ * @returns {string} HTML string of hidden table rows
+ */
+function generateSubMetricRows(data, children, section, parentId, comparison, idPrefix = 'metric') {
+    let html = '';
+    let currentTagKey = null;
+
+    for (let child of children) {
+        // Start a new breakdown heading whenever the tag key changes
+        if (child.tagKey !== currentTagKey) {
+            currentTagKey = child.tagKey;
+            html += `<tr class="submetric-row submetric-heading" data-parent="${parentId}">`;
+            html += `<td colspan="${section.columns.length + 1}"><i class="fas fa-tags"></i> by ${escapeHtml(child.tagKey)}</td>`;
+            html += '</tr>';
+        }
+
+        const tagLabel = Object.keys(child.tags).sort().map(key => `${key}:${child.tags[key]}`).join(', ');
+        const rowId = domId(idPrefix, child.fullName);
+        html += `<tr id="${rowId}" class="submetric-row" data-parent="${parentId}">`;
+        html += `<td title="${escapeHtml(child.fullName)}">${escapeHtml(`{${tagLabel}}`)}${generateCopyLink(rowId)}</td>`;
+        html += generateMetricCells(child.fullName, data.metrics[child.fullName], section, comparison);
+        html += '</tr>';
+    }
+
+    return html;
+}
+
+/**
+ * Separator between tag pairs inside a sub-metric name: a comma that is
+ * followed by a tag key and its colon
+ */
+const TAG_PAIR_SEPARATOR = /,(?=\s*[A-Za-z_][\w.-]*:)/;
+
+/**
+ * Parse a k6 metric name into its base name and tag filter
+ * e.g. "http_req_duration{name:login,method:GET}" becomes
+ * { name: 'http_req_duration', tags: { name: 'login', method: 'GET' }, tagKey: 'method, name' }
+ * 
+ * @param {string} fullName - Metric name as it appears in data.metrics
+ * @returns {Object} Parsed name with base name, tags object and sorted tag key list (empty for plain metrics)
+ */
+function parseMetricName(fullName) {
+    const braceIndex = fullName.indexOf('{');
+    if (braceIndex === -1 || !fullName.endsWith('}')) {
+        return { fullName, name: fullName, tags: {}, tagKey: '' };
+    }
+
+    const tags = {};
+    const tagString = fullName.slice(braceIndex + 1, -1);
+    // Only a comma followed by a "key:" token starts a new pair, so values such as
+    // "url:https://example.com/?ids=1,2" keep their commas
+    for (let pair of tagString.split(TAG_PAIR_SEPARATOR)) {
+        // Only the first colon separates key from value; values such as URLs may contain more
+        const colonIndex = pair.indexOf(':');
+        if (colonIndex === -1) {
+            continue;
+        }
+        tags[pair.slice(0, colonIndex).trim()] = pair.slice(colonIndex + 1).trim();
+    }
+
+    return {
+        fullName,
+        name: fullName.slice(0, braceIndex),
+        tags,
+        tagKey: Object.keys(tags).sort().join(', '),
+    };
+}
+
+/**
+ * Collect all tagged sub-metrics and group them by parent metric name
+ * Children are sorted by tag key first and tag values second
+ * 
+ * @param {Array<string>} names - Metric names from data.metrics
+ * @returns {Object} Map of parent metric name to an array of parsed sub-metrics
+ */
+function collectSubMetrics(names) {
+    const byParent = {};
+    for (let name of names) {
+        const parsed = parseMetricName(name);
+        if (!parsed.tagKey) {
+            continue;
+        }
+        (byParent[parsed.name] = byParent[parsed.name] || []).push(parsed);
+    }
+    for (let parent in byParent) {
+        byParent[parent].sort((a, b) => a.tagKey.localeCompare(b.tagKey) || a.fullName.localeCompare(b.fullName));
+    }
+    return byParent;
+}
+
+/**
+ * Sort metric names for display: built-in metrics first, then custom metrics alphabetically
+ * 
+ * @param {Array<string>} names - Metric names from data.metrics
+ * @returns {Array<string>} Sorted metric names
+ */
+function sortMetricNames(names) {
+    const rank = name => {
+        const index = BUILTIN_METRIC_ORDER.indexOf(name);
+        return index === -1 ? BUILTIN_METRIC_ORDER.length : index;
+    };
+    return names.slice().sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Format a single metrics table cell according to the column and the metric's unit
+ * 
+ * @param {Object} metric - A k6 metric object with type, contains and values
+ * @param {Object} column - Column definition from METRIC_TYPE_SECTIONS
+ * @returns {string} Formatted cell value
+ */
+function formatMetricColumn(metric, column) {
+    const value = metric.values[column.key];
+    if (value === undefined || value === null) {
+        return '-';
+    }
+    if (column.percentage) {
+        return `${estimateMark(metric, column.key)}${(value * 100).toFixed(2)}%`;
+    }
+    const formatted = estimateMark(metric, column.key) + formatMetricValue(value, column.plain ? 'default' : metric.contains, column.timeUnit);
+    return column.perSecond ? `${formatted}/s` : formatted;
+}
+
+/**
+ * Format a raw metric value according to what the metric contains
+ * 
+ * @param {number} value - Raw metric value (milliseconds for time, bytes for data)
+ * @param {string} contains - The k6 value type: 'time', 'data' or 'default'
+ * @param {string} timeUnit - summaryTimeUnit to show time values in ('s', 'ms' or 'us'), picked per value if not set
+ * @returns {string} Human readable value with unit
+ */
+function formatMetricValue(value, contains, timeUnit) {
+    if (contains === 'time') {
+        return formatDuration(value, timeUnit);
+    }
+    if (contains === 'data') {
+        return formatBytes(value);
+    }
+    return formatNumber(value);
+}
+
+/**
+ * Format a duration given in milliseconds using the most readable unit, or the given one
+ * 
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} unit - summaryTimeUnit to use ('s', 'ms' or 'us'), picked by size if not set
+ * @returns {string} Formatted duration (e.g. "850.00 µs", "340.12 ms", "1.20 s")
+ */
+function formatDuration(ms, unit) {
+    if (SUMMARY_TIME_UNITS[unit]) {
+        return `${(ms / SUMMARY_TIME_UNITS[unit].ms).toFixed(2)} ${SUMMARY_TIME_UNITS[unit].symbol}`;
+    }
+    if (ms !== 0 && Math.abs(ms) < 1) {
+        return `${(ms * 1000).toFixed(2)} µs`;
+    }
+    if (Math.abs(ms) < 1000) {
+        return `${ms.toFixed(2)} ms`;
+    }
+    return `${(ms / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Format a byte count using decimal units, as k6 does
+ * 
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Formatted size (e.g. "512 B", "5.23 MB")
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (Math.abs(value) >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+    return unit === 0 ? `${Math.round(value)} ${units[unit]}` : `${value.toFixed(2)} ${units[unit]}`;
+}
+
+/**
+ * Format a plain number: integers get thousands separators, fractions two decimals
+ * 
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+    return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+}
+
+/**
+ * Generate the "copy link" button of a metric row, check or threshold
+ * The embedded copyLink script copies a URL that opens the report on this item
+ * 
+ * @param {string} id - Element id of the item
+ * @returns {string} HTML string for the button
+ */
+function generateCopyLink(id) {
+    return `<button class="copy-link" onclick="copyLink(event, '${id}')" title="Copy link to this item"><i class="fas fa-link"></i></button>`;
+}
+
+/**
+ * Generate the search toolbar shown at the top of a tab
+ * The embedded filterTab script filters the tab's table rows, checks and thresholds
+ * 
+ * @param {string} placeholder - Placeholder text of the search box
+ * @param {boolean} failedToggle - Whether to offer a "failed only" toggle
+ * @returns {string} HTML string for the toolbar
+ */
+function generateTableTools(placeholder, failedToggle) {
+    let html = '<div class="table-tools">';
+    html += '<i class="fas fa-magnifying-glass"></i>';
+    html += `<input type="search" class="tab-search" placeholder="${escapeHtml(placeholder)}" oninput="filterTab(this)" aria-label="${escapeHtml(placeholder)}">`;
+    if (failedToggle) {
+        html += '<label class="failed-only"><input type="checkbox" onchange="filterTab(this)"> <i class="fas fa-filter"></i> Failed only</label>';
+    }
+    html += '<span class="filter-count"></span>';
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Generate the checks section HTML
+ * Displays all test checks as a collapsible tree of (nested) groups, each with
+ * roll-up pass/fail counts; groups containing a failed check are expanded
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {string} HTML string for the checks section
+ */
+function generateChecksSection(data) {
+    let html = '';
+
+    // Process checks from all groups, recursing into nested groups
+    for (let group of data.root_group.groups || []) {
+        html += `<div class="chart-container">`;
+        html += generateGroupNode(group, []);
+        html += `</div>`;
+    }
+
+    // Process checks from root group (ungrouped checks)
+    if (data.root_group.checks && data.root_group.checks.length > 0) {
+        html += `<div class="chart-container">`;
+        html += `<h3 class="chart-title"><i class="fas fa-list-check"></i> Other Checks</h3>`;
+        html += generateCheckItems(data.root_group.checks);
+        html += `</div>`;
+    }
+
+    // Show message if no checks were configured
+    if (!html) {
+        html = '<div class="chart-container"><p style="color: var(--muted);">No checks configured for this test</p></div>';
+    }
+
+    return html;
+}
+
+/**
+ * Generate a collapsible group node with its checks and nested groups
+ * 
+ * @param {Object} group - A k6 group object
+ * @param {Array<string>} parentNames - Names of the enclosing groups
+ * @returns {string} HTML string for the group and its descendants
+ */
+function generateGroupNode(group, parentNames) {
+    const { passes, fails } = countGroupChecks(group);
+    const names = parentNames.concat(group.name);
+    const hasChecks = group.checks && group.checks.length > 0;
+    const hasGroups = group.groups && group.groups.length > 0;
+
+    let html = `<details id="${domId('group', group.path || names.join('::'))}" class="group-node ${fails > 0 ? 'has-failures' : ''}"${fails > 0 ? ' open' : ''}>`;
+    html += `<summary class="group-summary">`;
+    html += `<span class="chart-title"><i class="fas fa-layer-group"></i> Group: ${escapeHtml(group.name)}</span>`;
+    if (parentNames.length > 0) {
+        html += `<span class="group-path">${names.map(escapeHtml).join(' › ')}</span>`;
+    }
+    html += `<span class="check-stats">`;
+    html += `<span class="badge badge-success"><i class="fas fa-check"></i> ${passes} passed</span>`;
+    if (fails > 0) {
+        html += `<span class="badge badge-error"><i class="fas fa-times"></i> ${fails} failed</span>`;
+    }
+    html += `</span>`;
+    html += `</summary>`;
+
+    // Display each check in the group
+    if (hasChecks) {
+        html += generateCheckItems(group.checks);
+    } else if (!hasGroups) {
+        html += `<p style="color: var(--muted);">No checks in this group</p>`;
+    }
+
+    // Nested groups are rendered inside their parent
+    for (let child of group.groups || []) {
+        html += `<div class="group-children">${generateGroupNode(child, names)}</div>`;
+    }
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Generate check result items for a list of checks
+ * 
+ * @param {Array} checks - Array of k6 check objects
+ * @returns {string} HTML string with one item per check
+ */
+function generateCheckItems(checks) {
+    let html = '';
+    for (let check of checks) {
+        const itemId = domId('check', check.path || check.name);
+        html += `<div id="${itemId}" class="check-item${check.fails > 0 ? ' failed' : ''}">`;
+        html += `<div class="check-name">${escapeHtml(check.name)}${generateCopyLink(itemId)}</div>`;
+        html += `<div class="check-stats">`;
+        html += `<span class="badge badge-success"><i class="fas fa-check"></i> ${check.passes} passed</span>`;
+        if (check.fails > 0) {
+            html += `<span class="badge badge-error"><i class="fas fa-times"></i> ${check.fails} failed</span>`;
+        }
+        html += `</div></div>`;
+    }
+    return html;
+}
+
+/**
+ * Operators accepted in k6 threshold expressions, longest first so "<=" wins over "<"
+ */
+const THRESHOLD_OPERATORS = ['===', '==', '!=', '<=', '>=', '<', '>'];
+
+/**
+ * Share of a threshold's limit that a passing threshold may consume before it is
+ * highlighted as a near miss (e.g. p(95)=950ms against p(95)<1000 uses 95%)
+ */
+const NEAR_MISS_RATIO = 0.9;
+
+/**
+ * Parse a k6 threshold expression such as "p(95)<1000", "rate==0.00" or "avg < 200"
+ * 
+ * @param {string} expression - Threshold expression as used in data.metrics[name].thresholds
+ * @returns {Object|null} Object with stat, operator and limit, or null if the expression is not understood
+ */
+function parseThresholdExpression(expression) {
+    const compact = String(expression).replace(/\s+/g, '');
+    for (let operator of THRESHOLD_OPERATORS) {
+        const index = compact.indexOf(operator);
+        if (index <= 0) {
+            continue;
+        }
+        const limit = parseFloat(compact.slice(index + operator.length));
+        if (isNaN(limit)) {
+            return null;
+        }
+        return { stat: compact.slice(0, index), operator, limit };
+    }
+    return null;
+}
+
+/**
+ * Collect the threshold definitions that were declared with abortOnFail in the test's k6 options
+ * 
+ * @param {Object} k6Options - The test script's exported k6 options object
+ * @returns {Object} Map of "metric|expression" keys for thresholds that abort the test on failure
+ */
+function collectAbortOnFail(k6Options) {
+    const aborting = {};
+    const thresholds = (k6Options && k6Options.thresholds) || {};
+    for (let metricName in thresholds) {
+        for (let definition of [].concat(thresholds[metricName])) {
+            if (definition && typeof definition === 'object' && definition.abortOnFail) {
+                aborting[`${metricName}|${String(definition.threshold).replace(/\s+/g, '')}`] = true;
+            }
+        }
+    }
+    return aborting;
+}
+
+/**
+ * Evaluate every threshold in the summary against the metric's observed values
+ * The pass/fail outcome always comes from k6 (or from aggregateReport); the observed value, margin
+ * and usage are derived from the metric values so the report can show how close each threshold came.
+ * Thresholds that aggregateReport could only decide per source (perSource) get no margin, as their
+ * observed value is an estimate
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} k6Options - The test script's exported k6 options object (optional)
+ * @returns {Array<Object>} One result per threshold expression
+ */
+function evaluateThresholds(data, k6Options) {
+    const aborting = collectAbortOnFail(k6Options);
+    const results = [];
+
+    for (let metricName in data.metrics) {
+        const metric = data.metrics[metricName];
+        for (let expression in metric.thresholds || {}) {
+            const parsed = parseThresholdExpression(expression);
+            const result = {
+                metric: metricName,
+                expression,
+                ok: metric.thresholds[expression].ok,
+                abortOnFail: !!aborting[`${metricName}|${expression.replace(/\s+/g, '')}`],
+                stat: parsed ? parsed.stat : null,
+                operator: parsed ? parsed.operator : null,
+                limit: parsed ? parsed.limit : null,
+                observed: null,
+                margin: null,
+                marginPercent: null,
+                usage: null,
+                nearMiss: false,
+                perSource: !!metric.thresholds[expression].perSource,
+            };
+
+            const observed = parsed ? metric.values[parsed.stat] : undefined;
+            if (typeof observed === 'number') {
+                result.observed = observed;
+            }
+            if (typeof observed === 'number' && !result.perSource) {
+                Object.assign(result, measureThresholdMargin(observed, parsed.operator, parsed.limit));
+                result.nearMiss = result.ok && result.usage !== null && result.usage >= NEAR_MISS_RATIO;
+            }
+
+            results.push(result);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Work out how much headroom an observed value has against a threshold limit
+ * A positive margin means the value is on the passing side of the limit
+ * 
+ * @param {number} observed - Observed metric value
+ * @param {string} operator - Threshold operator
+ * @param {number} limit - Threshold limit
+ * @returns {Object} margin, marginPercent (relative to the limit) and usage (0..1+ share of the limit consumed)
+ */
+function measureThresholdMargin(observed, operator, limit) {
+    let margin;
+    let usage = null;
+
+    if (operator === '<' || operator === '<=') {
+        margin = limit - observed;
+        if (limit > 0) {
+            usage = observed / limit;
+        }
+    } else if (operator === '>' || operator === '>=') {
+        margin = observed - limit;
+        if (observed > 0) {
+            usage = limit / observed;
+        }
+    } else {
+        // Equality operators have no headroom, only a deviation from the expected value
+        margin = -Math.abs(observed - limit);
+    }
+
+    return {
+        margin,
+        marginPercent: limit !== 0 ? (margin / Math.abs(limit)) * 100 : null,
+        usage,
+    };
+}
+
+/**
+ * Check an observed value against a threshold limit, as k6 does
+ * 
+ * @param {number} observed - Observed metric value
+ * @param {string} operator - Threshold operator
+ * @param {number} limit - Threshold limit
+ * @returns {boolean} True if the threshold holds
+ */
+function thresholdHolds(observed, operator, limit) {
+    if (operator === '<') {
+        return observed < limit;
+    }
+    if (operator === '<=') {
+        return observed <= limit;
+    }
+    if (operator === '>') {
+        return observed > limit;
+    }
+    if (operator === '>=') {
+        return observed >= limit;
+    }
+    return operator === '!=' ? observed !== limit : observed === limit;
+}
+
+/**
+ * Format a value of one of a metric's statistics in the metric's unit
+ * (e.g. a threshold's observed value, limit or margin, or a baseline value)
+ * Rate metrics are shown as percentages; counter rates as per-second values
+ * 
+ * @param {number} value - Value to format
+ * @param {Object} metric - The k6 metric the threshold belongs to
+ * @param {string} stat - The aggregation used by the threshold (e.g. 'p(95)', 'rate', 'count')
+ * @returns {string} Formatted value
+ */
+function formatStatValue(value, metric, stat) {
+    if (metric.type === 'rate' && stat === 'rate') {
+        return `${(value * 100).toFixed(2)}%`;
+    }
+    const formatted = formatMetricValue(value, metric.contains);
+    return metric.type === 'counter' && stat === 'rate' ? `${formatted}/s` : formatted;
+}
+
+/**
+ * Generate the thresholds section HTML
+ * Displays pass/fail status for all configured thresholds along with the observed value,
+ * the limit, the remaining margin and a gauge showing how much of the limit was used
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} options - Report options passed to htmlReport
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @returns {string} HTML string for the thresholds section
+ */
+function generateThresholdsSection(data, options, comparison) {
+    const results = evaluateThresholds(data, options.k6Options);
+    const passedCount = results.filter(result => result.ok).length;
+    const failedCount = results.length - passedCount;
+
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-gauge-high"></i> Threshold Results</h3>';
+
+    // Show message if no thresholds configured
+    if (results.length === 0) {
+        html += '<p style="color: var(--muted); text-align: center; padding: 40px;">No thresholds configured for this test</p>';
+        html += '</div>';
+        return html;
+    }
+
+    // Summary cards at the top showing passed/failed counts
+    html += `
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px;">
+                <div style="background: var(--success-soft); padding: 20px; border-radius: 10px; text-align: center;">
+                    <div style="font-size: 2.5em; font-weight: 700; color: var(--success-strong);">${passedCount}</div>
+                    <div style="color: var(--success-strong); font-weight: 600;">Passed</div>
+                </div>
+                <div style="background: var(--error-soft); padding: 20px; border-radius: 10px; text-align: center;">
+                    <div style="font-size: 2.5em; font-weight: 700; color: var(--error-strong);">${failedCount}</div>
+                    <div style="color: var(--error-strong); font-weight: 600;">Failed</div>
+                </div>
+            </div>`;
+
+    for (let result of results) {
+        const isPassed = result.ok;
+        const itemId = domId('threshold', `${result.metric} ${result.expression}`);
+
+        // Create threshold result card
+        html += `<div id="${itemId}" class="check-item${isPassed ? '' : ' failed'}" style="border-left: 4px solid ${isPassed ? (result.nearMiss ? 'var(--warning)' : 'var(--success)') : 'var(--error)'};">`;
+        html += `<div style="flex: 1;">`;
+        html += `<div style="font-weight: 600; margin-bottom: 5px;">`;
+        html += `<i class="fas fa-${isPassed ? 'check-circle' : 'times-circle'}" style="color: ${isPassed ? 'var(--success)' : 'var(--error)'};"></i> `;
+        html += `${escapeHtml(result.metric)}`;
+        if (result.abortOnFail) {
+            html += ` <span class="abort-badge" title="The test is aborted as soon as this threshold fails"><i class="fas fa-stop"></i> abortOnFail</span>`;
+        }
+        html += generateCopyLink(itemId);
+        html += `</div>`;
+        html += `<div style="color: var(--muted); font-size: 0.9em; font-family: monospace;">`;
+        html += `${escapeHtml(result.expression)}`;
+        html += `</div>`;
+        html += generateThresholdDetails(result, data.metrics[result.metric], comparison);
+        html += `</div>`;
+        html += `<div class="check-stats">`;
+
+        if (isPassed && result.nearMiss) {
+            html += `<span class="badge badge-warning" title="Passed using ${(result.usage * 100).toFixed(0)}% of the limit">`;
+            html += `<i class="fas fa-exclamation"></i> NEAR MISS`;
+            html += `</span>`;
+        }
+        if (isPassed) {
+            html += `<span class="badge badge-success">`;
+            html += `<i class="fas fa-check"></i> PASSED`;
+            html += `</span>`;
+        } else {
+            html += `<span class="badge badge-error">`;
+            html += `<i class="fas fa-times"></i> FAILED`;
+            html += `</span>`;
+        }
+
+        html += `</div>`;
+        html += `</div>`;
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Generate the observed value, limit, margin and gauge bar for one threshold card
+ * 
+ * @param {Object} result - Threshold result from evaluateThresholds
+ * @param {Object} metric - The k6 metric the threshold belongs to
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @returns {string} HTML string for the threshold details
+ */
+function generateThresholdDetails(result, metric, comparison) {
+    if (result.observed === null) {
+        const reason = result.stat
+            ? `${escapeHtml(result.stat)} is not in the summary (add it to summaryTrendStats to see it here)`
+            : 'Threshold expression could not be parsed';
+        return `<div class="threshold-details"><span><i class="fas fa-info-circle"></i> ${reason}</span></div>`;
+    }
+
+    if (result.perSource) {
+        let html = '<div class="threshold-details">';
+        html += `<span>Observed: <strong>${estimateMark(metric, result.stat)}${formatStatValue(result.observed, metric, result.stat)}</strong></span>`;
+        html += `<span>Limit: <strong>${escapeHtml(result.operator)} ${formatStatValue(result.limit, metric, result.stat)}</strong></span>`;
+        html += `<span><i class="fas fa-info-circle"></i> ${result.ok ? 'Passed on every source' : 'Failed on at least one source'}</span>`;
+        html += generateThresholdBaseline(result, metric, comparison);
+        html += '</div>';
+        return html;
+    }
+
+    const sign = result.margin > 0 ? '+' : result.margin < 0 ? '-' : '';
+    const margin = `${sign}${formatStatValue(Math.abs(result.margin), metric, result.stat)}`;
+    const marginPercent = result.marginPercent !== null ? ` (${sign}${Math.abs(result.marginPercent).toFixed(1)}%)` : '';
+    const gaugeState = !result.ok ? 'error' : result.nearMiss ? 'warning' : 'success';
+
+    let html = '<div class="threshold-details">';
+    html += `<span>Observed: <strong>${estimateMark(metric, result.stat)}${formatStatValue(result.observed, metric, result.stat)}</strong></span>`;
+    html += `<span>Limit: <strong>${escapeHtml(result.operator)} ${formatStatValue(result.limit, metric, result.stat)}</strong></span>`;
+    html += `<span>Margin: <strong class="${result.margin >= 0 ? 'metric-value-good' : 'metric-value-bad'}">${margin}${marginPercent}</strong></span>`;
+    html += generateThresholdBaseline(result, metric, comparison);
+    html += '</div>';
+
+    if (result.usage !== null) {
+        const width = Math.min(result.usage, 1) * 100;
+        html += `<div class="threshold-gauge" title="${(result.usage * 100).toFixed(1)}% of the limit used">`;
+        html += `<div class="threshold-gauge-fill ${gaugeState}" style="width: ${width.toFixed(1)}%"></div>`;
+        html += '</div>';
+    }
+
+    return html;
+}
+
+/**
+ * Minimum Apdex score of a latency objective when options.slo.apdex is not set
+ */
+const DEFAULT_APDEX_OBJECTIVE = 0.85;
+
+/**
+ * Error budget window when options.slo.window is not set
+ */
+const DEFAULT_SLO_WINDOW = '30d';
+
+/**
+ * Apdex ratings by minimum score, as defined by the Apdex specification
+ */
+const APDEX_RATINGS = [
+    { min: 0.94, label: 'Excellent' },
+    { min: 0.85, label: 'Good' },
+    { min: 0.7, label: 'Fair' },
+    { min: 0.5, label: 'Poor' },
+    { min: 0, label: 'Unacceptable' },
+];
+
+/**
+ * Presentation of the SLO statuses
+ */
+const SLO_STATUSES = {
+    met: { label: 'MET', badge: 'badge-success', card: 'success' },
+    'at-risk': { label: 'AT RISK', badge: 'badge-warning', card: 'warning' },
+    breached: { label: 'BREACHED', badge: 'badge-error', card: 'error' },
+    'no-data': { label: 'NO DATA', badge: 'badge-neutral', card: '' },
+};
+
+/**
+ * Estimate the share of samples at or below a value from a trend's percentiles,
+ * interpolating linearly between the available percentiles (min, med, p(N), max)
+ * 
+ * @param {Object} values - Values of a trend metric
+ * @param {number} limit - Value to estimate the share for
+ * @returns {number|null} Share between 0 and 1, or null without percentiles
+ */
+function estimateShareBelow(values, limit) {
+    const percentiles = collectPercentiles(values);
+    if (percentiles.length < 2) {
+        return null;
+    }
+    if (limit < percentiles[0].value) {
+        return 0;
+    }
+    for (let i = 1; i < percentiles.length; i++) {
+        const low = percentiles[i - 1];
+        const high = percentiles[i];
+        if (limit < high.value) {
+            const position = (limit - low.value) / (high.value - low.value);
+            return (low.rank + position * (high.rank - low.rank)) / 100;
+        }
+    }
+    return percentiles[percentiles.length - 1].rank / 100;
+}
+
+/**
+ * Estimate the Apdex score of a trend metric: samples up to T are satisfied,
+ * samples up to 4T are tolerating and count half
+ * 
+ * @param {Object} values - Values of a trend metric
+ * @param {number} target - Apdex target T, in the metric's unit (ms for time metrics)
+ * @returns {number|null} Apdex score between 0 and 1, or null without percentiles
+ */
+function estimateApdex(values, target) {
+    const satisfied = estimateShareBelow(values, target);
+    const tolerating = estimateShareBelow(values, target * 4);
+    if (satisfied === null || tolerating === null) {
+        return null;
+    }
+    return satisfied + (tolerating - satisfied) / 2;
+}
+
+/**
+ * Parse an error budget window such as '30d', '12h' or a number of days
+ * 
+ * @param {string|number} window - Window length
+ * @returns {number|null} Window length in milliseconds, or null if it cannot be parsed
+ */
+function parseSloWindow(window) {
+    if (typeof window === 'number') {
+        return window * 86400000;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([dhw])\s*$/.exec(String(window));
+    if (!match) {
+        return null;
+    }
+    return parseFloat(match[1]) * { h: 3600000, d: 86400000, w: 604800000 }[match[2]];
+}
+
+/**
+ * Derive an objective's status from how much of its allowance was used:
+ * more than all of it is a breach, more than NEAR_MISS_RATIO of it puts the objective at risk
+ * 
+ * @param {number|null} usage - Used share of the allowance (e.g. burn rate of the error budget)
+ * @returns {string} 'met', 'at-risk', 'breached' or 'no-data'
+ */
+function sloStatus(usage) {
+    if (usage === null) {
+        return 'no-data';
+    }
+    return usage > 1 ? 'breached' : usage >= NEAR_MISS_RATIO ? 'at-risk' : 'met';
+}
+
+/**
+ * Score the run against options.slo: an Apdex estimate per latency target
+ * and the error budget burn of the availability objective
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} slo - The options.slo object
+ * @returns {Object|null} Objectives and error budget, or null if no SLO is configured
+ */
+function evaluateSlo(data, slo) {
+    if (!slo || typeof slo !== 'object') {
+        return null;
+    }
+
+    const apdexObjective = typeof slo.apdex === 'number' ? slo.apdex : DEFAULT_APDEX_OBJECTIVE;
+    const objectives = [];
+
+    for (let name in slo.latency || {}) {
+        const target = slo.latency[name];
+        const metric = data.metrics[name];
+        const score = metric && metric.type === 'trend' ? estimateApdex(metric.values, target) : null;
+        // Share of the allowed dissatisfaction (1 - objective) that was used
+        const usage = score === null ? null : apdexObjective < 1 ? (1 - score) / (1 - apdexObjective) : score < 1 ? Infinity : 0;
+        const rating = score === null ? null : APDEX_RATINGS.find(candidate => score >= candidate.min).label;
+        objectives.push({
+            type: 'apdex',
+            metric: name,
+            target,
+            objective: apdexObjective,
+            score,
+            rating,
+            status: sloStatus(usage),
+        });
+    }
+
+    let errorBudget = null;
+    if (typeof slo.availability === 'number') {
+        const failed = data.metrics.http_req_failed;
+        const errorRate = failed && hasSamples(failed) ? failed.values.rate || 0 : null;
+        const allowed = 1 - slo.availability / 100;
+        const burnRate = errorRate === null ? null : allowed > 0 ? errorRate / allowed : errorRate > 0 ? Infinity : 0;
+        const windowMs = parseSloWindow(slo.window !== undefined ? slo.window : DEFAULT_SLO_WINDOW);
+        const durationMs = data.state && typeof data.state.testRunDurationMs === 'number' ? data.state.testRunDurationMs : null;
+
+        if (windowMs === null) {
+            console.warn(`[k6-reporter-modern] Ignoring invalid SLO window "${slo.window}", using ${DEFAULT_SLO_WINDOW}`);
+        }
+        const window = windowMs !== null ? windowMs : parseSloWindow(DEFAULT_SLO_WINDOW);
+
+        errorBudget = {
+            objective: slo.availability,
+            availability: errorRate === null ? null : (1 - errorRate) * 100,
+            errorRate,
+            allowedErrorRate: allowed,
+            burnRate,
+            windowMs: window,
+            // Share of the window's budget used by this run, if its error rate were representative
+            consumed: burnRate === null || durationMs === null ? null : burnRate * durationMs / window,
+            // Time until the budget runs out when burning at this rate for the whole window
+            exhaustionMs: burnRate > 0 && burnRate !== Infinity ? window / burnRate : null,
+            status: sloStatus(burnRate),
+        };
+        objectives.push({
+            type: 'availability',
+            metric: 'http_req_failed',
+            objective: slo.availability,
+            observed: errorBudget.availability,
+            burnRate,
+            status: errorBudget.status,
+        });
+    }
+
+    const order = ['breached', 'at-risk', 'met', 'no-data'];
+    const scored = objectives.filter(objective => objective.status !== 'no-data');
+    return {
+        objectives,
+        errorBudget,
+        status: scored.length === 0 ? 'no-data' : order.find(status => scored.some(objective => objective.status === status)),
+    };
+}
+
+/**
+ * Generate the SLO stat card: the first Apdex score and the error budget burn rate,
+ * coloured by the worst objective status
+ * 
+ * @param {Object} slo - Result of evaluateSlo
+ * @returns {string} HTML string for the stat card
+ */
+function generateSloCard(slo) {
+    const apdex = slo.objectives.find(objective => objective.type === 'apdex' && objective.score !== null);
+    const details = [];
+    if (apdex) {
+        details.push(`${apdex.rating} (T = ${formatDuration(apdex.target)})`);
+    }
+    if (slo.errorBudget && slo.errorBudget.burnRate !== null) {
+        details.push(`Error budget burn: ${formatBurnRate(slo.errorBudget.burnRate)}`);
+    }
+
+    return `
+            <div class="stat-card ${SLO_STATUSES[slo.status].card}">
+                <i class="fas fa-bullseye stat-icon"></i>
+                <div class="stat-label">${apdex ? 'Apdex' : 'SLO'}</div>
+                <div class="stat-value">${apdex ? apdex.score.toFixed(2) : SLO_STATUSES[slo.status].label}</div>
+                <div class="stat-subtext">${details.join(' · ')}</div>
+            </div>
+`;
+}
+
+/**
+ * Format an error budget burn rate (1x uses the budget exactly over the window)
+ * 
+ * @param {number} burnRate - Burn rate
+ * @returns {string} Formatted burn rate
+ */
+function formatBurnRate(burnRate) {
+    return burnRate === Infinity ? '∞' : `${burnRate.toFixed(2)}x`;
+}
+
+/**
+ * Format an error budget duration, in days once it spans more than a day
+ * 
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g. "30.0 days", "5h 20m 0.0s")
+ */
+function formatSloDuration(ms) {
+    return ms >= 86400000 ? `${(ms / 86400000).toFixed(1)} days` : formatRunDuration(ms);
+}
+
+/**
+ * Generate the SLO section HTML: one row per objective and the error budget details
+ * 
+ * @param {Object} slo - Result of evaluateSlo
+ * @returns {string} HTML string for the SLO section
+ */
+function generateSloSection(slo) {
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-bullseye"></i> Service Level Objectives</h3>';
+
+    if (slo.objectives.length === 0) {
+        html += '<p style="color: var(--muted);">options.slo defines no latency targets or availability objective</p></div>';
+        return html;
+    }
+
+    html += '<table class="metrics-table"><thead><tr><th>Objective</th><th>Metric</th><th>Target</th><th>Observed</th><th>Status</th></tr></thead><tbody>';
+    for (let objective of slo.objectives) {
+        const status = SLO_STATUSES[objective.status];
+        html += `<tr class="slo-${objective.status}">`;
+        if (objective.type === 'apdex') {
+            html += `<td><strong>Apdex</strong> <span class="submetric-count">T = ${formatDuration(objective.target)}</span></td>`;
+            html += `<td><code>${escapeHtml(objective.metric)}</code></td>`;
+            html += `<td>≥ ${objective.objective.toFixed(2)}</td>`;
+            html += `<td>${objective.score !== null ? `${objective.score.toFixed(2)} (${objective.rating})` : 'n/a'}</td>`;
+        } else {
+            html += '<td><strong>Availability</strong></td>';
+            html += `<td><code>${escapeHtml(objective.metric)}</code></td>`;
+            html += `<td>≥ ${objective.objective}%</td>`;
+            html += `<td>${objective.observed !== null ? `${objective.observed.toFixed(3)}%` : 'n/a'}</td>`;
+        }
+        html += `<td><span class="badge ${status.badge}">${status.label}</span></td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table>';
+    html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> Apdex is estimated from the percentiles in the summary: requests up to T are satisfied, up to 4T tolerating. Objectives using at least 90% of their allowance are at risk</p>';
+    html += '</div>';
+
+    const budget = slo.errorBudget;
+    if (budget) {
+        const rows = [
+            ['Availability Objective', `${budget.objective}% (${(budget.allowedErrorRate * 100).toFixed(3)}% of requests may fail)`],
+            ['Observed Availability', budget.availability !== null ? `${budget.availability.toFixed(3)}%` : 'n/a (no HTTP requests)'],
+            ['Error Budget Window', formatSloDuration(budget.windowMs)],
+            ['Burn Rate', budget.burnRate !== null ? `${formatBurnRate(budget.burnRate)} (1x uses the whole budget over the window)` : 'n/a'],
+            ['Budget Used by this Run', budget.consumed !== null ? `${(budget.consumed * 100).toFixed(4)}%` : 'n/a'],
+            ['Budget Exhausted After', budget.exhaustionMs !== null ? formatSloDuration(budget.exhaustionMs) : budget.burnRate === Infinity ? 'immediately' : 'never at this rate'],
+        ];
+
+        html += '<div class="chart-container">';
+        html += `<h3 class="chart-title"><i class="fas fa-chart-line"></i> Error Budget <span class="badge ${SLO_STATUSES[budget.status].badge}">${SLO_STATUSES[budget.status].label}</span></h3>`;
+        html += '<table class="info-table">';
+        for (let [label, value] of rows) {
+            html += `<tr><td>${label}</td><td>${value}</td></tr>`;
+        }
+        html += '</table></div>';
+    }
+
+    return html;
+}
+
+/**
+ * HTTP status classes of the status breakdown, in bar order
+ * Status 0 is what k6 reports when no response arrived (e.g. a timeout or refused connection)
+ */
+const HTTP_STATUS_CLASSES = [
+    { id: '2xx', label: '2xx Success', color: 'var(--success)' },
+    { id: '3xx', label: '3xx Redirect', color: 'var(--accent)' },
+    { id: '4xx', label: '4xx Client Error', color: 'var(--warning)' },
+    { id: '5xx', label: '5xx Server Error', color: 'var(--error)' },
+    { id: 'network', label: 'Network Error', color: 'var(--error-strong)' },
+    { id: '1xx', label: '1xx Informational', color: 'var(--muted)' },
+];
+
+/**
+ * Meanings of k6's error_code values, as documented at https://grafana.com/docs/k6/latest/javascript-api/error-codes/
+ * Codes in the ranges handled by describeErrorCode (HTTP statuses and HTTP/2 errors) are not listed one by one
+ */
+const K6_ERROR_CODES = {
+    1000: 'Generic error that fits none of the other categories',
+    1010: 'Non-TCP network error',
+    1020: 'Invalid URL',
+    1050: 'HTTP request timed out',
+    1100: 'Generic DNS error',
+    1101: 'No IP address found for the host',
+    1110: 'Blacklisted IP address resolved or connected to',
+    1111: 'Hostname blocked by the blockHostnames option',
+    1200: 'Generic TCP error',
+    1201: 'Broken pipe on write: the other side likely closed the connection',
+    1202: 'Unknown TCP error reported by the operating system',
+    1210: 'General TCP dial error',
+    1211: 'Dial timeout: the connection could not be established in time',
+    1212: 'Connection refused by the other side',
+    1213: 'Unknown dial error',
+    1220: 'Connection reset by peer (most likely the server)',
+    1300: 'General TLS error',
+    1310: 'TLS certificate issued by an unknown authority',
+    1311: 'TLS certificate does not match the hostname',
+    1600: 'Generic HTTP/2 error',
+    1610: 'General HTTP/2 GoAway error',
+    1630: 'General HTTP/2 stream error',
+    1650: 'General HTTP/2 connection error',
+    1701: 'Response decompression error',
+};
+
+/**
+ * Describe a k6 error_code in plain words
+ * 
+ * @param {string|number} code - The error_code tag value
+ * @returns {string} Documented meaning, or a note that the code is unknown
+ */
+function describeErrorCode(code) {
+    const number = parseInt(code, 10);
+    if (K6_ERROR_CODES[number]) {
+        return K6_ERROR_CODES[number];
+    }
+    if (number >= 1400 && number < 1500) {
+        return `HTTP ${number - 1000} client error response`;
+    }
+    if (number >= 1500 && number < 1600) {
+        return `HTTP ${number - 1000} server error response`;
+    }
+    if (number > 1610 && number < 1630) {
+        return `HTTP/2 GoAway error (HTTP/2 error code ${number - 1611})`;
+    }
+    if (number > 1630 && number < 1650) {
+        return `HTTP/2 stream error (HTTP/2 error code ${number - 1631})`;
+    }
+    if (number > 1650 && number < 1670) {
+        return `HTTP/2 connection error (HTTP/2 error code ${number - 1651})`;
+    }
+    return 'Not a documented k6 error code';
+}
+
+/**
+ * Classify an HTTP status tag value into a class of HTTP_STATUS_CLASSES
+ * 
+ * @param {string} status - The status tag value
+ * @returns {string|null} Class id, or null for values that are not a status code
+ */
+function httpStatusClass(status) {
+    const number = parseInt(status, 10);
+    if (isNaN(number)) {
+        return null;
+    }
+    if (number === 0) {
+        return 'network';
+    }
+    return number >= 100 && number < 600 ? `${Math.floor(number / 100)}xx` : null;
+}
+
+/**
+ * Count the requests behind a sub-metric: the count of a counter or trend,
+ * or passes plus fails of a rate (e.g. http_req_failed{status:500})
+ * 
+ * @param {Object} metric - A k6 metric
+ * @returns {number|null} Number of requests, or null if the summary does not hold it
+ */
+function countRequests(metric) {
+    if (metric.type === 'rate' && typeof metric.values.passes === 'number') {
+        return metric.values.passes + (metric.values.fails || 0);
+    }
+    return typeof metric.values.count === 'number' ? metric.values.count : null;
+}
+
+/**
+ * Collect the HTTP status and k6 error code breakdown from sub-metrics tagged with only
+ * a status or error_code (k6 only reports those when a threshold is defined on them)
+ * Counts come from http_reqs, otherwise from another HTTP metric that holds a count
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {Object|null} total, statuses, classes (with count and share) and errorCodes, or null without such sub-metrics
+ */
+function collectHttpStatuses(data) {
+    const found = { status: {}, error_code: {} };
+    for (let fullName of sortMetricNames(Object.keys(data.metrics))) {
+        const parsed = parseMetricName(fullName);
+        const tagKey = parsed.tagKey;
+        if (parsed.name.indexOf('http_req') !== 0 || (tagKey !== 'status' && tagKey !== 'error_code')) {
+            continue;
+        }
+        const value = parsed.tags[tagKey];
+        const count = countRequests(data.metrics[fullName]);
+        const previous = found[tagKey][value];
+        // http_reqs holds the exact count; other metrics only fill in what it lacks
+        if (!previous || (previous.count === null && count !== null) || parsed.name === 'http_reqs') {
+            found[tagKey][value] = { count, metric: fullName };
+        }
+    }
+
+    const statusValues = Object.keys(found.status).filter(status => httpStatusClass(status));
+    const codeValues = Object.keys(found.error_code);
+    if (statusValues.length === 0 && codeValues.length === 0) {
+        return null;
+    }
+
+    const statuses = statusValues
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+        .map(status => ({ status, statusClass: httpStatusClass(status), count: found.status[status].count, metric: found.status[status].metric }));
+    const errorCodes = codeValues
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+        .map(code => ({ code, meaning: describeErrorCode(code), count: found.error_code[code].count, metric: found.error_code[code].metric }));
+
+    const total = data.metrics.http_reqs ? countRequests(data.metrics.http_reqs) : null;
+    const classes = HTTP_STATUS_CLASSES.map(statusClass => {
+        const counted = statuses.filter(status => status.statusClass === statusClass.id && status.count !== null);
+        let count = counted.length > 0 ? counted.reduce((sum, status) => sum + status.count, 0) : null;
+        // Without a {status:0} sub-metric, network errors are the error codes outside the HTTP status ranges
+        if (statusClass.id === 'network' && count === null) {
+            const network = errorCodes.filter(entry => entry.count !== null && !(parseInt(entry.code, 10) >= 1400 && parseInt(entry.code, 10) < 1600));
+            count = network.length > 0 ? network.reduce((sum, entry) => sum + entry.count, 0) : null;
+        }
+        return { id: statusClass.id, label: statusClass.label, count, share: count !== null && total ? count / total : null };
+    }).filter(statusClass => statusClass.count !== null);
+
+    return { total, statuses, classes, errorCodes };
+}
+
+/**
+ * Generate the HTTP status breakdown HTML: a stacked bar of the status classes,
+ * a table of the status codes and a table of the k6 error codes with their meaning
+ * Requests whose status has no sub-metric are shown as "Not broken down"
+ * 
+ * @param {Object} httpStatuses - Breakdown from collectHttpStatuses
+ * @returns {string} HTML string for the status breakdown
+ */
+function generateHttpStatusSection(httpStatuses) {
+    const share = count => httpStatuses.total ? `${(count / httpStatuses.total * 100).toFixed(2)}%` : '-';
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-server"></i> HTTP Status Breakdown</h3>';
+
+    if (httpStatuses.total && httpStatuses.classes.length > 0) {
+        const segments = HTTP_STATUS_CLASSES
+            .map(statusClass => Object.assign({}, statusClass, httpStatuses.classes.find(entry => entry.id === statusClass.id)))
+            .filter(segment => segment.count > 0);
+        const broken = segments.reduce((sum, segment) => sum + segment.count, 0);
+        if (broken < httpStatuses.total) {
+            segments.push({ id: 'other', label: 'Not broken down', color: 'var(--surface-sunken)', count: httpStatuses.total - broken });
+        }
+
+        html += '<div class="status-bar">';
+        for (let segment of segments) {
+            html += `<div class="status-segment" style="width: ${Math.min(segment.count / httpStatuses.total * 100, 100).toFixed(2)}%; background: ${segment.color};" title="${segment.label}: ${formatNumber(segment.count)} (${share(segment.count)})"></div>`;
+        }
+        html += '</div><div class="status-legend">';
+        for (let segment of segments) {
+            html += `<span><span class="status-swatch" style="background: ${segment.color};"></span>${segment.label}: <strong>${formatNumber(segment.count)}</strong> (${share(segment.count)})</span>`;
+        }
+        html += '</div>';
+    }
+
+    if (httpStatuses.statuses.length > 0) {
+        html += '<table class="metrics-table"><thead><tr><th>Status</th><th>Class</th><th>Requests</th><th>Share</th></tr></thead><tbody>';
+        for (let entry of httpStatuses.statuses) {
+            const statusClass = HTTP_STATUS_CLASSES.find(candidate => candidate.id === entry.statusClass);
+            const bad = entry.statusClass === '4xx' || entry.statusClass === '5xx' || entry.statusClass === 'network';
+            html += `<tr${bad ? ' class="failed"' : ''}>`;
+            html += `<td><strong>${escapeHtml(entry.status)}</strong></td>`;
+            html += `<td><span class="status-swatch" style="background: ${statusClass.color};"></span>${statusClass.label}</td>`;
+            html += `<td>${entry.count !== null ? formatNumber(entry.count) : '-'}</td>`;
+            html += `<td>${entry.count !== null ? share(entry.count) : '-'}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table>';
+    }
+
+    if (httpStatuses.errorCodes.length > 0) {
+        html += `<table class="metrics-table"${httpStatuses.statuses.length > 0 ? ' style="margin-top: 20px;"' : ''}><thead><tr><th>error_code</th><th>Meaning</th><th>Requests</th><th>Share</th></tr></thead><tbody>`;
+        for (let entry of httpStatuses.errorCodes) {
+            html += '<tr class="failed">';
+            html += `<td><strong>${escapeHtml(entry.code)}</strong></td>`;
+            html += `<td>${escapeHtml(entry.meaning)}</td>`;
+            html += `<td>${entry.count !== null ? formatNumber(entry.count) : '-'}</td>`;
+            html += `<td>${entry.count !== null ? share(entry.count) : '-'}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table>';
+    }
+
+    html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> k6 only reports sub-metrics that have a threshold: add one such as <code>count&gt;=0</code> on <code>http_reqs{status:500}</code> or <code>http_reqs{error_code:1050}</code> for every status and error code you want broken down</p>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Severities of Insights findings, most severe first
+ */
+const INSIGHT_SEVERITIES = {
+    critical: { rank: 3, label: 'Critical', badge: 'badge-error' },
+    warning: { rank: 2, label: 'Warning', badge: 'badge-warning' },
+    info: { rank: 1, label: 'Info', badge: 'badge-neutral' },
+};
+
+/**
+ * Share of one HTTP timing in another, compared on their averages
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {string} part - Timing metric name (e.g. 'http_req_blocked')
+ * @param {string} whole - Timing metric it is compared with (e.g. 'http_req_duration')
+ * @returns {Object|null} part, whole (average ms) and share, or null if either is missing or zero
+ */
+function timingShare(data, part, whole) {
+    const partMetric = data.metrics[part];
+    const wholeMetric = data.metrics[whole];
+    if (!partMetric || !wholeMetric || !(partMetric.values.avg > 0) || !(wholeMetric.values.avg > 0)) {
+        return null;
+    }
+    return { part: partMetric.values.avg, whole: wholeMetric.values.avg, share: partMetric.values.avg / wholeMetric.values.avg };
+}
+
+/**
+ * Built-in Insights rules, each looking for one pattern in the metrics the report already reads
+ * check(stats, data) gets the jsonReport stats and the k6 data and returns null, a finding or a list of findings:
+ * { severity: 'critical' | 'warning' | 'info', message, hint (optional), metric (optional), score (optional, 0-1,
+ * ranks findings of the same severity) }. Custom rules from options.insights use the same shape.
+ * Note that http_req_duration only covers sending, waiting and receiving: blocked, connecting and
+ * TLS handshaking time come on top of it.
+ */
+const INSIGHT_RULES = [
+    {
+        id: 'http-errors',
+        title: 'Failed requests',
+        check: (stats, data) => {
+            const failed = data.metrics.http_req_failed;
+            if (!failed || !(failed.values.rate > 0)) {
+                return null;
+            }
+            return {
+                severity: failed.values.rate >= 0.05 ? 'critical' : 'warning',
+                metric: 'http_req_failed',
+                score: Math.min(failed.values.rate * 10, 1),
+                message: `${(failed.values.rate * 100).toFixed(2)}% of HTTP requests failed (${formatNumber(stats.failedRequests)} of ${formatNumber(stats.totalRequests)}).`,
+                hint: 'Response times of failed requests often look better than real ones (fast error pages), so check errors before reading latencies.',
+            };
+        },
+    },
+    {
+        id: 'connection-setup',
+        title: 'Connection setup overhead',
+        check: (stats, data) => {
+            const blocked = timingShare(data, 'http_req_blocked', 'http_req_duration');
+            if (!blocked || blocked.share < 0.5) {
+                return null;
+            }
+            const connecting = timingShare(data, 'http_req_connecting', 'http_req_duration');
+            return {
+                severity: blocked.share >= 1 ? 'critical' : 'warning',
+                metric: 'http_req_blocked',
+                score: Math.min(blocked.share / 2, 1),
+                message: `Requests wait ${formatDuration(blocked.part)} on average for a connection before they are sent, ${(blocked.share * 100).toFixed(0)}% of the ${formatDuration(blocked.whole)} the request itself takes${connecting ? ` (${formatDuration(connecting.part)} of it opening TCP connections)` : ''}.`,
+                hint: 'Connections are not being reused: check for noConnectionReuse or noVUConnectionReuse, "Connection: close" responses, or more VUs than the server or a proxy accepts connections for.',
+            };
+        },
+    },
+    {
+        id: 'tls-handshakes',
+        title: 'Frequent TLS handshakes',
+        check: (stats, data) => {
+            const tls = timingShare(data, 'http_req_tls_handshaking', 'http_req_duration');
+            if (!tls || tls.share < 0.2) {
+                return null;
+            }
+            return {
+                severity: tls.share >= 0.5 ? 'warning' : 'info',
+                metric: 'http_req_tls_handshaking',
+                score: Math.min(tls.share, 1),
+                message: `TLS handshakes take ${formatDuration(tls.part)} per request on average, ${(tls.share * 100).toFixed(0)}% of the request duration.`,
+                hint: 'With keep-alive, a VU only does a handshake on its first request to a host. Averages this high suggest new connections for most requests (keep-alive disabled or connections closed by the server).',
+            };
+        },
+    },
+    {
+        id: 'dropped-iterations',
+        title: 'Dropped iterations',
+        check: (stats, data) => {
+            const dropped = data.metrics.dropped_iterations;
+            if (!dropped || !(dropped.values.count > 0)) {
+                return null;
+            }
+            const share = dropped.values.count / (dropped.values.count + stats.iterations);
+            return {
+                severity: share >= 0.05 ? 'critical' : 'warning',
+                metric: 'dropped_iterations',
+                score: Math.min(share * 10, 1),
+                message: `${formatNumber(dropped.values.count)} iterations could not start on time (${(share * 100).toFixed(1)}% of all), so the run produced less load than configured.`,
+                hint: 'The arrival-rate executor ran out of VUs: raise preAllocatedVUs or maxVUs, or look for slow iterations that keep VUs busy.',
+            };
+        },
+    },
+    {
+        id: 'server-wait',
+        title: 'Time spent waiting for the server',
+        check: (stats, data) => {
+            const waiting = timingShare(data, 'http_req_waiting', 'http_req_duration');
+            if (!waiting || waiting.share < 0.8 || waiting.whole < 200) {
+                return null;
+            }
+            return {
+                severity: 'info',
+                metric: 'http_req_waiting',
+                score: waiting.share,
+                message: `${(waiting.share * 100).toFixed(0)}% of the request duration is waiting for the first byte of the response (${formatDuration(waiting.part)} on average).`,
+                hint: 'The server side (application, database or downstream services) is where the time goes, not the network or payload size.',
+            };
+        },
+    },
+    {
+        id: 'slow-transfer',
+        title: 'Slow response transfer',
+        check: (stats, data) => {
+            const receiving = timingShare(data, 'http_req_receiving', 'http_req_duration');
+            if (!receiving || receiving.share < 0.4) {
+                return null;
+            }
+            return {
+                severity: 'warning',
+                metric: 'http_req_receiving',
+                score: receiving.share,
+                message: `Receiving response bodies takes ${(receiving.share * 100).toFixed(0)}% of the request duration (${formatDuration(receiving.part)} on average).`,
+                hint: 'Large or uncompressed responses, or a saturated network link on the load generator or server.',
+            };
+        },
+    },
+    {
+        id: 'outliers',
+        title: 'Latency outliers',
+        check: (stats, data) => collectTrendMetrics(data)
+            // HTTP timing phases are left out, their outliers show in http_req_duration
+            .filter(name => data.metrics[name].contains === 'time' && (name === 'http_req_duration' || name.indexOf('http_req_') !== 0))
+            .map(name => {
+                const values = data.metrics[name].values;
+                // Both stats depend on summaryTrendStats, so either may be missing
+                if (typeof values.max !== 'number' || typeof values['p(95)'] !== 'number' || values['p(95)'] <= 0) {
+                    return null;
+                }
+                const ratio = values.max / values['p(95)'];
+                if (ratio < 3 || values.max - values['p(95)'] < 100) {
+                    return null;
+                }
+                return {
+                    severity: ratio >= 10 ? 'warning' : 'info',
+                    metric: name,
+                    score: Math.min(ratio / 20, 1),
+                    message: `The slowest ${name} (${formatDuration(values.max)}) is ${ratio.toFixed(1)}x its p(95) of ${formatDuration(values['p(95)'])}: a few samples are far slower than the rest.`,
+                    hint: 'Outliers like these come from timeouts, retries, garbage collection pauses or cold caches. They hardly move the percentiles, so look at the Timeline or the raw output to find when they happened.',
+                };
+            }),
+    },
+];
+
+/**
+ * Run the built-in and custom Insights rules and rank their findings
+ * Findings are sorted by severity, then by score; a custom rule that throws is skipped with a warning
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} stats - Pre-calculated statistics from calculateStats
+ * @param {Object} options - Report options (options.insights)
+ * @returns {Object[]} Findings with id, title, severity, message, hint and metric
+ */
+function collectInsights(data, stats, options) {
+    const config = options.insights;
+    if (config === false) {
+        return [];
+    }
+    const custom = Array.isArray(config) ? config : (config && config.rules) || [];
+    const disabled = (config && !Array.isArray(config) && config.disable) || [];
+    const rules = INSIGHT_RULES.filter(rule => disabled.indexOf(rule.id) === -1).concat(custom);
+    const numericStats = toNumericStats(stats);
+
+    const findings = [];
+    rules.forEach((rule, order) => {
+        let result;
+        try {
+            result = rule.check(numericStats, data);
+        } catch (error) {
+            console.warn(`[k6-reporter-modern] Insight rule "${rule.id || rule.title}" failed: ${error.message}`);
+            return;
+        }
+        for (let finding of [].concat(result || [])) {
+            if (!finding || !finding.message) {
+                continue;
+            }
+            const severity = INSIGHT_SEVERITIES[finding.severity] ? finding.severity : 'info';
+            findings.push({
+                id: rule.id || `rule-${order + 1}`,
+                title: finding.title || rule.title || rule.id || 'Insight',
+                severity,
+                message: String(finding.message),
+                hint: finding.hint ? String(finding.hint) : null,
+                metric: finding.metric || null,
+                score: typeof finding.score === 'number' ? finding.score : 0,
+                order,
+            });
+        }
+    });
+
+    return findings
+        .sort((a, b) => INSIGHT_SEVERITIES[b.severity].rank - INSIGHT_SEVERITIES[a.severity].rank || b.score - a.score || a.order - b.order)
+        .map(finding => ({
+            id: finding.id,
+            title: finding.title,
+            severity: finding.severity,
+            message: finding.message,
+            hint: finding.hint,
+            metric: finding.metric,
+        }));
+}
+
+/**
+ * Generate the Insights section HTML: one item per finding, most severe first
+ * 
+ * @param {Object[]} insights - Findings from collectInsights
+ * @returns {string} HTML string for the insights section
+ */
+function generateInsightsSection(insights) {
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-lightbulb"></i> Insights</h3>';
+    insights.forEach((insight, index) => {
+        const severity = INSIGHT_SEVERITIES[insight.severity];
+        html += `<div id="${domId('insight', `${index + 1} ${insight.id}`)}" class="insight-item insight-${insight.severity}">`;
+        html += `<span class="badge ${severity.badge}">${severity.label}</span>`;
+        html += `<span class="insight-title">${escapeHtml(insight.title)}</span>`;
+        if (insight.metric) {
+            html += ` <code>${escapeHtml(insight.metric)}</code>`;
+        }
+        html += `<div class="insight-message">${escapeHtml(insight.message)}</div>`;
+        if (insight.hint) {
+            html += `<div class="insight-hint"><i class="fas fa-info-circle"></i> ${escapeHtml(insight.hint)}</div>`;
+        }
+        html += '</div>';
+    });
+    html += '</div>';
+    html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> Insights are rules of thumb applied to the summary; they point at where to look, not at a proven cause</p>';
+    return html;
+}
+
+/**
+ * Collect the top-level trend metrics that recorded samples, in metrics table order
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {string[]} Trend metric names
+ */
+function collectTrendMetrics(data) {
+    const names = Object.keys(data.metrics).filter(name => {
+        const metric = data.metrics[name];
+        return metric.type === 'trend' && !parseMetricName(name).tagKey && hasSamples(metric);
+    });
+    return sortMetricNames(names);
+}
+
+/**
+ * Collect the percentiles of a trend metric, including min (p0), med (p50) and max (p100)
+ * 
+ * @param {Object} values - Values of a trend metric
+ * @returns {Object[]} Percentiles sorted by rank, each with label, rank and value
+ */
+function collectPercentiles(values) {
+    const percentiles = [];
+    for (let stat in values) {
+        const match = /^p\((\d+(?:\.\d+)?)\)$/.exec(stat);
+        const rank = stat === 'min' ? 0 : stat === 'med' ? 50 : stat === 'max' ? 100 : match ? parseFloat(match[1]) : null;
+        if (rank !== null && typeof values[stat] === 'number') {
+            percentiles.push({ label: stat, rank, value: values[stat] });
+        }
+    }
+    return percentiles.sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Compute "nice" axis ticks (steps of 1, 2 or 5 times a power of ten) from zero to at least max
+ * 
+ * @param {number} max - Largest value on the axis
+ * @param {number} count - Approximate number of ticks
+ * @returns {number[]} Tick values, the last one being the axis maximum
+ */
+function niceTicks(max, count) {
+    if (!(max > 0)) {
+        return [0, 1];
+    }
+    const rough = max / count;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let tick = 0; tick < max + step; tick += step) {
+        ticks.push(tick);
+    }
+    return ticks;
+}
+
+/**
+ * Format an axis or chart label value, dropping a ".00" fraction to keep labels short
+ * 
+ * @param {number} value - Value to format
+ * @param {string} contains - What the metric contains (time, data, default)
+ * @returns {string} Formatted label
+ */
+function formatChartValue(value, contains) {
+    return formatMetricValue(value, contains).replace(/\.00(?= |$)/, '');
+}
+
+/**
+ * Generate the Latency section HTML: a box plot of all time trends on one axis,
+ * followed by a percentile ladder per trend metric
+ * Charts are inline SVG rendered here, so they need no script and work offline and in print
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {string[]} trendNames - Trend metrics from collectTrendMetrics
+ * @returns {string} HTML string for the latency section
+ */
+function generateLatencySection(data, trendNames) {
+    let html = '';
+
+    const timeNames = trendNames.filter(name => data.metrics[name].contains === 'time');
+    if (timeNames.length > 0) {
+        html += '<div class="chart-container latency-chart">';
+        html += '<h3 class="chart-title"><i class="fas fa-chart-bar"></i> Distribution of Time Metrics</h3>';
+        html += generateBoxPlot(data, timeNames);
+        html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> Whiskers span min to max, the box spans p(25) to p(75) when available (otherwise med to p(90)), the line marks the median and the dot the average</p>';
+        html += '</div>';
+    }
+
+    html += '<div class="scenario-grid">';
+    for (let name of trendNames) {
+        html += '<div class="chart-container scenario-card latency-chart">';
+        html += `<h3 class="chart-title">${escapeHtml(name)}</h3>`;
+        html += generatePercentileLadder(data.metrics[name]);
+        html += '</div>';
+    }
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Generate a box plot of several time trend metrics sharing one axis
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {string[]} names - Time trend metric names
+ * @returns {string} Inline SVG
+ */
+function generateBoxPlot(data, names) {
+    const labelWidth = 210;
+    const plotWidth = 560;
+    const rowHeight = 30;
+    const axisHeight = 30;
+    const height = names.length * rowHeight + axisHeight;
+    const ticks = niceTicks(Math.max.apply(null, names.map(name => data.metrics[name].values.max || 0)), 6);
+    const axisMax = ticks[ticks.length - 1];
+    const x = value => labelWidth + (value / axisMax) * plotWidth;
+
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${labelWidth + plotWidth + 30} ${height}" role="img" aria-label="Box plot of time metrics">`;
+
+    // Vertical grid lines with axis labels
+    for (let tick of ticks) {
+        svg += `<line class="chart-grid" x1="${x(tick).toFixed(1)}" y1="0" x2="${x(tick).toFixed(1)}" y2="${height - axisHeight}"></line>`;
+        svg += `<text class="chart-axis-label" x="${x(tick).toFixed(1)}" y="${height - 10}" text-anchor="middle">${formatChartValue(tick, 'time')}</text>`;
+    }
+
+    names.forEach((name, index) => {
+        const values = data.metrics[name].values;
+        const center = index * rowHeight + rowHeight / 2;
+        const low = values['p(25)'] !== undefined ? values['p(25)'] : values.med;
+        const high = values['p(75)'] !== undefined ? values['p(75)'] : values['p(90)'] !== undefined ? values['p(90)'] : values.med;
+        const stats = collectPercentiles(values)
+            .map(percentile => `${percentile.label}: ${formatDuration(percentile.value)}`)
+            .concat(typeof values.avg === 'number' ? [`avg: ${formatDuration(values.avg)}`] : [])
+            .join(', ');
+
+        svg += '<g>';
+        svg += `<title>${escapeHtml(name)} - ${stats}</title>`;
+        svg += `<text class="chart-label" x="${labelWidth - 10}" y="${center + 4}" text-anchor="end">${escapeHtml(name)}</text>`;
+        svg += `<line class="box-whisker" x1="${x(values.min || 0).toFixed(1)}" y1="${center}" x2="${x(values.max || 0).toFixed(1)}" y2="${center}"></line>`;
+        svg += `<line class="box-whisker" x1="${x(values.min || 0).toFixed(1)}" y1="${center - 6}" x2="${x(values.min || 0).toFixed(1)}" y2="${center + 6}"></line>`;
+        svg += `<line class="box-whisker" x1="${x(values.max || 0).toFixed(1)}" y1="${center - 6}" x2="${x(values.max || 0).toFixed(1)}" y2="${center + 6}"></line>`;
+        if (typeof low === 'number' && typeof high === 'number') {
+            svg += `<rect class="box-range" x="${x(low).toFixed(1)}" y="${center - 9}" width="${Math.max(x(high) - x(low), 1).toFixed(1)}" height="18" rx="2"></rect>`;
+        }
+        if (typeof values.med === 'number') {
+            svg += `<line class="box-median" x1="${x(values.med).toFixed(1)}" y1="${center - 9}" x2="${x(values.med).toFixed(1)}" y2="${center + 9}"></line>`;
+        }
+        if (typeof values.avg === 'number') {
+            svg += `<circle class="box-average" cx="${x(values.avg).toFixed(1)}" cy="${center}" r="3"></circle>`;
+        }
+        svg += '</g>';
+    });
+
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Generate a percentile ladder of a trend metric: one bar per available percentile,
+ * from min to max, with a dashed line at the average
+ * 
+ * @param {Object} metric - A k6 trend metric
+ * @returns {string} Inline SVG, or a note if the metric has no percentiles
+ */
+function generatePercentileLadder(metric) {
+    const percentiles = collectPercentiles(metric.values);
+    if (percentiles.length === 0) {
+        return '<p style="color: var(--muted);">No percentiles in the summary</p>';
+    }
+
+    const labelWidth = 60;
+    const plotWidth = 250;
+    const rowHeight = 24;
+    const height = percentiles.length * rowHeight + 6;
+    const max = percentiles[percentiles.length - 1].value || 1;
+    const x = value => labelWidth + (value / max) * plotWidth;
+
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${labelWidth + plotWidth + 100} ${height}" role="img" aria-label="Percentile ladder">`;
+    percentiles.forEach((percentile, index) => {
+        const top = index * rowHeight + 3;
+        svg += `<text class="chart-label" x="${labelWidth - 8}" y="${top + 15}" text-anchor="end">${percentile.label}</text>`;
+        svg += `<rect class="ladder-bar" x="${labelWidth}" y="${top + 3}" width="${Math.max(x(percentile.value) - labelWidth, 1).toFixed(1)}" height="${rowHeight - 6}" rx="3"></rect>`;
+        svg += `<text class="chart-value" x="${(x(percentile.value) + 6).toFixed(1)}" y="${top + 15}">${formatChartValue(percentile.value, metric.contains)}</text>`;
+    });
+    if (typeof metric.values.avg === 'number') {
+        svg += `<line class="ladder-average" x1="${x(metric.values.avg).toFixed(1)}" y1="0" x2="${x(metric.values.avg).toFixed(1)}" y2="${height}"><title>avg: ${formatMetricValue(metric.values.avg, metric.contains)}</title></line>`;
+    }
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Charts of the Timeline tab, one per series of the options.timeSeries points
+ * Values are multiplied by scale before charting (error rates are shown in percent)
+ */
+const TIMELINE_CHARTS = [
+    { key: 'requestRate', title: 'Request Rate', icon: 'fa-gauge-high', contains: 'default', scale: 1, unit: '/s' },
+    { key: 'p95', title: 'p(95) Latency', icon: 'fa-clock', contains: 'time', scale: 1, unit: '' },
+    { key: 'errorRate', title: 'Error Rate', icon: 'fa-exclamation-triangle', contains: 'default', scale: 100, unit: '%' },
+    { key: 'vus', title: 'Active VUs', icon: 'fa-users', contains: 'default', scale: 1, unit: '' },
+];
+
+/**
+ * Check the options.timeSeries value before it is charted
+ * 
+ * @param {Object} timeSeries - Time series from buildTimeSeries in k6-modern-reporter-node.mjs
+ * @returns {Object|null} The time series, or null if it is missing or has no points
+ */
+function collectTimeSeries(timeSeries) {
+    if (!timeSeries) {
+        return null;
+    }
+    if (!Array.isArray(timeSeries.points) || !(timeSeries.bucketMs > 0)) {
+        console.warn('[k6-reporter-modern] Ignoring timeSeries, it needs bucketMs and a points array');
+        return null;
+    }
+    return timeSeries.points.length > 0 ? timeSeries : null;
+}
+
+/**
+ * Format an offset from the start of the run for a time axis (e.g. "0:45", "12:30", "1:05:00")
+ * 
+ * @param {number} ms - Offset in milliseconds
+ * @returns {string} Formatted offset
+ */
+function formatTimelineOffset(ms) {
+    const total = Math.round(ms / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Generate the Timeline section HTML: one line chart per TIMELINE_CHARTS series
+ * 
+ * @param {Object} timeSeries - Time series from collectTimeSeries
+ * @returns {string} HTML string for the timeline section
+ */
+function generateTimelineSection(timeSeries) {
+    const points = timeSeries.points;
+    const start = timeSeries.start ? new Date(timeSeries.start) : null;
+
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-chart-line"></i> Timeline</h3>';
+    html += '<table class="info-table">';
+    if (start && !isNaN(start.getTime())) {
+        html += `<tr><td>Start</td><td>${escapeHtml(start.toISOString().replace('T', ' ').slice(0, 19))} UTC</td></tr>`;
+    }
+    html += `<tr><td>Duration</td><td>${formatRunDuration(points.length * timeSeries.bucketMs)}</td></tr>`;
+    html += `<tr><td>Bucket Size</td><td>${formatRunDuration(timeSeries.bucketMs)}</td></tr>`;
+    html += '</table></div>';
+
+    html += '<div class="scenario-grid">';
+    for (let chart of TIMELINE_CHARTS) {
+        const values = points
+            .map(point => point[chart.key])
+            .filter(value => typeof value === 'number');
+        html += '<div class="chart-container scenario-card latency-chart">';
+        html += `<h3 class="chart-title"><i class="fas ${chart.icon}"></i> ${chart.title}</h3>`;
+        if (values.length === 0) {
+            html += '<p style="color: var(--muted);">No samples in the results file</p>';
+        } else {
+            // reduce rather than Math.max.apply, which overflows the call stack on long series
+            const peak = values.reduce((max, value) => Math.max(max, value), -Infinity);
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            html += generateTimelineChart(points, timeSeries.bucketMs, chart);
+            html += `<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;">Peak: ${formatMetricValue(peak * chart.scale, chart.contains)}${chart.unit}, average over buckets: ${formatMetricValue(average * chart.scale, chart.contains)}${chart.unit}</p>`;
+        }
+        html += '</div>';
+    }
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Generate a line chart of one series over the run, with a gap wherever a bucket has no samples
+ * Each value is drawn at the middle of its bucket
+ * 
+ * @param {Object[]} points - Points of the time series
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @param {Object} chart - Chart definition from TIMELINE_CHARTS
+ * @returns {string} Inline SVG
+ */
+function generateTimelineChart(points, bucketMs, chart) {
+    const duration = points[points.length - 1].time + bucketMs;
+    const xTicks = niceTicks(duration / 1000, 5)
+        .map(tick => tick * 1000)
+        .filter(tick => tick <= duration)
+        .map(tick => ({ position: tick / duration, label: formatTimelineOffset(tick) }));
+    const values = points.map(point => ({
+        position: (point.time + bucketMs / 2) / duration,
+        value: typeof point[chart.key] === 'number' ? point[chart.key] * chart.scale : null,
+    }));
+    return generateLineChart(values, xTicks, chart, false);
+}
+
+/**
+ * Generate a line chart with value gridlines, broken wherever a point has no value
+ * Shared by the Timeline tab and the history page
+ * 
+ * @param {Object[]} points - Points with position (0-1 along the x axis), value (already scaled, or null),
+ *                            and optionally flagged and title (tooltip)
+ * @param {Object[]} xTicks - X axis ticks with position and label
+ * @param {Object} chart - Chart definition with title, contains and unit
+ * @param {boolean} markers - If true, every point gets a marker; otherwise only points without neighbours do
+ * @returns {string} Inline SVG
+ */
+function generateLineChart(points, xTicks, chart, markers) {
+    const labelWidth = 70;
+    const plotWidth = 480;
+    const plotHeight = 180;
+    const axisHeight = 30;
+    const values = points.map(point => point.value);
+    const yTicks = niceTicks(values.reduce((max, value) => Math.max(max, value || 0), 0), 4);
+    const yMax = yTicks[yTicks.length - 1];
+    const x = position => labelWidth + position * plotWidth;
+    const y = value => plotHeight - (value / yMax) * plotHeight + 5;
+
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${labelWidth + plotWidth + 20} ${plotHeight + axisHeight + 5}" role="img" aria-label="${chart.title}">`;
+
+    // Horizontal grid lines with value labels, vertical ones with the x axis labels
+    for (let tick of yTicks) {
+        svg += `<line class="chart-grid" x1="${labelWidth}" y1="${y(tick).toFixed(1)}" x2="${labelWidth + plotWidth}" y2="${y(tick).toFixed(1)}"></line>`;
+        svg += `<text class="chart-axis-label" x="${labelWidth - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${formatChartValue(tick, chart.contains)}${chart.unit}</text>`;
+    }
+    for (let tick of xTicks) {
+        svg += `<line class="chart-grid" x1="${x(tick.position).toFixed(1)}" y1="5" x2="${x(tick.position).toFixed(1)}" y2="${plotHeight + 5}"></line>`;
+        svg += `<text class="chart-axis-label" x="${x(tick.position).toFixed(1)}" y="${plotHeight + axisHeight}" text-anchor="middle">${escapeHtml(tick.label)}</text>`;
+    }
+
+    // A path segment per run of points with values
+    let path = '';
+    let drawing = false;
+    points.forEach(point => {
+        if (point.value === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x(point.position).toFixed(1)} ${y(point.value).toFixed(1)} `;
+        drawing = true;
+    });
+    svg += `<path class="timeline-line" d="${path.trim()}"><title>${chart.title}</title></path>`;
+
+    // Single points between gaps would not show as a line
+    points.forEach((point, index) => {
+        const isolated = values[index - 1] == null && values[index + 1] == null;
+        if (point.value !== null && (markers || isolated)) {
+            svg += `<circle class="timeline-point${point.flagged ? ' flagged' : ''}" cx="${x(point.position).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="${point.flagged ? 5 : markers ? 3.5 : 2.5}">`;
+            svg += point.title ? `<title>${escapeHtml(point.title)}</title></circle>` : '</circle>';
+        }
+    });
+
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Protocols whose metrics k6 reports under a common prefix
+ * A protocol counts as used when one of its usage metrics recorded samples; cards are shown
+ * in the header and overview when the run did not use HTTP, and skipped when their metric is missing
+ */
+const PROTOCOLS = [
+    {
+        id: 'http', title: 'HTTP', icon: 'fa-globe', prefix: 'http_',
+        usage: ['http_reqs'],
+    },
+    {
+        id: 'ws', title: 'WebSocket', icon: 'fa-plug', prefix: 'ws_',
+        usage: ['ws_sessions', 'ws_msgs_sent', 'ws_msgs_received', 'ws_connecting'],
+        cards: [
+            { label: 'Sessions', icon: 'fa-plug', metric: 'ws_sessions', stat: 'count', details: [['Rate', 'ws_sessions', 'rate']] },
+            { label: 'Messages Sent', icon: 'fa-envelope', metric: 'ws_msgs_sent', stat: 'count', details: [['Received', 'ws_msgs_received', 'count']] },
+            { label: 'Connecting Time', icon: 'fa-network-wired', metric: 'ws_connecting', stat: 'avg', details: [['P95', 'ws_connecting', 'p(95)']] },
+            { label: 'Session Duration', icon: 'fa-stopwatch', metric: 'ws_session_duration', stat: 'avg', details: [['P95', 'ws_session_duration', 'p(95)']] },
+        ],
+    },
+    {
+        id: 'grpc', title: 'gRPC', icon: 'fa-server', prefix: 'grpc_',
+        usage: ['grpc_req_duration', 'grpc_streams'],
+        cards: [
+            // k6 reports no counter or rate for unary gRPC calls, so the number of calls is only
+            // known from the trend's count (when "count" is part of summaryTrendStats)
+            { label: 'Calls', icon: 'fa-server', metric: 'grpc_req_duration', stat: 'count', details: [] },
+            { label: 'Avg Call Duration', icon: 'fa-tachometer-alt', metric: 'grpc_req_duration', stat: 'avg', details: [['P95', 'grpc_req_duration', 'p(95)'], ['Max', 'grpc_req_duration', 'max']] },
+            { label: 'Streams', icon: 'fa-network-wired', metric: 'grpc_streams', stat: 'count', details: [['Sent', 'grpc_streams_msgs_sent', 'count'], ['Received', 'grpc_streams_msgs_received', 'count']] },
+        ],
+    },
+];
+
+/**
+ * Check whether a metric recorded any samples
+ * Metrics that only appear because a threshold references them are reported with empty values
+ * 
+ * @param {Object} metric - A k6 metric object
+ * @returns {boolean} True if the metric has samples
+ */
+function hasSamples(metric) {
+    if (!metric) {
+        return false;
+    }
+    const values = metric.values;
+    if (metric.type === 'rate') {
+        return (values.passes || 0) + (values.fails || 0) > 0;
+    }
+    if (metric.type === 'trend') {
+        return values.count > 0 || values.max > 0;
+    }
+    return values.count > 0 || values.max > 0 || values.value > 0;
+}
+
+/**
+ * Detect the protocols used during the run
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {Object[]} Used protocols from PROTOCOLS, in PROTOCOLS order
+ */
+function detectProtocols(data) {
+    return PROTOCOLS.filter(protocol => protocol.usage.some(name => hasSamples(data.metrics[name])));
+}
+
+/**
+ * Build the summary cards of a protocol from its card definitions
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} protocol - Protocol from PROTOCOLS
+ * @returns {Object[]} Cards with label, icon, formatted value and details text
+ */
+function buildProtocolCards(data, protocol) {
+    const format = (name, stat) => {
+        const metric = data.metrics[name];
+        if (!metric || typeof metric.values[stat] !== 'number') {
+            return null;
+        }
+        return stat === 'count' ? formatNumber(metric.values[stat]) : formatStatValue(metric.values[stat], metric, stat);
+    };
+
+    const cards = [];
+    for (let card of protocol.cards || []) {
+        const value = format(card.metric, card.stat);
+        if (value === null) {
+            continue;
+        }
+        const details = card.details
+            .map(([label, name, stat]) => {
+                const detail = format(name, stat);
+                return detail === null ? null : `${label}: ${detail}`;
+            })
+            .filter(detail => detail !== null)
+            .join(' · ');
+        cards.push({ label: card.label, icon: card.icon, value, details });
+    }
+    return cards;
+}
+
+/**
+ * Generate the header stat cards of a protocol
+ * Replaces the HTTP request cards for runs that did not use HTTP, once per protocol used
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} protocol - Protocol from PROTOCOLS
+ * @param {boolean} withTitle - Prefix the card labels with the protocol title (defaults to true)
+ * @returns {string} HTML string for the protocol's stat cards
+ */
+function generateProtocolStatCards(data, protocol, withTitle = true) {
+    let html = '';
+    for (let card of buildProtocolCards(data, protocol)) {
+        html += `
+            <div class="stat-card">
+                <i class="fas ${card.icon} stat-icon"></i>
+                <div class="stat-label">${withTitle ? `${protocol.title} ` : ''}${card.label}</div>
+                <div class="stat-value">${card.value}</div>
+                <div class="stat-subtext">${card.details}</div>
+            </div>
+`;
+    }
+    return html;
+}
+
+/**
+ * Generate one overview section per non-HTTP protocol, with its summary cards
+ * and the metrics table of its prefixed metrics
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object[]} protocols - Used protocols from detectProtocols, without HTTP
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @returns {string} HTML string for the protocol sections, empty if only HTTP was used
+ */
+function generateProtocolSections(data, protocols, comparison) {
+    let html = '';
+    for (let protocol of protocols) {
+        const metrics = {};
+        for (let name in data.metrics) {
+            if (name.indexOf(protocol.prefix) === 0) {
+                metrics[name] = data.metrics[name];
+            }
+        }
+
+        html += '<div class="chart-container">';
+        html += `<h3 class="chart-title"><i class="fas ${protocol.icon}"></i> ${protocol.title}</h3>`;
+        html += `<div class="stats-grid protocol-cards">${generateProtocolStatCards(data, protocol, false)}</div>`;
+        html += '</div>';
+        html += generateMetricsTable(Object.assign({}, data, { metrics }), comparison, protocol.id);
+    }
+    return html;
+}
+
+/**
+ * Web Vitals reported by the k6 browser module, with the official cut-offs between
+ * "good", "needs improvement" and "poor" (applied to the 75th percentile, as Core Web Vitals are)
+ */
+const WEB_VITALS = [
+    { metric: 'browser_web_vital_lcp', name: 'LCP', title: 'Largest Contentful Paint', good: 2500, poor: 4000, core: true },
+    { metric: 'browser_web_vital_inp', name: 'INP', title: 'Interaction to Next Paint', good: 200, poor: 500, core: true },
+    { metric: 'browser_web_vital_cls', name: 'CLS', title: 'Cumulative Layout Shift', good: 0.1, poor: 0.25, core: true, unitless: true },
+    { metric: 'browser_web_vital_fcp', name: 'FCP', title: 'First Contentful Paint', good: 1800, poor: 3000 },
+    { metric: 'browser_web_vital_ttfb', name: 'TTFB', title: 'Time to First Byte', good: 800, poor: 1800 },
+    { metric: 'browser_web_vital_fid', name: 'FID', title: 'First Input Delay', good: 100, poor: 300 },
+];
+
+/**
+ * Labels for the Web Vitals ratings
+ */
+const WEB_VITAL_RATINGS = {
+    good: { label: 'Good', badge: 'badge-success' },
+    'needs-improvement': { label: 'Needs Improvement', badge: 'badge-warning' },
+    poor: { label: 'Poor', badge: 'badge-error' },
+};
+
+/**
+ * Collect the Web Vitals of a k6/browser run and rate them
+ * When p(75) is not part of summaryTrendStats, it is estimated between the median and p(90)
+ * 
+ * @param {Object} data - The k6 test results data
+ * @returns {Object} detected (browser metrics present), browserOnly (no HTTP module requests) and rated vitals
+ */
+function collectWebVitals(data) {
+    const names = Object.keys(data.metrics);
+    const detected = names.some(name => name.indexOf('browser_') === 0);
+    const vitals = [];
+
+    for (let vital of WEB_VITALS) {
+        const metric = data.metrics[vital.metric];
+        if (!metric) {
+            continue;
+        }
+        const values = metric.values;
+        let p75 = typeof values['p(75)'] === 'number' ? values['p(75)'] : null;
+        let p75Estimated = false;
+        if (p75 === null && typeof values.med === 'number' && typeof values['p(90)'] === 'number') {
+            p75 = values.med + (values['p(90)'] - values.med) * (25 / 40);
+            p75Estimated = true;
+        }
+        const rating = p75 === null ? null : p75 <= vital.good ? 'good' : p75 <= vital.poor ? 'needs-improvement' : 'poor';
+        vitals.push(Object.assign({}, vital, { values, p75, p75Estimated, rating }));
+    }
+
+    return {
+        detected,
+        browserOnly: detected && !(data.metrics.http_reqs && data.metrics.http_reqs.values.count > 0),
+        vitals,
+    };
+}
+
+/**
+ * Format a Web Vital value: CLS is a unitless score, the others are durations
+ * 
+ * @param {Object} vital - Web Vital definition from WEB_VITALS
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatWebVital(vital, value) {
+    return vital.unitless ? value.toFixed(3) : formatDuration(value);
+}
+
+/**
+ * Generate the header stat cards for browser-only runs
+ * Replaces the HTTP request cards, which would otherwise all read zero
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} webVitals - Result of collectWebVitals
+ * @returns {string} HTML string for three stat cards
+ */
+function generateBrowserStatCards(data, webVitals) {
+    const metrics = data.metrics;
+    const lcp = webVitals.vitals.find(vital => vital.name === 'LCP');
+    const rated = webVitals.vitals.filter(vital => vital.rating);
+    const good = rated.filter(vital => vital.rating === 'good').length;
+    // browser_http_req_failed counts every request; the trend's count is only there when
+    // "count" is part of summaryTrendStats
+    let requests = metrics.browser_http_req_failed ? countRequests(metrics.browser_http_req_failed) : null;
+    if (requests === null && metrics.browser_http_req_duration) {
+        requests = countRequests(metrics.browser_http_req_duration);
+    }
+    const failedRate = metrics.browser_http_req_failed ? metrics.browser_http_req_failed.values.rate : null;
+    const cardState = rating => rating === 'good' ? 'success' : rating === 'poor' ? 'error' : 'warning';
+    // Without any rated vital there is nothing to judge, so the card stays neutral
+    let vitalsState = '';
+    if (rated.length > 0) {
+        vitalsState = good === rated.length ? 'success' : rated.some(vital => vital.rating === 'poor') ? 'error' : 'warning';
+    }
+
+    return `
+            <div class="stat-card ${lcp ? cardState(lcp.rating) : ''}">
+                <i class="fas fa-image stat-icon"></i>
+                <div class="stat-label">LCP (p75)</div>
+                <div class="stat-value">${lcp && lcp.p75 !== null ? formatWebVital(lcp, lcp.p75) : 'n/a'}</div>
+                <div class="stat-subtext">${lcp && lcp.rating ? WEB_VITAL_RATINGS[lcp.rating].label : 'Not measured'}${lcp && lcp.p75Estimated ? ' (estimated p75)' : ''}</div>
+            </div>
+
+            <div class="stat-card ${vitalsState}">
+                <i class="fas fa-heart-pulse stat-icon"></i>
+                <div class="stat-label">Web Vitals</div>
+                <div class="stat-value">${rated.length > 0 ? `${good}/${rated.length}` : 'n/a'}</div>
+                <div class="stat-subtext">${rated.length > 0 ? 'rated good' : 'No Web Vitals rated'}</div>
+            </div>
+
+            <div class="stat-card ${failedRate === null ? '' : failedRate > 0 ? 'error' : 'success'}">
+                <i class="fas fa-window-maximize stat-icon"></i>
+                <div class="stat-label">Browser Requests</div>
+                <div class="stat-value">${requests !== null ? formatNumber(requests) : 'n/a'}</div>
+                <div class="stat-subtext">${failedRate !== null ? `${(failedRate * 100).toFixed(2)}% failed` : ''}${metrics.browser_data_received ? ` · ${formatBytes(metrics.browser_data_received.values.count)} received` : ''}</div>
+            </div>
+`;
+}
+
+/**
+ * Generate the Web Vitals section HTML
+ * One card per vital with its p75, its rating and a scale showing the good / needs improvement / poor ranges
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} webVitals - Result of collectWebVitals
+ * @returns {string} HTML string for the Web Vitals section
+ */
+function generateWebVitalsSection(data, webVitals) {
+    if (webVitals.vitals.length === 0) {
+        return '<div class="chart-container"><p style="color: var(--muted);">Browser metrics were recorded, but no Web Vitals (browser_web_vital_*) are in the summary</p></div>';
+    }
+
+    let html = '<div class="scenario-grid">';
+    for (let vital of webVitals.vitals) {
+        const rating = vital.rating ? WEB_VITAL_RATINGS[vital.rating] : null;
+
+        html += '<div class="chart-container scenario-card">';
+        html += `<h3 class="chart-title">${vital.name} <span style="font-weight: 400; color: var(--muted); font-size: 0.75em;">${vital.title}${vital.core ? ' · Core Web Vital' : ''}</span></h3>`;
+        html += '<div style="display: flex; align-items: baseline; gap: 15px;">';
+        html += `<div class="vital-value">${vital.p75 !== null ? formatWebVital(vital, vital.p75) : 'n/a'}</div>`;
+        html += `<div class="stat-label">p75${vital.p75Estimated ? ' (estimated)' : ''}</div>`;
+        if (rating) {
+            html += `<span class="badge ${rating.badge}" style="margin-left: auto;">${rating.label}</span>`;
+        }
+        html += '</div>';
+
+        // Scale with the three rating ranges and a marker at the p75 value
+        if (vital.p75 !== null) {
+            const scaleMax = vital.poor * 1.5;
+            const position = value => Math.min(value / scaleMax, 1) * 100;
+            html += '<div class="vital-scale">';
+            html += `<div class="vital-range good" style="width: ${position(vital.good).toFixed(1)}%"></div>`;
+            html += `<div class="vital-range needs-improvement" style="width: ${(position(vital.poor) - position(vital.good)).toFixed(1)}%"></div>`;
+            html += '<div class="vital-range poor" style="flex: 1;"></div>';
+            html += `<div class="vital-marker" style="left: ${position(vital.p75).toFixed(1)}%"></div>`;
+            html += '</div>';
+            html += `<div class="threshold-details"><span>Good ≤ ${formatWebVital(vital, vital.good)}</span><span>Poor &gt; ${formatWebVital(vital, vital.poor)}</span></div>`;
+        }
+
+        html += '<table class="info-table">';
+        for (let stat in vital.values) {
+            html += `<tr><td>${escapeHtml(stat)}</td><td>${stat === 'count' ? formatNumber(vital.values[stat]) : formatWebVital(vital, vital.values[stat])}</td></tr>`;
+        }
+        html += '</table>';
+        html += '</div>';
+    }
+    html += '</div>';
+
+    if (webVitals.vitals.some(vital => vital.p75Estimated)) {
+        html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> p75 is estimated from the median and p(90). Add <code>p(75)</code> to <code>summaryTrendStats</code> for exact values.</p>';
+    }
+
+    return html;
+}
+
+/**
+ * Collect the scenarios of a run with their {scenario:...} sub-metrics
+ * Scenarios are found in sub-metric names (k6 only adds those for metrics that have
+ * thresholds on them) and in the scenarios of the test's k6 options, when given
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} k6Options - The test script's exported k6 options object (optional)
+ * @returns {Array<Object>} Scenarios with name, config (or null) and metrics keyed by base metric name
+ */
+function collectScenarios(data, k6Options) {
+    const configured = (k6Options && k6Options.scenarios) || {};
+    const scenarios = {};
+    const getScenario = name => scenarios[name] = scenarios[name] || { name, config: configured[name] || null, metrics: {} };
+
+    for (let name in configured) {
+        getScenario(name);
+    }
+    for (let metricName in data.metrics) {
+        const parsed = parseMetricName(metricName);
+        // Only sub-metrics filtered on the scenario tag alone describe the scenario as a whole
+        if (parsed.tagKey === 'scenario') {
+            getScenario(parsed.tags.scenario).metrics[parsed.name] = data.metrics[metricName];
+        }
+    }
+
+    return Object.keys(scenarios).sort().map(name => scenarios[name]);
+}
+
+/**
+ * Generate the scenarios section HTML
+ * One card per scenario with its requests, error rate, latency percentiles, iterations,
+ * dropped iterations, checks and executor configuration
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Array<Object>} scenarios - Scenarios from collectScenarios
+ * @returns {string} HTML string for the scenarios section
+ */
+function generateScenariosSection(data, scenarios) {
+    let html = '<div class="scenario-grid">';
+
+    for (let scenario of scenarios) {
+        const metrics = scenario.metrics;
+        const value = (name, stat) => metrics[name] && typeof metrics[name].values[stat] === 'number' ? metrics[name].values[stat] : null;
+        const errorRate = value('http_req_failed', 'rate');
+        const checkRate = value('checks', 'rate');
+
+        html += '<div class="chart-container scenario-card">';
+        html += `<h3 class="chart-title"><i class="fas fa-play"></i> ${escapeHtml(scenario.name)}`;
+        if (scenario.config && scenario.config.executor) {
+            html += ` <span class="badge badge-warning">${escapeHtml(scenario.config.executor)}</span>`;
+        }
+        html += '</h3>';
+
+        // Headline numbers for the scenario
+        const items = [
+            ['Requests', value('http_reqs', 'count') !== null ? formatNumber(value('http_reqs', 'count')) : null, ''],
+            ['Error Rate', errorRate !== null ? `${(errorRate * 100).toFixed(2)}%` : null, errorRate > 0 ? 'metric-value-bad' : 'metric-value-good'],
+            ['Iterations', value('iterations', 'count') !== null ? formatNumber(value('iterations', 'count')) : null, ''],
+            ['Dropped Iterations', value('dropped_iterations', 'count') !== null ? formatNumber(value('dropped_iterations', 'count')) : null, value('dropped_iterations', 'count') > 0 ? 'metric-value-bad' : ''],
+            ['Checks Passed', checkRate !== null ? `${(checkRate * 100).toFixed(2)}%` : null, checkRate !== null && checkRate < 1 ? 'metric-value-bad' : 'metric-value-good'],
+        ].filter(item => item[1] !== null);
+
+        if (items.length > 0) {
+            html += '<div class="scenario-stats">';
+            for (let [label, formatted, className] of items) {
+                html += `<div><div class="stat-label">${label}</div><div class="scenario-stat-value ${className}">${formatted}</div></div>`;
+            }
+            html += '</div>';
+        }
+
+        // Latency statistics of the scenario's requests
+        if (metrics.http_req_duration) {
+            const latency = metrics.http_req_duration;
+            html += '<div class="stat-label" style="margin-top: 20px;">Request Duration</div>';
+            html += '<table class="info-table">';
+            for (let stat in latency.values) {
+                html += `<tr><td>${escapeHtml(stat)}</td><td>${formatStatValue(latency.values[stat], latency, stat)}</td></tr>`;
+            }
+            html += '</table>';
+        }
+
+        if (Object.keys(metrics).length === 0) {
+            html += `<p style="color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> k6 only reports per-scenario numbers for metrics with a threshold on them, e.g. <code>'http_req_duration{scenario:${escapeHtml(scenario.name)}}': ['max>=0']</code></p>`;
+        }
+
+        // Executor configuration from the test's options
+        if (scenario.config) {
+            html += '<div class="stat-label" style="margin-top: 20px;">Executor Configuration</div>';
+            html += '<table class="info-table">';
+            for (let key in scenario.config) {
+                const setting = scenario.config[key];
+                html += `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(typeof setting === 'object' ? JSON.stringify(setting) : String(setting))}</td></tr>`;
+            }
+            html += '</table>';
+        }
+
+        html += '</div>';
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Default tolerance in percent (percentage points for rates) before a change
+ * against the baseline counts as a regression or an improvement
+ */
+const DEFAULT_BASELINE_TOLERANCE = 5;
+
+/**
+ * Header stat cards that are compared against the baseline
+ * metric names the k6 metric whose tolerance applies; points marks values that are already percentages
+ */
+const STAT_CARD_COMPARISONS = {
+    totalRequests: { label: 'Total Requests', metric: 'http_reqs', direction: 'higher', format: value => value.toLocaleString() },
+    successRate: { label: 'Success Rate', metric: 'http_req_failed', direction: 'higher', points: true, format: value => `${value.toFixed(2)}%` },
+    avgResponseTime: { label: 'Avg Response Time', metric: 'http_req_duration', direction: 'lower', format: value => `${value.toFixed(2)}ms` },
+    maxVUs: { label: 'Virtual Users', metric: 'vus', direction: null, format: value => String(value) },
+    checkFailures: { label: 'Checks', metric: 'checks', direction: 'lower', format: value => `${value} failed` },
+    thresholdFailures: { label: 'Thresholds', metric: 'default', direction: 'lower', format: value => `${value} breached` },
+};
+
+/**
+ * Read a summary passed as an object or as a JSON string, such as a baseline or an aggregateReport source
+ * Both raw handleSummary data and jsonReport documents are accepted
+ * 
+ * @param {Object|string} input - handleSummary data, its JSON export, or a jsonReport document
+ * @param {string} label - What the summary is used as, for warnings (e.g. "baseline")
+ * @returns {Object|null} The summary, or null if it cannot be used
+ */
+function loadSummary(input, label) {
+    let summary = input;
+    if (typeof input === 'string') {
+        try {
+            summary = JSON.parse(input);
+        } catch (error) {
+            console.warn(`[k6-reporter-modern] Ignoring ${label}, it is not valid JSON: ${error.message}`);
+            return null;
+        }
+    }
+    if (summary && summary.schema === REPORT_SCHEMA) {
+        summary = reportModelToSummary(summary);
+    }
+    if (!summary || typeof summary !== 'object' || !summary.metrics) {
+        console.warn(`[k6-reporter-modern] Ignoring ${label}, it has no metrics`);
+        return null;
+    }
+    return summary;
+}
+
+/**
+ * Look up the regression tolerance for a metric
+ * Per-metric values may target a sub-metric or its parent; "default" applies otherwise
+ * 
+ * @param {number|Object} tolerance - The baselineTolerance option
+ * @param {string} metricName - Full metric name
+ * @returns {number} Tolerance in percent
+ */
+function resolveTolerance(tolerance, metricName) {
+    if (typeof tolerance === 'number') {
+        return tolerance;
+    }
+    const table = tolerance || {};
+    const candidates = [metricName, parseMetricName(metricName).name, 'default'];
+    for (let key of candidates) {
+        if (typeof table[key] === 'number') {
+            return table[key];
+        }
+    }
+    return DEFAULT_BASELINE_TOLERANCE;
+}
+
+/**
+ * Decide whether lower or higher values of a metric are better
+ * 
+ * @param {string} metricName - Full metric name
+ * @param {Object} metric - The k6 metric object
+ * @returns {string|null} 'lower', 'higher', or null when a change is neither good nor bad
+ */
+function metricDirection(metricName, metric) {
+    const { name, tags } = parseMetricName(metricName);
+    // Sub-metrics filtered on error statuses or error codes count problems, e.g. http_reqs{status:500}
+    const countsProblems = /fail|error|dropped/i.test(name) || parseInt(tags.status) >= 400 || tags.error_code !== undefined;
+
+    if (metric.type === 'trend') {
+        return metric.contains === 'time' ? 'lower' : null;
+    }
+    if (metric.type === 'rate') {
+        return countsProblems ? 'lower' : 'higher';
+    }
+    if (metric.type === 'counter') {
+        if (countsProblems) {
+            return 'lower';
+        }
+        return name === 'http_reqs' || name === 'iterations' ? 'higher' : null;
+    }
+    return null;
+}
+
+/**
+ * Compare a current value with its baseline value
+ * 
+ * @param {number} current - Value from this run
+ * @param {number} previous - Value from the baseline run
+ * @param {string|null} direction - 'lower' or 'higher' is better, null for neutral values
+ * @param {number} tolerance - Allowed change in percent (or percentage points)
+ * @param {number|null} pointsScale - Multiplier turning the values into percentages when the change
+ *                                    should be measured in percentage points (100 for 0..1 rates), null for relative change
+ * @returns {Object} current, baseline, delta, change, unit and status ('regressed', 'improved', 'unchanged' or 'neutral')
+ */
+function compareValues(current, previous, direction, tolerance, pointsScale) {
+    const delta = current - previous;
+    let change;
+    if (pointsScale) {
+        change = delta * pointsScale;
+    } else if (previous !== 0) {
+        change = (delta / Math.abs(previous)) * 100;
+    } else {
+        // No relative change can be given when the baseline was zero
+        change = delta === 0 ? 0 : null;
+    }
+
+    let status = direction ? 'unchanged' : 'neutral';
+    if (direction && (change === null || Math.abs(change) > tolerance)) {
+        const worse = direction === 'lower' ? delta > 0 : delta < 0;
+        status = worse ? 'regressed' : 'improved';
+    }
+
+    return { current, baseline: previous, delta, change, unit: pointsScale ? ' pp' : '%', status };
+}
+
+/**
+ * Compare this run with the baseline run given in options.baseline
+ * Every numeric statistic of every metric present in both runs is compared,
+ * as well as the header stat cards and the threshold outcomes
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} stats - Pre-calculated statistics of this run
+ * @param {Object} options - Report options passed to htmlReport
+ * @returns {Object|null} Comparison details, or null when no usable baseline was provided
+ */
+function buildComparison(data, stats, options) {
+    const baseline = options.baseline ? loadSummary(options.baseline, 'baseline') : null;
+    if (!baseline) {
+        return null;
+    }
+
+    const entries = [];
+    const lookup = {};
+    for (let metricName in data.metrics) {
+        const metric = data.metrics[metricName];
+        const previous = baseline.metrics[metricName];
+        if (!previous || !previous.values) {
+            continue;
+        }
+        const direction = metricDirection(metricName, metric);
+        const tolerance = resolveTolerance(options.baselineTolerance, metricName);
+
+        for (let stat in metric.values) {
+            if (typeof metric.values[stat] !== 'number' || typeof previous.values[stat] !== 'number') {
+                continue;
+            }
+            // A rate's passes and fails and a trend's count grow with the number of samples,
+            // so they are listed without being judged
+            const isRatio = metric.type === 'rate' && stat === 'rate';
+            const isSampleCount = metric.type === 'trend' && stat === 'count';
+            const statDirection = (metric.type === 'rate' && !isRatio) || isSampleCount ? null : direction;
+            const entry = Object.assign(
+                { metric: metricName, stat, tolerance, direction: statDirection },
+                compareValues(metric.values[stat], previous.values[stat], statDirection, tolerance, isRatio ? 100 : null)
+            );
+            entries.push(entry);
+            lookup[`${metricName}|${stat}`] = entry;
+        }
+    }
+
+    // Compare the header stat cards
+    const baselineStats = calculateStats(baseline);
+    const cards = {};
+    for (let key in STAT_CARD_COMPARISONS) {
+        const card = STAT_CARD_COMPARISONS[key];
+        const tolerance = resolveTolerance(options.baselineTolerance, card.metric);
+        cards[key] = Object.assign(
+            { label: card.label, format: card.format },
+            compareValues(parseFloat(stats[key]), parseFloat(baselineStats[key]), card.direction, tolerance, card.points ? 1 : null)
+        );
+    }
+
+    // Index the baseline's threshold outcomes by metric and expression
+    const thresholds = {};
+    for (let result of evaluateThresholds(baseline, options.k6Options)) {
+        thresholds[`${result.metric}|${result.expression}`] = result;
+    }
+    // Thresholds whose outcome differs from the baseline run
+    const thresholdChanges = evaluateThresholds(data, options.k6Options).filter(result => {
+        const previous = thresholds[`${result.metric}|${result.expression}`];
+        return previous && previous.ok !== result.ok;
+    });
+
+    // The Thresholds card is left out: its breaches are the newly failing thresholds, counted one by one
+    const regressedCards = Object.keys(cards).filter(key => key !== 'thresholdFailures' && cards[key].status === 'regressed');
+    const regressedEntries = entries.filter(entry => entry.status === 'regressed');
+    const newlyFailing = thresholdChanges.filter(result => !result.ok);
+
+    return {
+        baseline,
+        entries,
+        lookup,
+        cards,
+        regressedCards,
+        thresholds,
+        thresholdChanges,
+        regressions: regressedEntries.length + regressedCards.length + newlyFailing.length,
+    };
+}
+
+/**
+ * Format the change of a comparison entry (e.g. "+12.3%", "-0.50 pp", or "new" when the baseline was zero)
+ * 
+ * @param {Object} entry - Comparison entry from compareValues
+ * @returns {string} Formatted change
+ */
+function formatChange(entry) {
+    if (entry.change === null) {
+        return 'new';
+    }
+    return `${entry.change > 0 ? '+' : ''}${entry.change.toFixed(1)}${entry.unit}`;
+}
+
+/**
+ * Generate the small delta indicator shown under a metrics table value
+ * 
+ * @param {Object} entry - Comparison entry for the cell
+ * @param {Object} metric - The k6 metric the value belongs to
+ * @returns {string} HTML string for the delta indicator
+ */
+function generateBaselineDelta(entry, metric) {
+    const arrow = entry.delta > 0 ? '▲' : entry.delta < 0 ? '▼' : '■';
+    const title = `Baseline: ${formatStatValue(entry.baseline, metric, entry.stat)}`;
+    return `<div class="baseline-delta ${entry.status}" title="${escapeHtml(title)}">${arrow} ${formatChange(entry)}</div>`;
+}
+
+/**
+ * Generate the baseline line of a header stat card
+ * 
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @param {string} key - Stats field shown by the card
+ * @returns {string} HTML string, empty when there is no baseline
+ */
+function generateCardDelta(comparison, key) {
+    if (!comparison) {
+        return '';
+    }
+    const entry = comparison.cards[key];
+    const arrow = entry.delta > 0 ? '▲' : entry.delta < 0 ? '▼' : '■';
+    return `<div class="baseline-delta ${entry.status}">${arrow} ${formatChange(entry)} <span class="baseline-value">vs ${escapeHtml(entry.format(entry.baseline))}</span></div>`;
+}
+
+/**
+ * Generate the baseline value and status change shown next to a threshold's observed value
+ * 
+ * @param {Object} result - Threshold result from evaluateThresholds
+ * @param {Object} metric - The k6 metric the threshold belongs to
+ * @param {Object|null} comparison - Baseline comparison from buildComparison, if any
+ * @returns {string} HTML string, empty when the baseline has no such threshold
+ */
+function generateThresholdBaseline(result, metric, comparison) {
+    const previous = comparison && comparison.thresholds[`${result.metric}|${result.expression}`];
+    if (!previous) {
+        return '';
+    }
+
+    let html = `<span>Baseline: <strong>${previous.observed !== null ? formatStatValue(previous.observed, metric, result.stat) : 'n/a'}</strong>`;
+    html += ` (${previous.ok ? 'passed' : 'failed'})`;
+    const entry = comparison.lookup[`${result.metric}|${result.stat}`];
+    if (entry) {
+        html += ` <span class="baseline-delta inline ${entry.status}">${formatChange(entry)}</span>`;
+    }
+    html += '</span>';
+    return html;
+}
+
+/**
+ * Generate the comparison section HTML
+ * Lists threshold outcomes that changed and every compared statistic, biggest regressions first
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} comparison - Baseline comparison from buildComparison
+ * @returns {string} HTML string for the comparison section
+ */
+function generateComparisonSection(data, comparison) {
+    const judged = comparison.entries.filter(entry => entry.direction);
+    const improved = judged.filter(entry => entry.status === 'improved').length;
+    const unchanged = judged.filter(entry => entry.status === 'unchanged').length;
+
+    // Regressions first, ordered by how far they exceed their tolerance, then improvements, then the rest
+    const statusOrder = { regressed: 0, improved: 1, unchanged: 2 };
+    // A change that cannot be expressed in percent (baseline of zero) counts as the biggest excess
+    const byExcess = (a, b) => {
+        if (a.change === null || b.change === null) {
+            return (a.change === null ? 0 : 1) - (b.change === null ? 0 : 1);
+        }
+        return (Math.abs(b.change) - b.tolerance) - (Math.abs(a.change) - a.tolerance);
+    };
+    judged.sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || byExcess(a, b));
+
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-code-compare"></i> Comparison with Baseline</h3>';
+    html += `
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 20px; margin-bottom: 30px;">
+                <div style="background: var(--error-soft); padding: 20px; border-radius: 10px; text-align: center;">
+                    <div style="font-size: 2.5em; font-weight: 700; color: var(--error-strong);">${comparison.regressions}</div>
+                    <div style="color: var(--error-strong); font-weight: 600;">Regressed</div>
+                </div>
+                <div style="background: var(--success-soft); padding: 20px; border-radius: 10px; text-align: center;">
+                    <div style="font-size: 2.5em; font-weight: 700; color: var(--success-strong);">${improved}</div>
+                    <div style="color: var(--success-strong); font-weight: 600;">Improved</div>
+                </div>
+                <div style="background: var(--surface-alt); padding: 20px; border-radius: 10px; text-align: center;">
+                    <div style="font-size: 2.5em; font-weight: 700; color: var(--heading);">${unchanged}</div>
+                    <div style="color: var(--muted); font-weight: 600;">Within Tolerance</div>
+                </div>
+            </div>`;
+
+    // Header stat cards that regressed
+    for (let key of comparison.regressedCards) {
+        const card = comparison.cards[key];
+        html += '<div class="check-item failed" style="border-left: 4px solid var(--error);">';
+        html += `<div class="check-name"><strong>${escapeHtml(card.label)}</strong> <span style="color: var(--muted);">${escapeHtml(card.format(card.current))} vs ${escapeHtml(card.format(card.baseline))}</span></div>`;
+        html += `<div class="check-stats"><span class="baseline-delta inline regressed">${formatChange(card)}</span>`;
+        html += '<span class="badge badge-error"><i class="fas fa-times"></i> REGRESSED</span></div></div>';
+    }
+
+    // Thresholds whose outcome differs from the baseline run
+    for (let result of comparison.thresholdChanges) {
+        html += `<div class="check-item${result.ok ? '' : ' failed'}" style="border-left: 4px solid ${result.ok ? 'var(--success)' : 'var(--error)'};">`;
+        html += `<div class="check-name"><strong>${escapeHtml(result.metric)}</strong> <span style="font-family: monospace; color: var(--muted);">${escapeHtml(result.expression)}</span></div>`;
+        html += `<div class="check-stats">`;
+        html += result.ok
+            ? '<span class="badge badge-success"><i class="fas fa-check"></i> FIXED (failed in baseline)</span>'
+            : '<span class="badge badge-error"><i class="fas fa-times"></i> NEWLY FAILING (passed in baseline)</span>';
+        html += `</div></div>`;
+    }
+
+    if (judged.length === 0) {
+        html += '<p style="color: var(--muted); text-align: center; padding: 40px;">No metrics in common with the baseline</p>';
+        html += '</div>';
+        return html;
+    }
+
+    const changed = judged.filter(entry => entry.status !== 'unchanged');
+    if (changed.length > 0) {
+        html += generateComparisonTable(data, changed);
+    } else {
+        html += '<p style="color: var(--muted); text-align: center; padding: 20px;">All compared statistics are within tolerance</p>';
+    }
+
+    // Statistics within tolerance are collapsed to keep the regressions in focus
+    if (unchanged > 0 && changed.length > 0) {
+        html += `<details style="margin-top: 20px;"><summary style="cursor: pointer; color: var(--accent); font-weight: 600;">Show ${unchanged} statistics within tolerance</summary>`;
+        html += generateComparisonTable(data, judged.filter(entry => entry.status === 'unchanged'));
+        html += '</details>';
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Generate a table of comparison entries
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Array<Object>} entries - Comparison entries from buildComparison
+ * @returns {string} HTML string for the table
+ */
+function generateComparisonTable(data, entries) {
+    let html = '<table class="metrics-table" style="margin-top: 20px;"><thead><tr>';
+    html += '<th>Metric</th><th>Stat</th><th>Baseline</th><th>Current</th><th>Change</th><th>Tolerance</th><th>Status</th>';
+    html += '</tr></thead><tbody>';
+    for (let entry of entries) {
+        const metric = data.metrics[entry.metric];
+        const badge = { regressed: 'badge-error', improved: 'badge-success', unchanged: 'badge-warning' }[entry.status];
+        html += '<tr>';
+        html += `<td><strong>${escapeHtml(entry.metric)}</strong></td>`;
+        html += `<td>${escapeHtml(entry.stat)}</td>`;
+        html += `<td>${formatStatValue(entry.baseline, metric, entry.stat)}</td>`;
+        html += `<td>${formatStatValue(entry.current, metric, entry.stat)}</td>`;
+        html += `<td class="baseline-delta inline ${entry.status}">${formatChange(entry)}</td>`;
+        html += `<td>±${entry.tolerance}${entry.unit}</td>`;
+        html += `<td><span class="badge ${badge}">${entry.status === 'unchanged' ? 'within tolerance' : entry.status}</span></td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Gauges whose values add up across sources running side by side, like the VUs of each load generator
+ */
+const ADDITIVE_GAUGES = ['vus', 'vus_max'];
+
+/**
+ * Symbols marking merged values that could only be estimated (see mergeMetric)
+ */
+const ESTIMATE_MARKS = {
+    'upper-bound': '≤ ',
+    approximate: '≈ ',
+};
+
+/**
+ * Get the mark of a merged value that is an estimate
+ * 
+ * @param {Object} metric - A k6 metric, possibly merged by mergeMetric
+ * @param {string} stat - Statistic name (e.g. 'p(95)')
+ * @returns {string} Estimate mark followed by a space, or an empty string for exact values
+ */
+function estimateMark(metric, stat) {
+    const estimate = metric.estimates && metric.estimates[stat];
+    return estimate ? ESTIMATE_MARKS[estimate] : '';
+}
+
+/**
+ * Merge the summaries of sources that ran the same test side by side into one summary
+ * The result keeps the sources (name and data) for the Sources tab
+ * 
+ * @param {Object[]} sources - Sources with name and handleSummary data
+ * @returns {Object} Combined handleSummary data
+ */
+function mergeSummaries(sources) {
+    const first = sources.length > 0 ? sources[0].data : {};
+    const names = [];
+    for (let source of sources) {
+        for (let name in source.data.metrics) {
+            if (names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        }
+    }
+
+    const metrics = {};
+    for (let name of names) {
+        const entries = sources
+            .filter(source => source.data.metrics[name])
+            .map(source => ({ metric: source.data.metrics[name], data: source.data }));
+        metrics[name] = mergeMetric(name, entries);
+    }
+
+    const durations = sources
+        .map(source => (source.data.state || {}).testRunDurationMs)
+        .filter(duration => typeof duration === 'number');
+
+    return {
+        metrics,
+        root_group: mergeGroups(sources.map(source => source.data.root_group).filter(Boolean)),
+        options: first.options,
+        state: Object.assign({}, first.state, durations.length > 0 ? { testRunDurationMs: Math.max.apply(null, durations) } : {}),
+        sources,
+    };
+}
+
+/**
+ * Merge one metric across sources
+ * Counts, passes and fails are summed and counter rates added up (the sources ran at the same time),
+ * so counters and rates are exact, as are trend min, max and count. A combined percentile lies between
+ * the lowest and highest per-source value, so the highest is used and marked as an upper bound.
+ * Trend averages are weighted by request or iteration counts when known, and approximate otherwise.
+ * Thresholds on exact stats are evaluated again against the merged values; thresholds on estimated
+ * stats pass only if they passed on every source and are flagged with perSource.
+ * 
+ * @param {string} name - Full metric name
+ * @param {Object[]} entries - The metric of every source that has it, with the source's data
+ * @returns {Object} Merged metric, with estimates mapping estimated stats to 'upper-bound' or 'approximate'
+ */
+function mergeMetric(name, entries) {
+    const first = entries[0].metric;
+    const merged = { type: first.type, contains: first.contains, values: {} };
+
+    // Outcome on every source, used when the merged value cannot be checked exactly
+    for (let entry of entries) {
+        for (let expression in entry.metric.thresholds || {}) {
+            merged.thresholds = merged.thresholds || {};
+            const previous = merged.thresholds[expression];
+            merged.thresholds[expression] = { ok: (previous ? previous.ok : true) && entry.metric.thresholds[expression].ok !== false };
+        }
+    }
+
+    if (entries.length === 1) {
+        merged.values = Object.assign({}, first.values);
+        return merged;
+    }
+
+    const values = entries.map(entry => entry.metric.values || {});
+    const sum = key => values.reduce((total, value) => total + (value[key] || 0), 0);
+    const collect = key => values.map(value => value[key]).filter(value => typeof value === 'number');
+    const estimates = {};
+
+    if (first.type === 'counter') {
+        merged.values = { count: sum('count'), rate: sum('rate') };
+    } else if (first.type === 'rate') {
+        const passes = sum('passes');
+        const fails = sum('fails');
+        merged.values = { rate: passes + fails > 0 ? passes / (passes + fails) : 0, passes, fails };
+    } else if (first.type === 'gauge' && ADDITIVE_GAUGES.indexOf(parseMetricName(name).name) !== -1) {
+        // Peaks of different sources need not coincide, so the summed max is an upper bound
+        merged.values = { value: sum('value'), min: sum('min'), max: sum('max') };
+        estimates.min = 'approximate';
+        estimates.max = 'upper-bound';
+    } else {
+        for (let key in first.values) {
+            const known = collect(key);
+            if (known.length === 0) {
+                continue;
+            }
+            if (key === 'min') {
+                merged.values.min = Math.min.apply(null, known);
+            } else if (key === 'max') {
+                merged.values.max = Math.max.apply(null, known);
+            } else if (key === 'count') {
+                merged.values.count = sum('count');
+            } else if (key === 'avg' || key === 'value') {
+                const weights = entries.map(entry => trendWeight(name, entry));
+                const weighted = weights.every(weight => weight !== null);
+                const total = weighted ? weights.reduce((a, b) => a + b, 0) : values.length;
+                merged.values[key] = total > 0
+                    ? values.reduce((result, value, index) => result + (value[key] || 0) * (weighted ? weights[index] : 1), 0) / total
+                    : 0;
+                if (!weighted || key === 'value') {
+                    estimates[key] = 'approximate';
+                }
+            } else {
+                merged.values[key] = Math.max.apply(null, known);
+                estimates[key] = 'upper-bound';
+            }
+        }
+    }
+
+    if (Object.keys(estimates).length > 0) {
+        merged.estimates = estimates;
+    }
+
+    for (let expression in merged.thresholds || {}) {
+        const parsed = parseThresholdExpression(expression);
+        const observed = parsed ? merged.values[parsed.stat] : undefined;
+        if (typeof observed === 'number' && !estimates[parsed.stat]) {
+            merged.thresholds[expression] = { ok: thresholdHolds(observed, parsed.operator, parsed.limit) };
+        } else {
+            merged.thresholds[expression].perSource = true;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Number of samples behind a source's trend, used to weight averages
+ * Taken from the trend's count when summaryTrendStats has it, else from http_reqs for HTTP timings
+ * and iterations for iteration_duration (with the same tags)
+ * 
+ * @param {string} name - Full metric name
+ * @param {Object} entry - The source's metric and data
+ * @returns {number|null} Sample count, or null if unknown
+ */
+function trendWeight(name, entry) {
+    if (typeof entry.metric.values.count === 'number') {
+        return entry.metric.values.count;
+    }
+    const parsed = parseMetricName(name);
+    const counter = parsed.name.indexOf('http_req_') === 0 ? 'http_reqs' : parsed.name === 'iteration_duration' ? 'iterations' : null;
+    if (entry.metric.type !== 'trend' || !counter) {
+        return null;
+    }
+    const counted = entry.data.metrics[counter + name.slice(parsed.name.length)];
+    return counted && typeof counted.values.count === 'number' ? counted.values.count : null;
+}
+
+/**
+ * Merge the group trees of several sources: groups and checks with the same name are combined
+ * and their passes and fails summed
+ * 
+ * @param {Object[]} groups - Root groups of the sources
+ * @returns {Object} Merged group
+ */
+function mergeGroups(groups) {
+    const merged = {
+        name: groups.length > 0 ? groups[0].name : '',
+        path: groups.length > 0 ? groups[0].path : '',
+        id: groups.length > 0 ? groups[0].id : '',
+        groups: [],
+        checks: [],
+    };
+
+    const checks = {};
+    const children = {};
+    const childOrder = [];
+    for (let group of groups) {
+        for (let check of group.checks || []) {
+            if (!checks[check.name]) {
+                checks[check.name] = Object.assign({}, check, { passes: 0, fails: 0 });
+                merged.checks.push(checks[check.name]);
+            }
+            checks[check.name].passes += check.passes || 0;
+            checks[check.name].fails += check.fails || 0;
+        }
+        for (let child of group.groups || []) {
+            if (!children[child.name]) {
+                children[child.name] = [];
+                childOrder.push(child.name);
+            }
+            children[child.name].push(child);
         }
     }
+    merged.groups = childOrder.map(name => mergeGroups(children[name]));
 
-    stats.totalChecks = stats.checkPasses + stats.checkFailures;
-
-    return stats;
+    return merged;
 }
 
 /**
- * Count total passes and fails from an array of checks
+ * Generate the Sources section HTML: one row per summary combined by aggregateReport,
+ * with its verdict and headline numbers
  * 
- * @param {Array} checks - Array of check objects
- * @returns {Object} Object with passes and fails counts
+ * @param {Object[]} sources - Sources with name and handleSummary data
+ * @param {Object} options - Report options passed to htmlReport (verdict policy, k6Options)
+ * @returns {string} HTML string for the sources section
  */
-function countChecks(checks) {
-    let passes = 0;
-    let fails = 0;
-    for (let check of checks) {
-        passes += parseInt(check.passes || 0);
-        fails += parseInt(check.fails || 0);
-    }
-    return { passes, fails };
-}
+function generateSourcesSection(sources, options) {
+    const badges = { pass: 'badge-success', warn: 'badge-warning', fail: 'badge-error' };
 
-/**
- * Generate the metrics table HTML for detailed HTTP metrics
- * Shows timing breakdowns like duration, waiting, connecting, etc.
- * 
- * @param {Object} data - The k6 test results data
- * @returns {string} HTML string for the metrics table
- */
-function generateMetricsTable(data) {
-    // List of standard k6 HTTP timing metrics to display
-    const standardMetrics = [
-        'http_req_duration',
-        'http_req_waiting',
-        'http_req_connecting',
-        'http_req_tls_handshaking',
-        'http_req_sending',
-        'http_req_receiving',
-        'http_req_blocked',
-        'iteration_duration',
-    ];
-
-    let html = '<div class="chart-container"><h3 class="chart-title">HTTP Request Metrics</h3>';
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-server"></i> Per-Source Breakdown</h3>';
     html += '<table class="metrics-table"><thead><tr>';
-    html += '<th>Metric</th><th>Avg</th><th>Min</th><th>Med</th><th>Max</th><th>P90</th><th>P95</th>';
+    html += '<th>Source</th><th>Verdict</th><th>Requests</th><th>Throughput</th><th>Error Rate</th><th>Avg Response</th><th>P95 Response</th><th>Max VUs</th><th>Failed Checks</th><th>Breached Thresholds</th><th>Duration</th>';
     html += '</tr></thead><tbody>';
 
-    // Generate table row for each metric
-    for (let metricName of standardMetrics) {
-        if (data.metrics[metricName]) {
-            const metric = data.metrics[metricName];
-            const values = metric.values;
-            
-            html += '<tr>';
-            html += `<td><strong>${metricName}</strong></td>`;
-            html += `<td>${(values.avg || 0).toFixed(2)}</td>`;
-            html += `<td class="metric-value-good">${(values.min || 0).toFixed(2)}</td>`;
-            html += `<td>${(values.med || 0).toFixed(2)}</td>`;
-            html += `<td class="metric-value-bad">${(values.max || 0).toFixed(2)}</td>`;
-            html += `<td>${(values['p(90)'] || 0).toFixed(2)}</td>`;
-            html += `<td>${(values['p(95)'] || 0).toFixed(2)}</td>`;
-            html += '</tr>';
-        }
-    }
+    sources.forEach((source, index) => {
+        const stats = calculateStats(source.data);
+        const verdict = decideVerdict(source.data, stats, options);
+        const rowId = domId('source', `${index + 1} ${source.name}`);
+        html += `<tr id="${rowId}"${verdict.status === 'fail' ? ' class="failed"' : ''}>`;
+        html += `<td><strong>${escapeHtml(source.name)}</strong>${generateCopyLink(rowId)}</td>`;
+        html += `<td><span class="badge ${badges[verdict.status]}">${VERDICT_STATUSES[verdict.status].word}</span></td>`;
+        html += `<td>${formatNumber(stats.totalRequests)}</td>`;
+        html += `<td>${stats.requestsPerSecond} req/s</td>`;
+        html += `<td>${stats.errorRate}%</td>`;
+        html += `<td>${formatDuration(parseFloat(stats.avgResponseTime))}</td>`;
+        html += `<td>${formatDuration(parseFloat(stats.p95ResponseTime))}</td>`;
+        html += `<td>${stats.maxVUs}</td>`;
+        html += `<td>${stats.checkFailures} of ${stats.totalChecks}</td>`;
+        html += `<td>${stats.thresholdFailures}</td>`;
+        html += `<td>${stats.testDuration ? formatRunDuration(stats.testDuration) : '-'}</td>`;
+        html += '</tr>';
+    });
 
     html += '</tbody></table></div>';
-    html += '<p style="margin-top: 10px; color: #6c757d; font-size: 0.9em;"><i class="fas fa-info-circle"></i> All times are in milliseconds</p>';
+    html += '<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> The other tabs combine all sources: counts, rates and checks are exact sums, and percentiles are upper-bound estimates marked ≤. Thresholds on exact values are checked again against the combined values; thresholds on estimated values pass only if they passed on every source</p>';
 
     return html;
 }
 
 /**
- * Generate the checks section HTML
- * Displays all test checks organized by groups
- * 
- * @param {Object} data - The k6 test results data
- * @returns {string} HTML string for the checks section
+ * Number of previous runs in the rolling median of the history page when options.window is not set
  */
-function generateChecksSection(data) {
-    let html = '';
+const DEFAULT_HISTORY_WINDOW = 5;
 
-    // Process checks from all groups
-    if (data.root_group.groups && data.root_group.groups.length > 0) {
-        for (let group of data.root_group.groups) {
-            html += `<div class="chart-container">`;
-            html += `<h3 class="chart-title"><i class="fas fa-layer-group"></i> Group: ${escapeHtml(group.name)}</h3>`;
-            
-            // Display each check in the group
-            if (group.checks && group.checks.length > 0) {
-                for (let check of group.checks) {
-                    const isPassed = check.fails === 0;
-                    html += `<div class="check-item">`;
-                    html += `<div class="check-name">${escapeHtml(check.name)}</div>`;
-                    html += `<div class="check-stats">`;
-                    html += `<span class="badge badge-success"><i class="fas fa-check"></i> ${check.passes} passed</span>`;
-                    if (check.fails > 0) {
-                        html += `<span class="badge badge-error"><i class="fas fa-times"></i> ${check.fails} failed</span>`;
-                    }
-                    html += `</div></div>`;
-                }
-            } else {
-                html += `<p style="color: #6c757d;">No checks in this group</p>`;
-            }
-            
-            html += `</div>`;
-        }
-    }
+/**
+ * Fewest previous runs needed before a run can be flagged as regressed on the history page
+ */
+const MIN_HISTORY_RUNS = 2;
 
-    // Process checks from root group (ungrouped checks)
-    if (data.root_group.checks && data.root_group.checks.length > 0) {
-        html += `<div class="chart-container">`;
-        html += `<h3 class="chart-title"><i class="fas fa-list-check"></i> Other Checks</h3>`;
-        
-        for (let check of data.root_group.checks) {
-            html += `<div class="check-item">`;
-            html += `<div class="check-name">${escapeHtml(check.name)}</div>`;
-            html += `<div class="check-stats">`;
-            html += `<span class="badge badge-success"><i class="fas fa-check"></i> ${check.passes} passed</span>`;
-            if (check.fails > 0) {
-                html += `<span class="badge badge-error"><i class="fas fa-times"></i> ${check.fails} failed</span>`;
-            }
-            html += `</div></div>`;
+/**
+ * Series charted on the history page, each compared against its rolling median
+ * The metric names the tolerance entry (see resolveTolerance); values are multiplied by scale before charting
+ */
+const HISTORY_SERIES = [
+    { key: 'p95', metric: 'http_req_duration', title: 'p(95) Latency', icon: 'fa-clock', direction: 'lower', pointsScale: null, contains: 'time', scale: 1, unit: '' },
+    { key: 'errorRate', metric: 'http_req_failed', title: 'Error Rate', icon: 'fa-exclamation-triangle', direction: 'lower', pointsScale: 100, contains: 'default', scale: 100, unit: '%' },
+    { key: 'throughput', metric: 'http_reqs', title: 'Throughput', icon: 'fa-gauge-high', direction: 'higher', pointsScale: null, contains: 'default', scale: 1, unit: '/s' },
+    { key: 'thresholdsPassed', metric: 'thresholds', title: 'Thresholds Passed', icon: 'fa-check-circle', direction: 'higher', pointsScale: null, contains: 'default', scale: 1, unit: '' },
+];
+
+/**
+ * Read the numbers of one past run for the history page
+ * The run date comes from the entry, a jsonReport document's generatedAt, or a timestamp
+ * in the report file name (e.g. test-reporter-2026-01-31T16-39-41.613Z.html)
+ * 
+ * @param {Object|string} entry - Summary of the run, optionally wrapped as { summary, href, name, date }
+ * @param {number} index - Position of the entry, for default names and warnings
+ * @param {Object} options - Options passed to historyReport
+ * @returns {Object|null} Run with name, href, date, verdict and series values, or null if the summary cannot be used
+ */
+function collectHistoryRun(entry, index, options) {
+    const wrapped = entry && typeof entry === 'object' && entry.summary !== undefined && !entry.metrics;
+    let input = wrapped ? entry.summary : entry;
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            // loadSummary reports the invalid JSON
         }
-        
-        html += `</div>`;
     }
-
-    // Show message if no checks were configured
-    if (!html) {
-        html = '<div class="chart-container"><p style="color: #6c757d;">No checks configured for this test</p></div>';
+    const data = loadSummary(input, `history entry ${index + 1}`);
+    if (!data) {
+        return null;
     }
 
-    return html;
+    const href = wrapped && entry.href ? String(entry.href) : null;
+    const fileDate = href ? /(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2}(?:\.\d+)?Z)/.exec(href) : null;
+    const date = [wrapped ? entry.date : null, input.generatedAt, fileDate ? `${fileDate[1]}:${fileDate[2]}:${fileDate[3]}` : null]
+        .filter(Boolean)
+        .map(value => new Date(value))
+        .find(value => !isNaN(value.getTime())) || null;
+
+    const metrics = data.metrics;
+    const stat = (name, key) => metrics[name] && typeof metrics[name].values[key] === 'number' ? metrics[name].values[key] : null;
+    const thresholds = evaluateThresholds(data, options.k6Options);
+
+    return {
+        name: wrapped && entry.name ? String(entry.name) : href ? href.split('/').pop().replace(/\.html?$/i, '') : `Run ${index + 1}`,
+        href,
+        date,
+        verdict: decideVerdict(data, calculateStats(data), options).status,
+        p95: stat('http_req_duration', 'p(95)'),
+        errorRate: stat('http_req_failed', 'rate'),
+        throughput: stat('http_reqs', 'rate'),
+        thresholdsPassed: thresholds.length > 0 ? thresholds.filter(result => result.ok).length : null,
+        thresholdCount: thresholds.length,
+        regressions: [],
+    };
 }
 
 /**
- * Generate the thresholds section HTML
- * Displays pass/fail status for all configured thresholds
+ * Median of a list of numbers
  * 
- * @param {Object} data - The k6 test results data
- * @returns {string} HTML string for the thresholds section
+ * @param {number[]} values - Values (not empty)
+ * @returns {number} Median
  */
-function generateThresholdsSection(data) {
-    let html = '<div class="chart-container">';
-    html += '<h3 class="chart-title"><i class="fas fa-gauge-high"></i> Threshold Results</h3>';
-    
-    let hasThresholds = false;
-    let passedCount = 0;
-    let failedCount = 0;
-
-    // Iterate through all metrics to find thresholds
-    for (let metricName in data.metrics) {
-        const metric = data.metrics[metricName];
-        
-        if (metric.thresholds) {
-            hasThresholds = true;
-            
-            // Check each threshold for this metric
-            for (let thresholdName in metric.thresholds) {
-                const threshold = metric.thresholds[thresholdName];
-                const isPassed = threshold.ok;
-                
-                if (isPassed) {
-                    passedCount++;
-                } else {
-                    failedCount++;
-                }
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
 
-                // Create threshold result card
-                html += `<div class="check-item" style="border-left: 4px solid ${isPassed ? '#28a745' : '#dc3545'};">`;
-                html += `<div style="flex: 1;">`;
-                html += `<div style="font-weight: 600; margin-bottom: 5px;">`;
-                html += `<i class="fas fa-${isPassed ? 'check-circle' : 'times-circle'}" style="color: ${isPassed ? '#28a745' : '#dc3545'};"></i> `;
-                html += `${escapeHtml(metricName)}`;
-                html += `</div>`;
-                html += `<div style="color: #6c757d; font-size: 0.9em; font-family: monospace;">`;
-                html += `${escapeHtml(thresholdName)}`;
-                html += `</div>`;
-                html += `</div>`;
-                html += `<div class="check-stats">`;
-                
-                if (isPassed) {
-                    html += `<span class="badge badge-success">`;
-                    html += `<i class="fas fa-check"></i> PASSED`;
-                    html += `</span>`;
-                } else {
-                    html += `<span class="badge badge-error">`;
-                    html += `<i class="fas fa-times"></i> FAILED`;
-                    html += `</span>`;
-                }
-                
-                html += `</div>`;
-                html += `</div>`;
+/**
+ * Flag every run whose series regressed against the median of the runs before it
+ * Adds to each run's regressions the series, the median and the comparison from compareValues
+ * 
+ * @param {Object[]} runs - Runs from collectHistoryRun, oldest first
+ * @param {Object} options - Options passed to historyReport (window, baselineTolerance or its alias tolerance)
+ */
+function flagHistoryRegressions(runs, options) {
+    const window = options.window > 0 ? options.window : DEFAULT_HISTORY_WINDOW;
+    const tolerance = options.baselineTolerance !== undefined ? options.baselineTolerance : options.tolerance;
+    runs.forEach((run, index) => {
+        for (let series of HISTORY_SERIES) {
+            const previous = runs.slice(Math.max(0, index - window), index)
+                .map(other => other[series.key])
+                .filter(value => value !== null);
+            if (run[series.key] === null || previous.length < MIN_HISTORY_RUNS) {
+                continue;
             }
+            const baseline = median(previous);
+            const comparison = compareValues(run[series.key], baseline, series.direction, resolveTolerance(tolerance, series.metric), series.pointsScale);
+            if (comparison.status === 'regressed') {
+                run.regressions.push({ series, median: baseline, comparison });
+            }
+        }
+    });
+}
+
+/**
+ * Format a history series value for the runs table
+ * 
+ * @param {number|null} value - Value of the run
+ * @param {Object} series - Series definition from HISTORY_SERIES
+ * @returns {string} Formatted value, or "-" when the run has none
+ */
+function formatHistoryValue(value, series) {
+    return value === null ? '-' : `${formatMetricValue(value * series.scale, series.contains)}${series.unit}`;
+}
+
+/**
+ * Generate the complete history index page
+ * 
+ * @param {Object[]} runs - Runs from collectHistoryRun with their regressions, oldest first
+ * @param {Object} options - Options passed to historyReport
+ * @returns {string} Complete HTML document
+ */
+function generateHistoryHTML(runs, options) {
+    const title = options.title || 'Test History';
+    const theme = resolveTheme(options.theme);
+    const selfContained = options.selfContained !== false;
+    const footerLinks = options.footerLinks !== false;
+    const latest = runs.length > 0 ? runs[runs.length - 1] : null;
+    const badges = { pass: 'badge-success', warn: 'badge-warning', fail: 'badge-error' };
+    const runLabel = run => run.date ? `${run.name} (${run.date.toISOString().replace('T', ' ').slice(0, 16)} UTC)` : run.name;
+
+    // Charts: one point per run, regressed runs highlighted
+    let charts = '<div class="scenario-grid">';
+    for (let series of HISTORY_SERIES) {
+        charts += '<div class="chart-container scenario-card">';
+        charts += `<h3 class="chart-title"><i class="fas ${series.icon}"></i> ${series.title}</h3>`;
+        if (runs.every(run => run[series.key] === null)) {
+            charts += '<p style="color: var(--muted);">No run recorded this value</p>';
+        } else {
+            const step = Math.ceil(runs.length / 10);
+            const position = index => (index + 0.5) / runs.length;
+            const points = runs.map((run, index) => ({
+                position: position(index),
+                value: run[series.key] === null ? null : run[series.key] * series.scale,
+                flagged: run.regressions.some(regression => regression.series === series),
+                title: `${runLabel(run)}: ${formatHistoryValue(run[series.key], series)}`,
+            }));
+            const xTicks = runs
+                .map((run, index) => ({ position: position(index), label: `#${index + 1}` }))
+                .filter((tick, index) => index % step === 0);
+            charts += generateLineChart(points, xTicks, series, true);
         }
+        charts += '</div>';
     }
+    charts += '</div>';
 
-    // Show message if no thresholds configured
-    if (!hasThresholds) {
-        html += '<p style="color: #6c757d; text-align: center; padding: 40px;">No thresholds configured for this test</p>';
+    // Runs table, newest first
+    let table = '<div class="chart-container"><h3 class="chart-title"><i class="fas fa-list"></i> Runs</h3>';
+    if (runs.length === 0) {
+        table += '<p style="color: var(--muted);">No usable run summaries were given</p>';
     } else {
-        // Add summary cards at the top showing passed/failed counts
-        html = `<div class="chart-container">
-            <h3 class="chart-title"><i class="fas fa-gauge-high"></i> Threshold Results</h3>
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px;">
-                <div style="background: linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%); padding: 20px; border-radius: 10px; text-align: center;">
-                    <div style="font-size: 2.5em; font-weight: 700; color: #155724;">${passedCount}</div>
-                    <div style="color: #155724; font-weight: 600;">Passed</div>
-                </div>
-                <div style="background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%); padding: 20px; border-radius: 10px; text-align: center;">
-                    <div style="font-size: 2.5em; font-weight: 700; color: #721c24;">${failedCount}</div>
-                    <div style="color: #721c24; font-weight: 600;">Failed</div>
-                </div>
-            </div>` + html.substring(html.indexOf('</h3>') + 5);
+        table += '<table class="metrics-table"><thead><tr><th>#</th><th>Run</th><th>Date</th><th>Status</th>';
+        table += HISTORY_SERIES.map(series => `<th>${series.title}</th>`).join('');
+        table += '<th>Regressions</th></tr></thead><tbody>';
+        for (let index = runs.length - 1; index >= 0; index--) {
+            const run = runs[index];
+            table += `<tr${run.regressions.length > 0 ? ' class="failed"' : ''}>`;
+            table += `<td>${index + 1}</td>`;
+            table += `<td>${run.href ? `<a href="${escapeHtml(run.href)}">${escapeHtml(run.name)}</a>` : escapeHtml(run.name)}</td>`;
+            table += `<td>${run.date ? escapeHtml(run.date.toISOString().replace('T', ' ').slice(0, 19)) : '-'}</td>`;
+            table += `<td><span class="badge ${badges[run.verdict]}">${VERDICT_STATUSES[run.verdict].word}</span></td>`;
+            for (let series of HISTORY_SERIES) {
+                const regressed = run.regressions.some(regression => regression.series === series);
+                const value = series.key === 'thresholdsPassed' && run.thresholdCount > 0
+                    ? `${run.thresholdsPassed} of ${run.thresholdCount}`
+                    : formatHistoryValue(run[series.key], series);
+                table += `<td${regressed ? ' class="metric-value-bad"' : ''}>${value}</td>`;
+            }
+            table += '<td>';
+            table += run.regressions.map(regression => `<span class="badge badge-error" title="Rolling median: ${formatHistoryValue(regression.median, regression.series)}">${regression.series.title} ${formatChange(regression.comparison)}</span>`).join(' ');
+            table += '</td></tr>';
+        }
+        table += '</tbody></table>';
     }
+    table += `<p style="margin-top: 10px; color: var(--muted); font-size: 0.9em;"><i class="fas fa-info-circle"></i> A run is flagged when a value is worse than the median of up to ${options.window > 0 ? options.window : DEFAULT_HISTORY_WINDOW} runs before it by more than the tolerance (at least ${MIN_HISTORY_RUNS} earlier runs are needed)</p>`;
+    table += '</div>';
 
-    html += '</div>';
-    return html;
+    const html = `
+<!DOCTYPE html>
+<html lang="en"${theme.base === 'auto' ? '' : ` data-theme="${theme.base}"`}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>K6 Test History - ${escapeHtml(title)}</title>
+    ${selfContained ? '' : `<!-- Font Awesome for icons -->
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">`}
+    <style>
+        /* ========================================
+           THEME PALETTE
+           ======================================== */
+        ${generateThemeCss(theme)}
+
+        ${generateBaseCss()}
+
+        /* ========================================
+           HISTORY PAGE
+           ======================================== */
+
+        /* Header coloured by the status of the latest run */
+        .header {
+            background: ${latest ? VERDICT_STATUSES[latest.verdict].gradient : 'var(--accent-gradient)'};
+            color: white;
+            padding: 40px;
+        }
+
+        .header h1 {
+            font-size: 2.5em;
+            margin-bottom: 10px;
+            font-weight: 300;
+        }
+
+        .content {
+            padding: 40px;
+        }
+
+        .scenario-grid {
+            margin-bottom: 30px;
+        }
+
+        .scenario-card {
+            break-inside: avoid;
+        }
+
+        /* Runs with a regression */
+        .metrics-table tbody tr.failed {
+            background: var(--error-soft);
+        }
+
+        .metrics-table a {
+            color: var(--accent);
+            font-weight: 600;
+        }
+
+        /* Runs that regressed against the rolling median */
+        .timeline-point.flagged {
+            fill: var(--error);
+            stroke: var(--surface);
+            stroke-width: 2;
+        }
+
+        @media print {
+            body {
+                background: none;
+                padding: 0;
+            }
+
+            .container,
+            .chart-container,
+            .metrics-table {
+                box-shadow: none;
+            }
+
+            .header {
+                background: none;
+                color: var(--heading);
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            ${theme.logo ? `<div style="margin-bottom: 10px;">${theme.logo}</div>` : ''}
+            <h1>K6 Test History</h1>
+            <p style="font-size: 1.2em; opacity: 0.9;">${escapeHtml(title)}</p>
+            <p style="margin-top: 15px; opacity: 0.9;">
+                <i class="fas fa-list"></i> ${runs.length} runs${latest ? ` - latest: ${VERDICT_STATUSES[latest.verdict].word}${latest.regressions.length > 0 ? `, ${latest.regressions.length} regressions` : ''}` : ''}
+            </p>
+            <p style="margin-top: 5px; opacity: 0.9;">
+                <i class="far fa-clock"></i> Generated: ${new Date().toLocaleString()}
+            </p>
+        </div>
+        <div class="content">
+            ${charts}
+            ${table}
+        </div>
+        <div class="footer">
+            <p><strong>K6 Modern Reporter by Samin Azhan</strong></p>
+            ${footerLinks ? `
+            <p style="margin-top: 10px;">
+                <a href="https://github.com/Samin005/k6-modern-reporter" target="_blank">Documentation</a> | 
+                <a href="https://github.com/Samin005" target="_blank">GitHub</a>
+            </p>
+            ` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+
+    return selfContained ? inlineIcons(html) : html;
 }
 
 /**
@@ -1181,7 +6386,7 @@ function generateTestInfoSection(additionalInfo) {
     // Generate table row for each info item
     for (let key in additionalInfo) {
         html += '<tr>';
-        html += `<td><i class="fas fa-caret-right" style="color: #667eea; margin-right: 8px;"></i>${escapeHtml(key)}</td>`;
+        html += `<td><i class="fas fa-caret-right" style="color: var(--accent); margin-right: 8px;"></i>${escapeHtml(key)}</td>`;
         html += `<td>${escapeHtml(String(additionalInfo[key]))}</td>`;
         html += '</tr>';
     }
@@ -1229,24 +6434,24 @@ function generateOverviewSection(stats) {
             <!-- Response Time Statistics Grid -->
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-top: 30px;">
                 <!-- Minimum Response Time -->
-                <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 10px;">
-                    <div style="font-size: 0.9em; color: #6c757d; margin-bottom: 5px;">MIN</div>
-                    <div style="font-size: 1.8em; font-weight: 700; color: #28a745;">${stats.minResponseTime}ms</div>
+                <div style="text-align: center; padding: 20px; background: var(--surface-alt); border-radius: 10px;">
+                    <div style="font-size: 0.9em; color: var(--muted); margin-bottom: 5px;">MIN</div>
+                    <div style="font-size: 1.8em; font-weight: 700; color: var(--success);">${stats.minResponseTime}ms</div>
                 </div>
                 <!-- Average Response Time -->
-                <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 10px;">
-                    <div style="font-size: 0.9em; color: #6c757d; margin-bottom: 5px;">AVG</div>
-                    <div style="font-size: 1.8em; font-weight: 700; color: #667eea;">${stats.avgResponseTime}ms</div>
+                <div style="text-align: center; padding: 20px; background: var(--surface-alt); border-radius: 10px;">
+                    <div style="font-size: 0.9em; color: var(--muted); margin-bottom: 5px;">AVG</div>
+                    <div style="font-size: 1.8em; font-weight: 700; color: var(--accent);">${stats.avgResponseTime}ms</div>
                 </div>
                 <!-- 95th Percentile Response Time -->
-                <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 10px;">
-                    <div style="font-size: 0.9em; color: #6c757d; margin-bottom: 5px;">P95</div>
-                    <div style="font-size: 1.8em; font-weight: 700; color: #f2994a;">${stats.p95ResponseTime}ms</div>
+                <div style="text-align: center; padding: 20px; background: var(--surface-alt); border-radius: 10px;">
+                    <div style="font-size: 0.9em; color: var(--muted); margin-bottom: 5px;">P95</div>
+                    <div style="font-size: 1.8em; font-weight: 700; color: var(--warning);">${stats.p95ResponseTime}ms</div>
                 </div>
                 <!-- Maximum Response Time -->
-                <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 10px;">
-                    <div style="font-size: 0.9em; color: #6c757d; margin-bottom: 5px;">MAX</div>
-                    <div style="font-size: 1.8em; font-weight: 700; color: #dc3545;">${stats.maxResponseTime}ms</div>
+                <div style="text-align: center; padding: 20px; background: var(--surface-alt); border-radius: 10px;">
+                    <div style="font-size: 0.9em; color: var(--muted); margin-bottom: 5px;">MAX</div>
+                    <div style="font-size: 1.8em; font-weight: 700; color: var(--error);">${stats.maxResponseTime}ms</div>
                 </div>
             </div>
         </div>
@@ -1257,21 +6462,263 @@ function generateOverviewSection(stats) {
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; margin-top: 20px;">
                 <!-- Data Received -->
                 <div style="text-align: center;">
-                    <i class="fas fa-download" style="font-size: 3em; color: #667eea; opacity: 0.3;"></i>
+                    <i class="fas fa-download" style="font-size: 3em; color: var(--accent); opacity: 0.3;"></i>
                     <div style="font-size: 2em; font-weight: 700; margin: 10px 0;">${stats.dataReceived} MB</div>
-                    <div style="color: #6c757d;">Data Received</div>
+                    <div style="color: var(--muted);">Data Received</div>
                 </div>
                 <!-- Data Sent -->
                 <div style="text-align: center;">
-                    <i class="fas fa-upload" style="font-size: 3em; color: #764ba2; opacity: 0.3;"></i>
+                    <i class="fas fa-upload" style="font-size: 3em; color: var(--accent-secondary); opacity: 0.3;"></i>
                     <div style="font-size: 2em; font-weight: 700; margin: 10px 0;">${stats.dataSent} MB</div>
-                    <div style="color: #6c757d;">Data Sent</div>
+                    <div style="color: var(--muted);">Data Sent</div>
                 </div>
             </div>
         </div>
     `;
 }
 
+/**
+ * SVG paths of the Font Awesome icons used in the report, as [viewBox width, path]
+ * (all icons are 512 units high). Inlined by inlineIcons so the report needs no network access.
+ * Icons: Font Awesome Free 6 by @fontawesome - https://fontawesome.com - License: CC BY 4.0
+ */
+const ICON_PATHS = {
+    'bullseye': [512, 'M448 256A192 192 0 1 0 64 256a192 192 0 1 0 384 0zM0 256a256 256 0 1 1 512 0A256 256 0 1 1 0 256zm256 80a80 80 0 1 0 0-160 80 80 0 1 0 0 160zm0-224a144 144 0 1 1 0 288 144 144 0 1 1 0-288zM224 256a32 32 0 1 1 64 0 32 32 0 1 1 -64 0z'],
+    'calculator': [384, 'M64 0C28.7 0 0 28.7 0 64L0 448c0 35.3 28.7 64 64 64l256 0c35.3 0 64-28.7 64-64l0-384c0-35.3-28.7-64-64-64L64 0zM96 64l192 0c17.7 0 32 14.3 32 32l0 32c0 17.7-14.3 32-32 32L96 160c-17.7 0-32-14.3-32-32l0-32c0-17.7 14.3-32 32-32zm32 160a32 32 0 1 1 -64 0 32 32 0 1 1 64 0zM96 352a32 32 0 1 1 0-64 32 32 0 1 1 0 64zM64 416c0-17.7 14.3-32 32-32l96 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-96 0c-17.7 0-32-14.3-32-32zM192 256a32 32 0 1 1 0-64 32 32 0 1 1 0 64zm32 64a32 32 0 1 1 -64 0 32 32 0 1 1 64 0zm64-64a32 32 0 1 1 0-64 32 32 0 1 1 0 64zm32 64a32 32 0 1 1 -64 0 32 32 0 1 1 64 0zM288 448a32 32 0 1 1 0-64 32 32 0 1 1 0 64z'],
+    'caret-right': [256, 'M246.6 278.6c12.5-12.5 12.5-32.8 0-45.3l-128-128c-9.2-9.2-22.9-11.9-34.9-6.9s-19.8 16.6-19.8 29.6l0 256c0 12.9 7.8 24.6 19.8 29.6s25.7 2.2 34.9-6.9l128-128z'],
+    'chart-area': [512, 'M64 64c0-17.7-14.3-32-32-32S0 46.3 0 64L0 400c0 44.2 35.8 80 80 80l400 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L80 416c-8.8 0-16-7.2-16-16L64 64zm96 288l288 0c17.7 0 32-14.3 32-32l0-68.2c0-7.6-2.7-15-7.7-20.8l-65.8-76.8c-12.1-14.2-33.7-15-46.9-1.8l-21 21c-10 10-26.4 9.2-35.4-1.6l-39.2-47c-12.6-15.1-35.7-15.4-48.7-.6L135.9 215c-5.1 5.8-7.9 13.3-7.9 21.1l0 84c0 17.7 14.3 32 32 32z'],
+    'chart-bar': [512, 'M32 32c17.7 0 32 14.3 32 32l0 336c0 8.8 7.2 16 16 16l400 0c17.7 0 32 14.3 32 32s-14.3 32-32 32L80 480c-44.2 0-80-35.8-80-80L0 64C0 46.3 14.3 32 32 32zm96 96c0-17.7 14.3-32 32-32l192 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-192 0c-17.7 0-32-14.3-32-32zm32 64l128 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-128 0c-17.7 0-32-14.3-32-32s14.3-32 32-32zm0 96l256 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-256 0c-17.7 0-32-14.3-32-32s14.3-32 32-32z'],
+    'chart-line': [512, 'M64 64c0-17.7-14.3-32-32-32S0 46.3 0 64L0 400c0 44.2 35.8 80 80 80l400 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L80 416c-8.8 0-16-7.2-16-16L64 64zm406.6 86.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L320 210.7l-57.4-57.4c-12.5-12.5-32.8-12.5-45.3 0l-112 112c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L240 221.3l57.4 57.4c12.5 12.5 32.8 12.5 45.3 0l128-128z'],
+    'chart-pie': [576, 'M304 240l0-223.4c0-9 7-16.6 16-16.6C443.7 0 544 100.3 544 224c0 9-7.6 16-16.6 16L304 240zM32 272C32 150.7 122.1 50.3 239 34.3c9.2-1.3 17 6.1 17 15.4L256 288 412.5 444.5c6.7 6.7 6.2 17.7-1.5 23.1C371.8 495.6 323.8 512 272 512C139.5 512 32 404.6 32 272zm526.4 16c9.3 0 16.6 7.8 15.4 17c-7.7 55.9-34.6 105.6-73.9 142.3c-6 5.6-15.4 5.2-21.2-.7L320 288l238.4 0z'],
+    'check': [448, 'M438.6 105.4c12.5 12.5 12.5 32.8 0 45.3l-256 256c-12.5 12.5-32.8 12.5-45.3 0l-128-128c-12.5-12.5-12.5-32.8 0-45.3s32.8-12.5 45.3 0L160 338.7 393.4 105.4c12.5-12.5 32.8-12.5 45.3 0z'],
+    'check-circle': [512, 'M256 512A256 256 0 1 0 256 0a256 256 0 1 0 0 512zM369 209L241 337c-9.4 9.4-24.6 9.4-33.9 0l-64-64c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l47 47L335 175c9.4-9.4 24.6-9.4 33.9 0s9.4 24.6 0 33.9z'],
+    'chevron-right': [320, 'M310.6 233.4c12.5 12.5 12.5 32.8 0 45.3l-192 192c-12.5 12.5-32.8 12.5-45.3 0s-12.5-32.8 0-45.3L242.7 256 73.4 86.6c-12.5-12.5-12.5-32.8 0-45.3s32.8-12.5 45.3 0l192 192z'],
+    'circle-half-stroke': [512, 'M448 256c0-106-86-192-192-192l0 384c106 0 192-86 192-192zM0 256a256 256 0 1 1 512 0A256 256 0 1 1 0 256z'],
+    'clock': [512, 'M464 256A208 208 0 1 1 48 256a208 208 0 1 1 416 0zM0 256a256 256 0 1 0 512 0A256 256 0 1 0 0 256zM232 120l0 136c0 8 4 15.5 10.7 20l96 64c11 7.4 25.9 4.4 33.3-6.7s4.4-25.9-6.7-33.3L280 243.2 280 120c0-13.3-10.7-24-24-24s-24 10.7-24 24z'],
+    'code-compare': [512, 'M320 488c0 9.5-5.6 18.1-14.2 21.9s-18.8 2.3-25.8-4.1l-80-72c-5.1-4.6-7.9-11-7.9-17.8s2.9-13.3 7.9-17.8l80-72c7-6.3 17.2-7.9 25.8-4.1s14.2 12.4 14.2 21.9l0 40 16 0c35.3 0 64-28.7 64-64l0-166.7C371.7 141 352 112.8 352 80c0-44.2 35.8-80 80-80s80 35.8 80 80c0 32.8-19.7 61-48 73.3L464 320c0 70.7-57.3 128-128 128l-16 0 0 40zM456 80a24 24 0 1 0 -48 0 24 24 0 1 0 48 0zM192 24c0-9.5 5.6-18.1 14.2-21.9s18.8-2.3 25.8 4.1l80 72c5.1 4.6 7.9 11 7.9 17.8s-2.9 13.3-7.9 17.8l-80 72c-7 6.3-17.2 7.9-25.8 4.1s-14.2-12.4-14.2-21.9l0-40-16 0c-35.3 0-64 28.7-64 64l0 166.7c28.3 12.3 48 40.5 48 73.3c0 44.2-35.8 80-80 80s-80-35.8-80-80c0-32.8 19.7-61 48-73.3L48 192c0-70.7 57.3-128 128-128l16 0 0-40zM56 432a24 24 0 1 0 48 0 24 24 0 1 0 -48 0z'],
+    'download': [512, 'M288 32c0-17.7-14.3-32-32-32s-32 14.3-32 32l0 242.7-73.4-73.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3l128 128c12.5 12.5 32.8 12.5 45.3 0l128-128c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L288 274.7 288 32zM64 352c-35.3 0-64 28.7-64 64l0 32c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-32c0-35.3-28.7-64-64-64l-101.5 0-45.3 45.3c-25 25-65.5 25-90.5 0L165.5 352 64 352zm368 56a24 24 0 1 1 0 48 24 24 0 1 1 0-48z'],
+    'envelope': [512, 'M48 64C21.5 64 0 85.5 0 112c0 15.1 7.1 29.3 19.2 38.4L236.8 313.6c11.4 8.5 27 8.5 38.4 0L492.8 150.4c12.1-9.1 19.2-23.3 19.2-38.4c0-26.5-21.5-48-48-48L48 64zM0 176L0 384c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-208L294.4 339.2c-22.8 17.1-54 17.1-76.8 0L0 176z'],
+    'exclamation': [128, 'M96 64c0-17.7-14.3-32-32-32S32 46.3 32 64l0 256c0 17.7 14.3 32 32 32s32-14.3 32-32L96 64zM64 480a40 40 0 1 0 0-80 40 40 0 1 0 0 80z'],
+    'exclamation-triangle': [512, 'M256 32c14.2 0 27.3 7.5 34.5 19.8l216 368c7.3 12.4 7.3 27.7 .2 40.1S486.3 480 472 480L40 480c-14.3 0-27.6-7.7-34.7-20.1s-7-27.8 .2-40.1l216-368C228.7 39.5 241.8 32 256 32zm0 128c-13.3 0-24 10.7-24 24l0 112c0 13.3 10.7 24 24 24s24-10.7 24-24l0-112c0-13.3-10.7-24-24-24zm32 224a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z'],
+    'filter': [512, 'M3.9 54.9C10.5 40.9 24.5 32 40 32l432 0c15.5 0 29.5 8.9 36.1 22.9s4.6 30.5-5.2 42.5L320 320.9 320 448c0 12.1-6.8 23.2-17.7 28.6s-23.8 4.3-33.5-3l-64-48c-8.1-6-12.8-15.5-12.8-25.6l0-79.1L9 97.3C-.7 85.4-2.8 68.8 3.9 54.9z'],
+    'gauge': [512, 'M0 256a256 256 0 1 1 512 0A256 256 0 1 1 0 256zm320 96c0-26.9-16.5-49.9-40-59.3L280 88c0-13.3-10.7-24-24-24s-24 10.7-24 24l0 204.7c-23.5 9.5-40 32.5-40 59.3c0 35.3 28.7 64 64 64s64-28.7 64-64zM144 176a32 32 0 1 0 0-64 32 32 0 1 0 0 64zm-16 80a32 32 0 1 0 -64 0 32 32 0 1 0 64 0zm288 32a32 32 0 1 0 0-64 32 32 0 1 0 0 64zM400 144a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z'],
+    'gauge-high': [512, 'M0 256a256 256 0 1 1 512 0A256 256 0 1 1 0 256zM288 96a32 32 0 1 0 -64 0 32 32 0 1 0 64 0zM256 416c35.3 0 64-28.7 64-64c0-17.4-6.9-33.1-18.1-44.6L366 161.7c5.3-12.1-.2-26.3-12.3-31.6s-26.3 .2-31.6 12.3L257.9 288c-.6 0-1.3 0-1.9 0c-35.3 0-64 28.7-64 64s28.7 64 64 64zM176 144a32 32 0 1 0 -64 0 32 32 0 1 0 64 0zM96 288a32 32 0 1 0 0-64 32 32 0 1 0 0 64zm352-32a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z'],
+    'globe': [512, 'M352 256c0 22.2-1.2 43.6-3.3 64l-185.3 0c-2.2-20.4-3.3-41.8-3.3-64s1.2-43.6 3.3-64l185.3 0c2.2 20.4 3.3 41.8 3.3 64zm28.8-64l123.1 0c5.3 20.5 8.1 41.9 8.1 64s-2.8 43.5-8.1 64l-123.1 0c2.1-20.6 3.2-42 3.2-64s-1.1-43.4-3.2-64zm112.6-32l-116.7 0c-10-63.9-29.8-117.4-55.3-151.6c78.3 20.7 142 77.5 171.9 151.6zm-149.1 0l-176.6 0c6.1-36.4 15.5-68.6 27-94.7c10.5-23.6 22.2-40.7 33.5-51.5C239.4 3.2 248.7 0 256 0s16.6 3.2 27.8 13.8c11.3 10.8 23 27.9 33.5 51.5c11.6 26 20.9 58.2 27 94.7zm-209 0L18.6 160C48.6 85.9 112.2 29.1 190.6 8.4C165.1 42.6 145.3 96.1 135.3 160zM8.1 192l123.1 0c-2.1 20.6-3.2 42-3.2 64s1.1 43.4 3.2 64L8.1 320C2.8 299.5 0 278.1 0 256s2.8-43.5 8.1-64zM194.7 446.6c-11.6-26-20.9-58.2-27-94.6l176.6 0c-6.1 36.4-15.5 68.6-27 94.6c-10.5 23.6-22.2 40.7-33.5 51.5C272.6 508.8 263.3 512 256 512s-16.6-3.2-27.8-13.8c-11.3-10.8-23-27.9-33.5-51.5zM135.3 352c10 63.9 29.8 117.4 55.3 151.6C112.2 482.9 48.6 426.1 18.6 352l116.7 0zm358.1 0c-30 74.1-93.6 130.9-171.9 151.6c25.5-34.2 45.2-87.7 55.3-151.6l116.7 0z'],
+    'heart-pulse': [512, 'M228.3 469.1L47.6 300.4c-4.2-3.9-8.2-8.1-11.9-12.4l87 0c22.6 0 43-13.6 51.7-34.5l10.5-25.2 49.3 109.5c3.8 8.5 12.1 14 21.4 14.1s17.8-5 22-13.3L320 253.7l1.7 3.4c9.5 19 28.9 31 50.1 31l104.5 0c-3.7 4.3-7.7 8.5-11.9 12.4L283.7 469.1c-7.5 7-17.4 10.9-27.7 10.9s-20.2-3.9-27.7-10.9zM503.7 240l-132 0c-3 0-5.8-1.7-7.2-4.4l-23.2-46.3c-4.1-8.1-12.4-13.3-21.5-13.3s-17.4 5.1-21.5 13.3l-41.4 82.8L205.9 158.2c-3.9-8.7-12.7-14.3-22.2-14.1s-18.1 5.9-21.8 14.8l-31.8 76.3c-1.2 3-4.2 4.9-7.4 4.9L16 240c-2.6 0-5 .4-7.3 1.1C3 225.2 0 208.2 0 190.9l0-5.8c0-69.9 50.5-129.5 119.4-141C165 36.5 211.4 51.4 244 84l12 12 12-12c32.6-32.6 79-47.5 124.6-39.9C461.5 55.6 512 115.2 512 185.1l0 5.8c0 16.9-2.8 33.5-8.3 49.1z'],
+    'image': [512, 'M0 96C0 60.7 28.7 32 64 32l384 0c35.3 0 64 28.7 64 64l0 320c0 35.3-28.7 64-64 64L64 480c-35.3 0-64-28.7-64-64L0 96zM323.8 202.5c-4.5-6.6-11.9-10.5-19.8-10.5s-15.4 3.9-19.8 10.5l-87 127.6L170.7 297c-4.6-5.7-11.5-9-18.7-9s-14.2 3.3-18.7 9l-64 80c-5.8 7.2-6.9 17.1-2.9 25.4s12.4 13.6 21.6 13.6l96 0 32 0 208 0c8.9 0 17.1-4.9 21.2-12.8s3.6-17.4-1.4-24.7l-120-176zM112 192a48 48 0 1 0 0-96 48 48 0 1 0 0 96z'],
+    'info-circle': [512, 'M256 512A256 256 0 1 0 256 0a256 256 0 1 0 0 512zM216 336l24 0 0-64-24 0c-13.3 0-24-10.7-24-24s10.7-24 24-24l48 0c13.3 0 24 10.7 24 24l0 88 8 0c13.3 0 24 10.7 24 24s-10.7 24-24 24l-80 0c-13.3 0-24-10.7-24-24s10.7-24 24-24zm40-208a32 32 0 1 1 0 64 32 32 0 1 1 0-64z'],
+    'layer-group': [576, 'M264.5 5.2c14.9-6.9 32.1-6.9 47 0l218.6 101c8.5 3.9 13.9 12.4 13.9 21.8s-5.4 17.9-13.9 21.8l-218.6 101c-14.9 6.9-32.1 6.9-47 0L45.9 149.8C37.4 145.8 32 137.3 32 128s5.4-17.9 13.9-21.8L264.5 5.2zM476.9 209.6l53.2 24.6c8.5 3.9 13.9 12.4 13.9 21.8s-5.4 17.9-13.9 21.8l-218.6 101c-14.9 6.9-32.1 6.9-47 0L45.9 277.8C37.4 273.8 32 265.3 32 256s5.4-17.9 13.9-21.8l53.2-24.6 152 70.2c23.4 10.8 50.4 10.8 73.8 0l152-70.2zm-152 198.2l152-70.2 53.2 24.6c8.5 3.9 13.9 12.4 13.9 21.8s-5.4 17.9-13.9 21.8l-218.6 101c-14.9 6.9-32.1 6.9-47 0L45.9 405.8C37.4 401.8 32 393.3 32 384s5.4-17.9 13.9-21.8l53.2-24.6 152 70.2c23.4 10.8 50.4 10.8 73.8 0z'],
+    'lightbulb': [384, 'M272 384c9.6-31.9 29.5-59.1 49.2-86.2c0 0 0 0 0 0c5.2-7.1 10.4-14.2 15.4-21.4c19.8-28.5 31.4-63 31.4-100.3C368 78.8 289.2 0 192 0S16 78.8 16 176c0 37.3 11.6 71.9 31.4 100.3c5 7.2 10.2 14.3 15.4 21.4c0 0 0 0 0 0c19.8 27.1 39.7 54.4 49.2 86.2l160 0zM192 512c44.2 0 80-35.8 80-80l0-16-160 0 0 16c0 44.2 35.8 80 80 80zM112 176c0 8.8-7.2 16-16 16s-16-7.2-16-16c0-61.9 50.1-112 112-112c8.8 0 16 7.2 16 16s-7.2 16-16 16c-44.2 0-80 35.8-80 80z'],
+    'link': [640, 'M579.8 267.7c56.5-56.5 56.5-148 0-204.5c-50-50-128.8-56.5-186.3-15.4l-1.6 1.1c-14.4 10.3-17.7 30.3-7.4 44.6s30.3 17.7 44.6 7.4l1.6-1.1c32.1-22.9 76-19.3 103.8 8.6c31.5 31.5 31.5 82.5 0 114L422.3 334.8c-31.5 31.5-82.5 31.5-114 0c-27.9-27.9-31.5-71.8-8.6-103.8l1.1-1.6c10.3-14.4 6.9-34.4-7.4-44.6s-34.4-6.9-44.6 7.4l-1.1 1.6C206.5 251.2 213 330 263 380c56.5 56.5 148 56.5 204.5 0L579.8 267.7zM60.2 244.3c-56.5 56.5-56.5 148 0 204.5c50 50 128.8 56.5 186.3 15.4l1.6-1.1c14.4-10.3 17.7-30.3 7.4-44.6s-30.3-17.7-44.6-7.4l-1.6 1.1c-32.1 22.9-76 19.3-103.8-8.6C74 372 74 321 105.5 289.5L217.7 177.2c31.5-31.5 82.5-31.5 114 0c27.9 27.9 31.5 71.8 8.6 103.9l-1.1 1.6c-10.3 14.4-6.9 34.4 7.4 44.6s34.4 6.9 44.6-7.4l1.1-1.6C433.5 260.8 427 182 377 132c-56.5-56.5-148-56.5-204.5 0L60.2 244.3z'],
+    'list': [512, 'M40 48C26.7 48 16 58.7 16 72l0 48c0 13.3 10.7 24 24 24l48 0c13.3 0 24-10.7 24-24l0-48c0-13.3-10.7-24-24-24L40 48zM192 64c-17.7 0-32 14.3-32 32s14.3 32 32 32l288 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L192 64zm0 160c-17.7 0-32 14.3-32 32s14.3 32 32 32l288 0c17.7 0 32-14.3 32-32s-14.3-32-32-32l-288 0zm0 160c-17.7 0-32 14.3-32 32s14.3 32 32 32l288 0c17.7 0 32-14.3 32-32s-14.3-32-32-32l-288 0zM16 232l0 48c0 13.3 10.7 24 24 24l48 0c13.3 0 24-10.7 24-24l0-48c0-13.3-10.7-24-24-24l-48 0c-13.3 0-24 10.7-24 24zM40 368c-13.3 0-24 10.7-24 24l0 48c0 13.3 10.7 24 24 24l48 0c13.3 0 24-10.7 24-24l0-48c0-13.3-10.7-24-24-24l-48 0z'],
+    'list-check': [512, 'M152.1 38.2c9.9 8.9 10.7 24 1.8 33.9l-72 80c-4.4 4.9-10.6 7.8-17.2 7.9s-12.9-2.4-17.6-7L7 113C-2.3 103.6-2.3 88.4 7 79s24.6-9.4 33.9 0l22.1 22.1 55.1-61.2c8.9-9.9 24-10.7 33.9-1.8zm0 160c9.9 8.9 10.7 24 1.8 33.9l-72 80c-4.4 4.9-10.6 7.8-17.2 7.9s-12.9-2.4-17.6-7L7 273c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l22.1 22.1 55.1-61.2c8.9-9.9 24-10.7 33.9-1.8zM224 96c0-17.7 14.3-32 32-32l224 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-224 0c-17.7 0-32-14.3-32-32zm0 160c0-17.7 14.3-32 32-32l224 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-224 0c-17.7 0-32-14.3-32-32zM160 416c0-17.7 14.3-32 32-32l288 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-288 0c-17.7 0-32-14.3-32-32zM48 368a48 48 0 1 1 0 96 48 48 0 1 1 0-96z'],
+    'magnifying-glass': [512, 'M416 208c0 45.9-14.9 88.3-40 122.7L502.6 457.4c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L330.7 376c-34.4 25.2-76.8 40-122.7 40C93.1 416 0 322.9 0 208S93.1 0 208 0S416 93.1 416 208zM208 352a144 144 0 1 0 0-288 144 144 0 1 0 0 288z'],
+    'network-wired': [640, 'M256 64l128 0 0 64-128 0 0-64zM240 0c-26.5 0-48 21.5-48 48l0 96c0 26.5 21.5 48 48 48l48 0 0 32L32 224c-17.7 0-32 14.3-32 32s14.3 32 32 32l96 0 0 32-48 0c-26.5 0-48 21.5-48 48l0 96c0 26.5 21.5 48 48 48l160 0c26.5 0 48-21.5 48-48l0-96c0-26.5-21.5-48-48-48l-48 0 0-32 256 0 0 32-48 0c-26.5 0-48 21.5-48 48l0 96c0 26.5 21.5 48 48 48l160 0c26.5 0 48-21.5 48-48l0-96c0-26.5-21.5-48-48-48l-48 0 0-32 96 0c17.7 0 32-14.3 32-32s-14.3-32-32-32l-256 0 0-32 48 0c26.5 0 48-21.5 48-48l0-96c0-26.5-21.5-48-48-48L240 0zM96 448l0-64 128 0 0 64L96 448zm320-64l128 0 0 64-128 0 0-64z'],
+    'percent': [384, 'M374.6 118.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0l-320 320c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0l320-320zM128 128A64 64 0 1 0 0 128a64 64 0 1 0 128 0zM384 384a64 64 0 1 0 -128 0 64 64 0 1 0 128 0z'],
+    'play': [384, 'M73 39c-14.8-9.1-33.4-9.4-48.5-.9S0 62.6 0 80L0 432c0 17.4 9.4 33.4 24.5 41.9s33.7 8.1 48.5-.9L361 297c14.3-8.7 23-24.2 23-41s-8.7-32.2-23-41L73 39z'],
+    'plug': [384, 'M96 0C78.3 0 64 14.3 64 32l0 96 64 0 0-96c0-17.7-14.3-32-32-32zM288 0c-17.7 0-32 14.3-32 32l0 96 64 0 0-96c0-17.7-14.3-32-32-32zM32 160c-17.7 0-32 14.3-32 32s14.3 32 32 32l0 32c0 77.4 55 142 128 156.8l0 67.2c0 17.7 14.3 32 32 32s32-14.3 32-32l0-67.2C297 398 352 333.4 352 256l0-32c17.7 0 32-14.3 32-32s-14.3-32-32-32L32 160z'],
+    'scale-balanced': [640, 'M384 32l128 0c17.7 0 32 14.3 32 32s-14.3 32-32 32L398.4 96c-5.2 25.8-22.9 47.1-46.4 57.3L352 448l160 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-192 0-192 0c-17.7 0-32-14.3-32-32s14.3-32 32-32l160 0 0-294.7c-23.5-10.3-41.2-31.6-46.4-57.3L128 96c-17.7 0-32-14.3-32-32s14.3-32 32-32l128 0c14.6-19.4 37.8-32 64-32s49.4 12.6 64 32zm55.6 288l144.9 0L512 195.8 439.6 320zM512 416c-62.9 0-115.2-34-126-78.9c-2.6-11 1-22.3 6.7-32.1l95.2-163.2c5-8.6 14.2-13.8 24.1-13.8s19.1 5.3 24.1 13.8l95.2 163.2c5.7 9.8 9.3 21.1 6.7 32.1C627.2 382 574.9 416 512 416zM126.8 195.8L54.4 320l144.9 0L126.8 195.8zM.9 337.1c-2.6-11 1-22.3 6.7-32.1l95.2-163.2c5-8.6 14.2-13.8 24.1-13.8s19.1 5.3 24.1 13.8l95.2 163.2c5.7 9.8 9.3 21.1 6.7 32.1C242 382 189.7 416 126.8 416S11.7 382 .9 337.1z'],
+    'server': [512, 'M64 32C28.7 32 0 60.7 0 96l0 64c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-64c0-35.3-28.7-64-64-64L64 32zm280 72a24 24 0 1 1 0 48 24 24 0 1 1 0-48zm48 24a24 24 0 1 1 48 0 24 24 0 1 1 -48 0zM64 288c-35.3 0-64 28.7-64 64l0 64c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-64c0-35.3-28.7-64-64-64L64 288zm280 72a24 24 0 1 1 0 48 24 24 0 1 1 0-48zm56 24a24 24 0 1 1 48 0 24 24 0 1 1 -48 0z'],
+    'sitemap': [576, 'M208 80c0-26.5 21.5-48 48-48l64 0c26.5 0 48 21.5 48 48l0 64c0 26.5-21.5 48-48 48l-8 0 0 40 152 0c30.9 0 56 25.1 56 56l0 32 8 0c26.5 0 48 21.5 48 48l0 64c0 26.5-21.5 48-48 48l-64 0c-26.5 0-48-21.5-48-48l0-64c0-26.5 21.5-48 48-48l8 0 0-32c0-4.4-3.6-8-8-8l-152 0 0 40 8 0c26.5 0 48 21.5 48 48l0 64c0 26.5-21.5 48-48 48l-64 0c-26.5 0-48-21.5-48-48l0-64c0-26.5 21.5-48 48-48l8 0 0-40-152 0c-4.4 0-8 3.6-8 8l0 32 8 0c26.5 0 48 21.5 48 48l0 64c0 26.5-21.5 48-48 48l-64 0c-26.5 0-48-21.5-48-48l0-64c0-26.5 21.5-48 48-48l8 0 0-32c0-30.9 25.1-56 56-56l152 0 0-40-8 0c-26.5 0-48-21.5-48-48l0-64z'],
+    'stop': [384, 'M0 128C0 92.7 28.7 64 64 64H320c35.3 0 64 28.7 64 64V384c0 35.3-28.7 64-64 64H64c-35.3 0-64-28.7-64-64V128z'],
+    'stopwatch': [448, 'M176 0c-17.7 0-32 14.3-32 32s14.3 32 32 32l16 0 0 34.4C92.3 113.8 16 200 16 304c0 114.9 93.1 208 208 208s208-93.1 208-208c0-41.8-12.3-80.7-33.5-113.2l24.1-24.1c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L355.7 143c-28.1-23-62.2-38.8-99.7-44.6L256 64l16 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L224 0 176 0zm72 192l0 128c0 13.3-10.7 24-24 24s-24-10.7-24-24l0-128c0-13.3 10.7-24 24-24s24 10.7 24 24z'],
+    'table': [512, 'M64 256l0-96 160 0 0 96L64 256zm0 64l160 0 0 96L64 416l0-96zm224 96l0-96 160 0 0 96-160 0zM448 256l-160 0 0-96 160 0 0 96zM64 32C28.7 32 0 60.7 0 96L0 416c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-320c0-35.3-28.7-64-64-64L64 32z'],
+    'tags': [512, 'M345 39.1L472.8 168.4c52.4 53 52.4 138.2 0 191.2L360.8 472.9c-9.3 9.4-24.5 9.5-33.9 .2s-9.5-24.5-.2-33.9L438.6 325.9c33.9-34.3 33.9-89.4 0-123.7L310.9 72.9c-9.3-9.4-9.2-24.6 .2-33.9s24.6-9.2 33.9 .2zM0 229.5L0 80C0 53.5 21.5 32 48 32l149.5 0c17 0 33.3 6.7 45.3 18.7l168 168c25 25 25 65.5 0 90.5L277.3 442.7c-25 25-65.5 25-90.5 0l-168-168C6.7 262.7 0 246.5 0 229.5zM144 144a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z'],
+    'times': [384, 'M342.6 150.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L192 210.7 86.6 105.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3L146.7 256 41.4 361.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L192 301.3 297.4 406.6c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L237.3 256 342.6 150.6z'],
+    'times-circle': [512, 'M256 512A256 256 0 1 0 256 0a256 256 0 1 0 0 512zM175 175c9.4-9.4 24.6-9.4 33.9 0l47 47 47-47c9.4-9.4 24.6-9.4 33.9 0s9.4 24.6 0 33.9l-47 47 47 47c9.4 9.4 9.4 24.6 0 33.9s-24.6 9.4-33.9 0l-47-47-47 47c-9.4 9.4-24.6 9.4-33.9 0s-9.4-24.6 0-33.9l47-47-47-47c-9.4-9.4-9.4-24.6 0-33.9z'],
+    'upload': [512, 'M288 109.3L288 352c0 17.7-14.3 32-32 32s-32-14.3-32-32l0-242.7-73.4 73.4c-12.5 12.5-32.8 12.5-45.3 0s-12.5-32.8 0-45.3l128-128c12.5-12.5 32.8-12.5 45.3 0l128 128c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L288 109.3zM64 352l128 0c0 35.3 28.7 64 64 64s64-28.7 64-64l128 0c35.3 0 64 28.7 64 64l0 32c0 35.3-28.7 64-64 64L64 512c-35.3 0-64-28.7-64-64l0-32c0-35.3 28.7-64 64-64zM432 456a24 24 0 1 0 0-48 24 24 0 1 0 0 48z'],
+    'users': [640, 'M144 0a80 80 0 1 1 0 160A80 80 0 1 1 144 0zM512 0a80 80 0 1 1 0 160A80 80 0 1 1 512 0zM0 298.7C0 239.8 47.8 192 106.7 192l42.7 0c15.9 0 31 3.5 44.6 9.7c-1.3 7.2-1.9 14.7-1.9 22.3c0 38.2 16.8 72.5 43.3 96c-.2 0-.4 0-.7 0L21.3 320C9.6 320 0 310.4 0 298.7zM405.3 320c-.2 0-.4 0-.7 0c26.6-23.5 43.3-57.8 43.3-96c0-7.6-.7-15-1.9-22.3c13.6-6.3 28.7-9.7 44.6-9.7l42.7 0C592.2 192 640 239.8 640 298.7c0 11.8-9.6 21.3-21.3 21.3l-213.3 0zM224 224a96 96 0 1 1 192 0 96 96 0 1 1 -192 0zM128 485.3C128 411.7 187.7 352 261.3 352l117.3 0C452.3 352 512 411.7 512 485.3c0 14.7-11.9 26.7-26.7 26.7l-330.7 0c-14.7 0-26.7-11.9-26.7-26.7z'],
+    'window-maximize': [512, 'M64 32C28.7 32 0 60.7 0 96L0 416c0 35.3 28.7 64 64 64l384 0c35.3 0 64-28.7 64-64l0-320c0-35.3-28.7-64-64-64L64 32zM96 96l320 0c17.7 0 32 14.3 32 32s-14.3 32-32 32L96 160c-17.7 0-32-14.3-32-32s14.3-32 32-32z'],
+};
+
+/**
+ * Older Font Awesome names used in the report, mapped to their icon in ICON_PATHS
+ */
+const ICON_ALIASES = {
+    'tachometer-alt': 'gauge-high',
+    'tasks': 'list-check',
+};
+
+/**
+ * Replace Font Awesome <i> tags with inline SVG icons
+ * Only the icons that appear in the report are added to the sprite, keeping the file small.
+ * Classes and attributes of the <i> tag (e.g. stat-icon, style) are kept on the <svg>.
+ * 
+ * @param {string} html - Complete HTML document using <i class="fas fa-..."></i> icons
+ * @returns {string} HTML document with an SVG sprite and <svg><use> icons
+ */
+function inlineIcons(html) {
+    const used = {};
+    const replaced = html.replace(/<i class="fa[rs] fa-([a-z0-9-]+)([^"]*)"([^>]*)><\/i>/g, (match, name, extraClasses, attributes) => {
+        const icon = ICON_ALIASES[name] || name;
+        if (!ICON_PATHS[icon]) {
+            return match;
+        }
+        used[icon] = true;
+        return `<svg class="icon${extraClasses}"${attributes} aria-hidden="true"><use href="#icon-${icon}"></use></svg>`;
+    });
+
+    let sprite = '<svg xmlns="http://www.w3.org/2000/svg" style="display: none;">';
+    for (let icon in used) {
+        const [width, path] = ICON_PATHS[icon];
+        sprite += `<symbol id="icon-${icon}" viewBox="0 0 ${width} 512"><path d="${path}"/></symbol>`;
+    }
+    sprite += '</svg>';
+
+    return replaced.replace('<body>', `<body>\n    ${sprite}`);
+}
+
+/**
+ * Maximum length of a GitHub issue or pull-request comment, in characters
+ */
+const GITHUB_COMMENT_LIMIT = 65536;
+
+/**
+ * Render Markdown sections within a length budget
+ * Sections are filled in priority order (lowest number first), so lower priority sections are
+ * truncated first; rows that do not fit are replaced by a note saying how many were left out,
+ * and optional sections are left out when none of their rows fit. A section that is left out,
+ * or whose header does not fit, is replaced by a one-line note so the reader knows it exists
+ * 
+ * @param {Array<Object>} sections - Sections with priority, title, header, rows, footer and an optional flag
+ * @param {number} budget - Number of characters available
+ * @returns {string} Rendered sections in their original order
+ */
+function fitMarkdownSections(sections, budget) {
+    const truncationNote = count => `\n_… ${count} more not shown (output truncated to fit the size limit)_\n`;
+    const omissionNote = section => `\n_${section.title} section omitted (output truncated to fit the size limit)_\n`;
+
+    // Room for the omission note of every section is set aside first and given back
+    // once a section is included
+    let remaining = sections.reduce((sum, section) => sum - omissionNote(section).length, budget);
+
+    const byPriority = sections.slice().sort((a, b) => a.priority - b.priority);
+    for (let section of byPriority) {
+        const room = remaining + omissionNote(section).length;
+        const whole = section.rows.reduce((sum, row) => sum + row.length, section.header.length + section.footer.length);
+        if (whole <= room) {
+            section.kept = section.rows.length;
+            section.included = true;
+            remaining = room - whole;
+            continue;
+        }
+
+        section.kept = 0;
+        // Room for the header, the footer and a truncation note
+        const frame = section.header.length + section.footer.length + truncationNote(section.rows.length).length;
+        if (frame > room) {
+            continue;
+        }
+        let available = room - frame;
+        for (let row of section.rows) {
+            if (row.length > available) {
+                break;
+            }
+            available -= row.length;
+            section.kept++;
+        }
+        if (section.optional && section.kept === 0 && section.rows.length > 0) {
+            continue;
+        }
+        section.included = true;
+        remaining = available;
+    }
+
+    let markdown = '';
+    for (let section of sections) {
+        if (!section.included) {
+            markdown += omissionNote(section);
+            continue;
+        }
+        markdown += section.header + section.rows.slice(0, section.kept).join('');
+        if (section.kept < section.rows.length) {
+            markdown += truncationNote(section.rows.length - section.kept);
+        }
+        markdown += section.footer;
+    }
+    return markdown;
+}
+
+/**
+ * Escape characters that would otherwise be read as Markdown or HTML (including table pipes)
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Markdown-safe text
+ */
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/([\\`*_[\]|#])/g, '\\$1')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate the run metadata section HTML
+ * Shows how long the run took, its throughput and the summary settings it was run with,
+ * read from data.state and data.options
+ * 
+ * @param {Object} data - The k6 test results data
+ * @param {Object} stats - Calculated statistics object
+ * @returns {string} HTML string for the run metadata section, empty if k6 provided no run state
+ */
+function generateRunMetadataSection(data, stats) {
+    const state = data.state || {};
+    const summaryOptions = data.options || {};
+    if (typeof state.testRunDurationMs !== 'number' && !summaryOptions.summaryTrendStats && !data.sources) {
+        return '';
+    }
+
+    const rows = [];
+    if (typeof state.testRunDurationMs === 'number') {
+        rows.push(['Test Duration', formatRunDuration(state.testRunDurationMs)]);
+        if (stats.protocols.indexOf('http') !== -1) {
+            rows.push(['Request Throughput', `${stats.requestsPerSecond} req/s (${stats.totalRequests.toLocaleString()} requests)`]);
+        }
+        rows.push(['Iteration Throughput', `${stats.iterationsPerSecond} it/s (${stats.iterations.toLocaleString()} iterations)`]);
+    }
+    if (data.sources) {
+        rows.push(['Sources', `${data.sources.length} (${data.sources.map(source => source.name).join(', ')})`]);
+    }
+    if (stats.protocols.length > 0) {
+        rows.push(['Protocols', PROTOCOLS.filter(protocol => stats.protocols.indexOf(protocol.id) !== -1).map(protocol => protocol.title).join(', ')]);
+    }
+    if (Array.isArray(summaryOptions.summaryTrendStats)) {
+        rows.push(['Summary Trend Stats', summaryOptions.summaryTrendStats.join(', ')]);
+    }
+    if (summaryOptions.summaryTimeUnit !== undefined) {
+        rows.push(['Summary Time Unit', summaryOptions.summaryTimeUnit || 'auto']);
+    }
+    if (typeof state.isStdOutTTY === 'boolean') {
+        rows.push(['Interactive Terminal', state.isStdOutTTY ? 'Yes' : 'No (e.g. CI or redirected output)']);
+    }
+
+    let html = '<div class="chart-container">';
+    html += '<h3 class="chart-title"><i class="fas fa-stopwatch"></i> Run Metadata</h3>';
+    html += '<table class="info-table">';
+    for (let [label, value] of rows) {
+        html += `<tr><td>${label}</td><td>${escapeHtml(value)}</td></tr>`;
+    }
+    html += '</table></div>';
+
+    return html;
+}
+
+/**
+ * Format a test run duration as hours, minutes and seconds (e.g. "1h 2m 3.4s", "45.2s")
+ * 
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatRunDuration(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = ((ms % 60000) / 1000).toFixed(1);
+    if (hours > 0) {
+        return `${hours}h ${minutes}m ${seconds}s`;
+    }
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
 /**
  * Escape HTML special characters to prevent XSS attacks
  * Converts characters like <, >, &, etc. to HTML entities
@@ -1288,4 +6735,43 @@ function escapeHtml(text) {
         "'": '&#039;'
     };
     return String(text).replace(/[&<>"']/g, m => map[m]);
-}
\ No newline at end of file
+}
+
+/**
+ * Escape text for an XML attribute or text node
+ * Characters that XML 1.0 does not allow at all (C0 controls other than tab, line feed
+ * and carriage return, unpaired surrogates, U+FFFE and U+FFFF) cannot be escaped either,
+ * so they are replaced with U+FFFD to keep the document well-formed
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped XML-safe text
+ */
+function escapeXml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;'
+    };
+    return String(text)
+        .replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]|[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, m => m.length === 2 ? m : '\uFFFD')
+        .replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Build a DOM-safe, deterministic element id from arbitrary text
+ * A short hash keeps ids unique when different names reduce to the same slug
+ * 
+ * @param {string} prefix - Id prefix describing the element kind (e.g. 'metric')
+ * @param {string} text - Source text such as a metric or check name
+ * @returns {string} Element id
+ */
+function domId(prefix, text) {
+    const slug = String(text).replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return `${prefix}-${slug}-${hash.toString(36)}`;
+}
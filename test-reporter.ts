@@ -54,6 +54,6 @@ export function handleSummary(data: any) {
     const currentFileName = __ENV.K6_SCRIPT_NAME || 'test-reporter';
     const reportFileName = `./reports/${currentFileName}-${new Date().toJSON().split(':').join('-')}.html`;
     return {
-        [reportFileName]: htmlReport(data)
+        [reportFileName]: htmlReport(data, { k6Options: options })
     };
 }
\ No newline at end of file
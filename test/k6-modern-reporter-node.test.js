@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gzipSync } from 'zlib';
+import { buildReport, buildTimeSeries } from '../k6-modern-reporter-node.mjs';
+
+const directory = mkdtempSync(join(tmpdir(), 'k6-modern-reporter-'));
+const start = Date.UTC(2026, 9, 18, 10, 0, 0);
+
+/**
+ * Write a results file into the temporary directory, gzipped if the name ends in .gz
+ *
+ * @param {string} name - File name
+ * @param {string[]} lines - Lines of the file
+ * @returns {string} Path of the file
+ */
+function writeResults(name, lines) {
+    const content = lines.join('\n') + '\n';
+    const path = join(directory, name);
+    writeFileSync(path, /\.gz$/.test(name) ? gzipSync(content) : content);
+    return path;
+}
+
+/**
+ * Build a Point line of k6's JSON output
+ *
+ * @param {string} metric - Metric name
+ * @param {string} time - Sample time as written by k6
+ * @param {number} value - Sample value
+ * @returns {string} JSON line
+ */
+function point(metric, time, value) {
+    return JSON.stringify({ type: 'Point', data: { time, value, tags: { url: 'http://x/a,b' } }, metric });
+}
+
+/**
+ * Format milliseconds since the epoch the way k6's JSON output does, with nanoseconds
+ *
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} RFC 3339 time
+ */
+function rfc3339(time) {
+    return new Date(time).toISOString().replace('Z', '456789+00:00');
+}
+
+test('buildTimeSeries reads Point lines and skips declarations, other metrics and broken lines', async () => {
+    const path = writeResults('results.json', [
+        '{"type":"Metric","data":{"name":"http_reqs","type":"counter"},"metric":"http_reqs"}',
+        point('http_reqs', rfc3339(start), 1),
+        point('http_reqs', rfc3339(start + 500), 1),
+        point('http_req_failed', rfc3339(start), 1),
+        point('http_req_failed', rfc3339(start + 500), 0),
+        point('vus', rfc3339(start), 3),
+        point('data_sent', rfc3339(start), 512),
+        point('http_reqs', 'never', 1),
+        '{"type":"Point","metric":"http_reqs","data":{"time":',
+        point('http_reqs', rfc3339(start + 2500), 1),
+    ]);
+    const series = await buildTimeSeries(path, { bucketSize: '1s' });
+    assert.equal(series.bucketMs, 1000);
+    assert.equal(series.start, new Date(start).toISOString());
+    assert.deepEqual(series.points.map(entry => [entry.time, entry.requests, entry.requestRate, entry.errorRate, entry.vus]), [
+        [0, 2, 2, 0.5, 3],
+        [1000, 0, 0, null, null],
+        [2000, 1, 1, null, null],
+    ]);
+});
+
+test('buildTimeSeries reads gzipped CSV output with quoted fields and Unix timestamps', async () => {
+    const seconds = start / 1000;
+    const path = writeResults('results.csv.gz', [
+        'metric_name,timestamp,metric_value,check,error,error_code,expected_response,group,method,name,proto,scenario,service,status,subproto,tls_version,url,extra_tags,metadata',
+        `http_reqs,${seconds},1.000000,,,,true,,GET,"http://x/?a=1,2",HTTP/1.1,default,,200,,,"http://x/?a=1,2",,`,
+        `http_req_duration,${seconds},120.500000,,,,true,,GET,"say ""hi""",HTTP/1.1,default,,200,,,http://x/,,`,
+        `data_received,${seconds},512.000000,,,,,,,,,default,,,,,,,`,
+        `vus,${seconds},,,,,,,,,,,,,,,,,`,
+        `http_reqs,${seconds + 1},1.000000,,,,true,,GET,http://x/,HTTP/1.1,default,,200,,,http://x/,,`,
+    ]);
+    const series = await buildTimeSeries(path, { bucketSize: '1s' });
+    assert.deepEqual(series.points.map(entry => [entry.time, entry.requests, entry.vus]), [[0, 1, null], [1000, 1, null]]);
+    assert.ok(series.points[0].p95 >= 120.5 && series.points[0].p95 <= 120.5 * 1.01, `p95 was ${series.points[0].p95}`);
+});
+
+test('buildTimeSeries keeps p95 within the histogram precision of the exact percentile', async () => {
+    const lines = Array.from({ length: 1000 }, (value, index) => point('http_req_duration', rfc3339(start), index + 1));
+    lines.push(point('http_req_duration', rfc3339(start + 1000), 0), point('http_req_duration', rfc3339(start + 1000), 0));
+    const series = await buildTimeSeries(writeResults('latency.json', lines), { bucketSize: '1s' });
+    assert.ok(series.points[0].p95 >= 950 && series.points[0].p95 <= 950 * 1.01, `p95 was ${series.points[0].p95}`);
+    assert.equal(series.points[1].p95, 0);
+});
+
+test('buildTimeSeries merges buckets to stay within 1000 points, even with a stray timestamp', async () => {
+    const lines = Array.from({ length: 100 }, (value, index) => point('http_reqs', rfc3339(start + index * 1000), 1));
+    lines.push(point('http_reqs', rfc3339(Date.UTC(2031, 0, 1)), 1));
+    const series = await buildTimeSeries(writeResults('stray.json', lines), { bucketSize: '1s' });
+    assert.ok(series.points.length <= 1000);
+    assert.equal(series.points.reduce((sum, entry) => sum + entry.requests, 0), 101);
+    assert.equal(series.points[1].time, series.bucketMs);
+});
+
+test('buildTimeSeries returns no points without samples', async () => {
+    const series = await buildTimeSeries(writeResults('empty.json', [point('data_sent', rfc3339(start), 1)]), { bucketSize: 1000 });
+    assert.deepEqual(series, { bucketMs: 1000, start: null, points: [] });
+});
+
+test('buildTimeSeries rejects when the results file cannot be read', async () => {
+    await assert.rejects(buildTimeSeries(join(directory, 'missing.json.gz')), { code: 'ENOENT' });
+    await assert.rejects(buildTimeSeries(join(directory, 'missing.json')), { code: 'ENOENT' });
+});
+
+test('buildReport adds a Timeline tab to the report', async () => {
+    const summary = {
+        root_group: { name: '', path: '', groups: [], checks: [] },
+        options: {},
+        state: { testRunDurationMs: 2000 },
+        metrics: { http_reqs: { type: 'counter', contains: 'default', values: { count: 2, rate: 1 } } },
+    };
+    const results = writeResults('report.json', [point('http_reqs', rfc3339(start), 1), point('http_reqs', rfc3339(start + 1000), 1)]);
+    const html = await buildReport({ summary, results, bucketSize: '1s' });
+    assert.match(html, /data-tab="timeline"/);
+});
@@ -0,0 +1,487 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { aggregateReport, historyReport, htmlReport, jsonReport, junitReport, markdownReport } from '../k6-modern-reporter.js';
+
+/**
+ * Build a minimal handleSummary data object around the given metrics
+ *
+ * @param {Object} metrics - Metrics keyed by name
+ * @returns {Object} k6 summary data
+ */
+function summary(metrics) {
+    return {
+        root_group: { name: '', path: '', groups: [], checks: [] },
+        options: { summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'] },
+        state: { testRunDurationMs: 60000 },
+        metrics,
+    };
+}
+
+const counter = (count, rate) => ({ type: 'counter', contains: 'default', values: { count, rate } });
+const rate = (passes, fails) => ({ type: 'rate', contains: 'default', values: { rate: passes / (passes + fails), passes, fails } });
+const trend = (values, contains = 'time') => ({ type: 'trend', contains, values });
+
+test('the metrics tables list custom metrics with the columns of their type', () => {
+    const data = summary({
+        http_reqs: counter(100, 10),
+        checkout_duration: trend({ avg: 1500, min: 900, med: 1400, max: 3200, 'p(90)': 2100, 'p(95)': 2500 }),
+        cache_hits: rate(80, 20),
+        queue_size: { type: 'gauge', contains: 'default', values: { value: 7, min: 0, max: 12 } },
+    });
+    const markdown = markdownReport(data);
+    assert.match(markdown, /\| checkout\\_duration \| 1\.50 s \| 900\.00 ms \|/);
+    assert.match(markdown, /\| Metric \| Rate \| Non-zero \| Zero \|\n[^\n]*\n\| cache\\_hits \| 80\.00% \| 80 \| 20 \|/);
+    assert.match(markdown, /\| queue\\_size \| 7 \| 0 \| 12 \|/);
+});
+
+test('rate metric columns are not coloured as good or bad', () => {
+    const html = htmlReport(summary({ http_reqs: counter(100, 10), http_req_failed: rate(5, 95) }));
+    const row = html.slice(html.indexOf('<strong>http_req_failed</strong>'));
+    assert.doesNotMatch(row.slice(0, row.indexOf('</tr>')), /metric-value-(good|bad)/);
+});
+
+/**
+ * Find a metric of the JSON report by its full name
+ *
+ * @param {Object} data - k6 summary data
+ * @param {string} name - Full metric name, tags included
+ * @returns {Object} Metric entry of the report model
+ */
+function jsonMetric(data, name) {
+    return JSON.parse(jsonReport(data)).metrics.find(metric => metric.name === name);
+}
+
+test('sub-metric names are split into the parent metric and its tags', () => {
+    const data = summary({
+        http_reqs: counter(10, 1),
+        'http_reqs{name:login,method:GET}': counter(4, 0.4),
+    });
+    assert.deepEqual(jsonMetric(data, 'http_reqs'), { name: 'http_reqs', metric: 'http_reqs', tags: {}, type: 'counter', contains: 'default', values: { count: 10, rate: 1 } });
+    assert.deepEqual(jsonMetric(data, 'http_reqs{name:login,method:GET}').tags, { name: 'login', method: 'GET' });
+});
+
+test('commas and colons inside tag values stay part of the value', () => {
+    const data = summary({
+        'http_req_duration{url:https://example.com/?ids=1,2,3,name:list}': trend({ avg: 1 }),
+        'http_reqs{group:::setup}': counter(1, 1),
+    });
+    assert.deepEqual(jsonMetric(data, 'http_req_duration{url:https://example.com/?ids=1,2,3,name:list}').tags, { url: 'https://example.com/?ids=1,2,3', name: 'list' });
+    assert.deepEqual(jsonMetric(data, 'http_reqs{group:::setup}').tags, { group: '::setup' });
+});
+
+test('sub-metrics are nested under their parent metric, listed by tag key', () => {
+    const html = htmlReport(summary({
+        http_req_duration: trend({ avg: 100 }),
+        'http_req_duration{name:login}': trend({ avg: 80 }),
+        'http_req_duration{name:search}': trend({ avg: 120 }),
+        'http_req_duration{expected_response:true}': trend({ avg: 90 }),
+    }));
+    assert.match(html, /<strong>http_req_duration<\/strong> <span class="submetric-count">3 tagged<\/span>/);
+    assert.match(html, /by name<\/td>/);
+    assert.match(html, /by expected_response<\/td>/);
+});
+
+test('the comparison counts regressed statistics, header stats and newly failing thresholds', () => {
+    const baseline = summary({
+        http_reqs: counter(1000, 16),
+        http_req_failed: rate(10, 990),
+        http_req_duration: Object.assign(trend({ avg: 100, 'p(95)': 200, count: 1000 }), { thresholds: { 'p(95)<250': { ok: true } } }),
+    });
+    const data = summary({
+        http_reqs: counter(1000, 16),
+        http_req_failed: rate(10, 990),
+        http_req_duration: Object.assign(trend({ avg: 150, 'p(95)': 300, count: 2000 }), { thresholds: { 'p(95)<250': { ok: false } } }),
+    });
+    const comparison = JSON.parse(jsonReport(data, { baseline })).comparison;
+    const regressed = comparison.entries.filter(entry => entry.status === 'regressed').map(entry => `${entry.metric} ${entry.stat}`);
+    // The sample count doubled but is listed without being judged
+    assert.deepEqual(regressed, ['http_req_duration avg', 'http_req_duration p(95)']);
+    // Two statistics, the Avg Response Time card and the newly failing threshold
+    assert.equal(comparison.regressions, 4);
+
+    const html = htmlReport(data, { baseline });
+    assert.match(html, /Comparison <span class="badge badge-error">4<\/span>/);
+    assert.match(html, /<strong>Avg Response Time<\/strong>/);
+    assert.match(html, /NEWLY FAILING \(passed in baseline\)/);
+});
+
+test('comparison entries with a zero baseline sort before other regressions', () => {
+    const baseline = summary({ http_reqs: counter(100, 10), 'http_reqs{status:500}': counter(0, 0), http_req_duration: trend({ avg: 100 }) });
+    const data = summary({ http_reqs: counter(100, 10), 'http_reqs{status:500}': counter(5, 0.5), http_req_duration: trend({ avg: 200 }) });
+    const html = htmlReport(data, { baseline });
+    const table = html.slice(html.indexOf('Comparison with Baseline'));
+    assert.ok(table.indexOf('http_reqs{status:500}') < table.indexOf('<strong>http_req_duration</strong>'));
+    assert.match(table, /<td class="baseline-delta inline regressed">new<\/td>/);
+});
+
+/**
+ * Evaluate the thresholds of one metric through the JSON report
+ *
+ * @param {Object} metric - k6 metric with thresholds
+ * @returns {Object[]} Threshold results of the report model
+ */
+function thresholdResults(metric) {
+    return JSON.parse(jsonReport(summary({ http_reqs: counter(10, 1), checked: metric }))).thresholds;
+}
+
+test('thresholds show the observed value, the limit and the margin', () => {
+    const [result] = thresholdResults(Object.assign(trend({ avg: 100, 'p(95)': 800 }), { thresholds: { 'p(95)<1000': { ok: true } } }));
+    assert.equal(result.stat, 'p(95)');
+    assert.equal(result.operator, '<');
+    assert.equal(result.limit, 1000);
+    assert.equal(result.observed, 800);
+    assert.equal(result.margin, 200);
+    assert.equal(result.marginPercent, 20);
+    assert.equal(result.usage, 0.8);
+    assert.equal(result.nearMiss, false);
+});
+
+test('threshold expressions are read with spaces and every k6 operator', () => {
+    const metric = Object.assign(rate(1, 99), { thresholds: { 'rate <= 0.01': { ok: true }, 'rate>=0.5': { ok: false }, 'rate===0.01': { ok: true }, 'rate!=0': { ok: true } } });
+    assert.deepEqual(thresholdResults(metric).map(result => [result.stat, result.operator, result.limit]), [
+        ['rate', '<=', 0.01],
+        ['rate', '>=', 0.5],
+        ['rate', '===', 0.01],
+        ['rate', '!=', 0],
+    ]);
+});
+
+test('thresholds that cannot be read or observed keep their outcome without a margin', () => {
+    const metric = Object.assign(trend({ avg: 100 }), { thresholds: { 'p(99)<500': { ok: true }, 'avg<abc': { ok: false } } });
+    const [missing, unreadable] = thresholdResults(metric);
+    assert.equal(missing.observed, null);
+    assert.equal(missing.margin, null);
+    assert.equal(unreadable.stat, null);
+    assert.equal(unreadable.ok, false);
+});
+
+test('a passing threshold using 90% or more of its limit is a near miss', () => {
+    const [result] = thresholdResults(Object.assign(trend({ avg: 100, 'p(95)': 950 }), { thresholds: { 'p(95)<1000': { ok: true } } }));
+    assert.equal(result.nearMiss, true);
+});
+
+test('junitReport turns thresholds and checks into test cases with their failures', () => {
+    const data = summary({
+        http_req_duration: Object.assign(trend({ avg: 100, 'p(95)': 1200 }), { thresholds: { 'p(95)<1000': { ok: false }, 'avg<500': { ok: true } } }),
+        checks: rate(9, 1),
+    });
+    data.root_group.groups.push({ name: 'login', path: '::login', groups: [], checks: [
+        { name: 'status is 200', path: '::login::status is 200', passes: 9, fails: 1 },
+        { name: 'has token', path: '::login::has token', passes: 10, fails: 0 },
+    ] });
+    const xml = junitReport(data);
+    assert.match(xml, /<testsuites name="k6" tests="4" failures="2" errors="0" time="60\.000">/);
+    assert.match(xml, /<testsuite name="thresholds: http_req_duration" tests="2" failures="1"/);
+    assert.match(xml, /<failure type="threshold" message="Threshold p\(95\)&lt;1000 on http_req_duration failed: p\(95\)=1\.20 s, limit &lt; 1\.00 s">/);
+    assert.match(xml, /<testsuite name="checks: login" tests="2" failures="1"/);
+    assert.match(xml, /<testcase name="status is 200" classname="k6\.checks\.login">\n {6}<failure type="check" message="Check &quot;status is 200&quot; failed 1 of 10 times">passes: 9\nfails: 1/);
+    assert.match(xml, /<testcase name="has token" classname="k6\.checks\.login" \/>/);
+});
+
+test('junitReport escapes markup and replaces characters XML does not allow', () => {
+    const data = summary({ checks: rate(1, 1) });
+    data.root_group.checks.push({ name: 'a < b & "c" \'d\' \x1b[31m200\x00 😀 lone \uD800', passes: 1, fails: 1 });
+    const xml = junitReport(data);
+    assert.doesNotMatch(xml, /[\x00-\x08\x0B\x0C\x0E-\x1F]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    assert.match(xml, /<testcase name="a &lt; b &amp; &quot;c&quot; &apos;d&apos; �\[31m200� 😀 lone �"/);
+});
+
+test('markdownReport lists the thresholds and the failed checks with their group path', () => {
+    const data = summary({
+        http_reqs: counter(100, 10),
+        http_req_duration: Object.assign(trend({ avg: 100, 'p(95)': 1200 }), { thresholds: { 'p(95)<1000': { ok: false } } }),
+    });
+    data.root_group.groups.push({ name: 'login', path: '::login', groups: [], checks: [{ name: 'status is 200', passes: 9, fails: 1 }, { name: 'has token', passes: 10, fails: 0 }] });
+    const markdown = markdownReport(data, { title: 'Nightly' });
+    assert.match(markdown, /^## ❌ k6 Performance Test Report: FAILED\n\n\*\*Nightly\*\*/);
+    assert.match(markdown, /\| ❌ \| http\\_req\\_duration \| `p\(95\)<1000` \| 1\.20 s \| &lt; 1\.00 s \|/);
+    assert.match(markdown, /### Failed Checks\n\n- ❌ \*\*login\*\* › status is 200: 1 of 10 failed\n/);
+    assert.doesNotMatch(markdown, /has token/);
+    assert.doesNotMatch(markdown, /output truncated/);
+});
+
+test('markdownReport stays within maxLength, keeping thresholds and noting what it leaves out', () => {
+    const metrics = { http_reqs: counter(100, 10), http_req_duration: Object.assign(trend({ avg: 1, 'p(95)': 2 }), { thresholds: { 'p(95)<1': { ok: false } } }) };
+    for (let i = 0; i < 40; i++) {
+        metrics[`custom_${i}`] = trend({ avg: i, min: 1, med: 2, max: 3, 'p(90)': 4, 'p(95)': 5 });
+    }
+    metrics.queue_size = { type: 'gauge', contains: 'default', values: { value: 1, min: 1, max: 1 } };
+    const data = summary(metrics);
+    data.root_group.checks = Array.from({ length: 30 }, (value, index) => ({ name: `check ${index}`, passes: 1, fails: 1 }));
+
+    for (let maxLength of [3000, 1500]) {
+        const markdown = markdownReport(data, { maxLength });
+        assert.ok(markdown.length <= maxLength, `${markdown.length} > ${maxLength}`);
+        assert.match(markdown, /\| ❌ \| http\\_req\\_duration \| `p\(95\)<1` \|/);
+        assert.match(markdown, /_… \d+ more not shown \(output truncated to fit the size limit\)_/);
+        assert.match(markdown, /_Gauge Metrics section omitted \(output truncated to fit the size limit\)_/);
+    }
+    assert.match(markdownReport(data, { maxLength: 1500 }), /_Trend Metrics section omitted \(output truncated to fit the size limit\)_/);
+});
+
+test('markdownReport leaves out the metrics tables when details is false', () => {
+    assert.doesNotMatch(markdownReport(summary({ http_reqs: counter(100, 10) }), { details: false }), /<details>/);
+});
+
+test('the metrics tables follow summaryTrendStats and summaryTimeUnit', () => {
+    const data = summary({ checkout_duration: trend({ avg: 1500, 'p(99)': 2.5, count: 40 }) });
+    data.options = { summaryTrendStats: ['avg', 'p(99)', 'count'], summaryTimeUnit: 'ms' };
+    const markdown = markdownReport(data);
+    assert.match(markdown, /\| Metric \| Avg \| P99 \| Count \|\n[^\n]*\n\| checkout\\_duration \| 1500\.00 ms \| 2\.50 ms \| 40 \|/);
+
+    data.options.summaryTimeUnit = 's';
+    assert.match(markdownReport(data), /\| checkout\\_duration \| 1\.50 s \| 0\.00 s \| 40 \|/);
+    data.options.summaryTimeUnit = '';
+    assert.match(markdownReport(data), /\| checkout\\_duration \| 1\.50 s \| 2\.50 ms \| 40 \|/);
+});
+
+test('the run metadata lists the duration, throughput and summary options', () => {
+    const data = summary({ http_reqs: counter(1200, 20), iterations: counter(600, 10) });
+    data.state.isStdOutTTY = false;
+    data.options.summaryTimeUnit = 'us';
+    const html = htmlReport(data);
+    assert.match(html, /<tr><td>Test Duration<\/td><td>1m 0\.0s<\/td><\/tr>/);
+    assert.match(html, /<tr><td>Request Throughput<\/td><td>20\.00 req\/s \(1,200 requests\)<\/td><\/tr>/);
+    assert.match(html, /<tr><td>Summary Trend Stats<\/td><td>avg, min, med, max, p\(90\), p\(95\)<\/td><\/tr>/);
+    assert.match(html, /<tr><td>Summary Time Unit<\/td><td>us<\/td><\/tr>/);
+    assert.match(html, /<tr><td>Interactive Terminal<\/td><td>No \(e\.g\. CI or redirected output\)<\/td><\/tr>/);
+});
+
+/**
+ * Find a header stat card of an HTML report by its label
+ *
+ * @param {string} html - HTML report
+ * @param {string} label - Text of the card's stat-label
+ * @returns {string} Markup of the card
+ */
+function statCard(html, label) {
+    const end = html.indexOf(`<div class="stat-label">${label}</div>`);
+    const start = html.lastIndexOf('<div class="stat-card', end);
+    return html.slice(start, html.indexOf('</div>\n', html.indexOf('stat-subtext', end)));
+}
+
+test('browser runs show the Web Vitals rated good and the browser requests in the header', () => {
+    const html = htmlReport(summary({
+        browser_web_vital_lcp: trend({ med: 1500, 'p(75)': 2000, 'p(90)': 2600 }),
+        browser_web_vital_cls: trend({ med: 0.01, 'p(75)': 0.3, 'p(90)': 0.4 }, 'default'),
+        browser_http_req_failed: rate(2, 98),
+    }));
+    assert.match(statCard(html, 'LCP (p75)'), /class="stat-card success"[\s\S]*2\.00 s[\s\S]*Good/);
+    assert.match(statCard(html, 'Web Vitals'), /class="stat-card error"[\s\S]*<div class="stat-value">1\/2<\/div>/);
+    assert.match(statCard(html, 'Browser Requests'), /class="stat-card error"[\s\S]*<div class="stat-value">100<\/div>[\s\S]*2\.00% failed/);
+});
+
+test('browser cards without Web Vitals or request outcomes stay neutral', () => {
+    const html = htmlReport(summary({ browser_data_received: counter(2048, 34) }));
+    assert.match(statCard(html, 'Web Vitals'), /class="stat-card "[\s\S]*<div class="stat-value">n\/a<\/div>[\s\S]*No Web Vitals rated/);
+    assert.match(statCard(html, 'Browser Requests'), /class="stat-card "/);
+});
+
+/**
+ * Decide the verdict of a run through the JSON report
+ *
+ * @param {Object} data - k6 summary data
+ * @param {Object} options - Report options
+ * @returns {Object} Verdict of the report model
+ */
+function verdictOf(data, options) {
+    return JSON.parse(jsonReport(data, options)).verdict;
+}
+
+test('the verdict policies decide which failures fail the run', () => {
+    const failedRequests = summary({ http_reqs: counter(100, 10), http_req_failed: rate(5, 95), checks: rate(10, 0) });
+    failedRequests.root_group.checks.push({ name: 'status is 200', passes: 10, fails: 0 });
+    assert.equal(verdictOf(failedRequests, {}).status, 'fail');
+    assert.equal(verdictOf(failedRequests, { verdict: 'checks+thresholds' }).status, 'pass');
+    assert.equal(verdictOf(failedRequests, { verdict: 'thresholds' }).status, 'pass');
+    assert.equal(verdictOf(failedRequests, { verdict: 'nonsense' }).policy, 'all');
+});
+
+test('a passing run with a near-miss threshold is a warning', () => {
+    const data = summary({ http_reqs: counter(100, 10), http_req_duration: Object.assign(trend({ avg: 100, 'p(95)': 950 }), { thresholds: { 'p(95)<1000': { ok: true } } }) });
+    const verdict = verdictOf(data, { verdict: 'thresholds' });
+    assert.equal(verdict.status, 'warn');
+    assert.deepEqual(verdict.rules.map(rule => [rule.rule, rule.ok]), [['thresholds', true], ['near-miss', false]]);
+});
+
+test('a custom verdict receives the stats and fails the run when it throws', () => {
+    const data = summary({ http_reqs: counter(100, 10), http_req_failed: rate(1, 99) });
+    assert.equal(verdictOf(data, { verdict: stats => stats.successRate >= 99 }).status, 'pass');
+    assert.equal(verdictOf(data, { verdict: stats => stats.successRate >= 99.5 }).status, 'fail');
+
+    const markdown = markdownReport(data, { verdict: () => { throw new Error('boom'); } });
+    assert.match(markdown, /FAILED/);
+    assert.match(markdown, /Custom verdict: threw: boom/);
+});
+
+/**
+ * Type into the search box of a tab of the report and list the checks left visible
+ *
+ * @param {Object} window - jsdom window of the report
+ * @param {string} query - Search text
+ * @returns {string[]} Names of the visible checks
+ */
+function searchChecks(window, query) {
+    const search = window.document.querySelector('#checks .tab-search');
+    search.value = query;
+    search.dispatchEvent(new window.Event('input'));
+    return Array.from(window.document.querySelectorAll('#checks .check-item:not(.filter-hidden) .check-name'))
+        .map(name => name.firstChild.textContent);
+}
+
+test('the Checks search matches checks by their own name or the name of a group around them', () => {
+    const data = summary({ checks: rate(3, 0) });
+    data.root_group.groups.push(
+        { name: 'checkout', path: '::checkout', checks: [{ name: 'cart has items', path: '::checkout::cart has items', passes: 1, fails: 0 }], groups: [
+            { name: 'payment', path: '::checkout::payment', checks: [{ name: 'status is 200', path: '::checkout::payment::status is 200', passes: 1, fails: 0 }], groups: [] },
+        ] },
+        { name: 'login', path: '::login', checks: [{ name: 'has token', path: '::login::has token', passes: 1, fails: 0 }], groups: [] }
+    );
+    const { window } = new JSDOM(htmlReport(data), { runScripts: 'dangerously', url: 'http://localhost/report.html' });
+
+    assert.deepEqual(searchChecks(window, 'checkout'), ['cart has items', 'status is 200']);
+    assert.deepEqual(searchChecks(window, 'PAYMENT'), ['status is 200']);
+    assert.deepEqual(searchChecks(window, 'token'), ['has token']);
+    assert.deepEqual(searchChecks(window, 'nothing like this'), []);
+    assert.equal(window.document.querySelector('#checks .filter-count').textContent, '0 matching');
+    assert.deepEqual(searchChecks(window, ''), ['cart has items', 'status is 200', 'has token']);
+    window.close();
+});
+
+/**
+ * Find the markup of a metrics table row or threshold item of an HTML report
+ *
+ * @param {string} html - HTML report
+ * @param {string} prefix - Start of the element id, e.g. 'metric-http_reqs-' or 'threshold-http_reqs-count'
+ * @returns {string} Markup from the element's id up to the next element with an id
+ */
+function reportItem(html, prefix) {
+    const start = html.indexOf(`id="${prefix}`);
+    assert.notEqual(start, -1, `no element with an id starting with ${prefix}`);
+    return html.slice(start, html.indexOf(' id="', start));
+}
+
+test('aggregateReport sums counters and rates exactly', () => {
+    const html = aggregateReport([
+        summary({ http_reqs: counter(600, 10), http_req_failed: rate(90, 10) }),
+        { name: 'eu-west', summary: JSON.stringify(summary({ http_reqs: counter(400, 5), http_req_failed: rate(70, 30) })) },
+    ]);
+    assert.match(reportItem(html, 'metric-http_reqs-'), /<td>1,000<\/td><td>15\/s<\/td><\/tr>/);
+    assert.match(reportItem(html, 'metric-http_req_failed-'), /<td>80\.00%<\/td><td>160<\/td><td>40<\/td><\/tr>/);
+    assert.match(html, /Source 1/);
+    assert.match(html, /eu-west/);
+});
+
+test('aggregateReport marks combined percentiles as upper bounds', () => {
+    const source = p95 => summary({ http_req_duration: trend({ avg: 100, min: 10, max: 900, 'p(95)': p95, count: 50 }) });
+    const row = reportItem(aggregateReport([source(300), source(500)]), 'metric-http_req_duration-');
+    assert.match(row, /<td class="metric-value-good">10\.00 ms<\/td>/);
+    assert.match(row, /<td>≤ 500\.00 ms<\/td><\/tr>/);
+});
+
+test('aggregateReport checks thresholds on exact stats against the combined values', () => {
+    const source = count => summary({ http_reqs: Object.assign(counter(count, 10), { thresholds: { 'count<1000': { ok: true } } }) });
+    assert.match(reportItem(aggregateReport([source(600), source(400)]), 'threshold-http_reqs-count'), /class="check-item failed"[\s\S]*Observed: <strong>1,000<\/strong>/);
+
+    // 11 failures out of 200 is 5.5%, even though one source passed
+    const failed = [rate(1, 99), rate(10, 90)].map(metric => summary({ http_req_failed: Object.assign(metric, { thresholds: { 'rate<0.05': { ok: metric.values.rate < 0.05 } } }) }));
+    assert.match(reportItem(aggregateReport(failed), 'threshold-http_req_failed-rate'), /class="check-item failed"[\s\S]*Observed: <strong>5\.50%<\/strong>/);
+});
+
+test('aggregateReport decides thresholds on estimated stats per source', () => {
+    const source = (p95, ok) => summary({ http_req_duration: Object.assign(trend({ avg: 100, 'p(95)': p95 }), { thresholds: { 'p(95)<500': { ok } } }) });
+    const passed = reportItem(aggregateReport([source(300, true), source(450, true)]), 'threshold-http_req_duration-p-95');
+    assert.doesNotMatch(passed, /check-item failed/);
+    assert.match(passed, /Passed on every source/);
+    assert.doesNotMatch(passed, /Margin/);
+
+    const html = aggregateReport([source(300, true), source(600, false)]);
+    assert.match(reportItem(html, 'threshold-http_req_duration-p-95'), /class="check-item failed"[\s\S]*Failed on at least one source/);
+    assert.match(html, /Thresholds on exact values are checked again against the combined values; thresholds on estimated values pass only if they passed on every source/);
+});
+
+/**
+ * Build history entries with the given p95 values and otherwise steady numbers
+ *
+ * @param {number[]} p95s - p95 latency of each run
+ * @returns {Object[]} Entries for historyReport
+ */
+function historyEntries(p95s) {
+    return p95s.map((p95, index) => ({
+        name: `run ${index + 1}`,
+        summary: summary({ http_reqs: counter(6000, 100), http_req_failed: rate(60, 5940), http_req_duration: trend({ avg: p95 / 2, 'p(95)': p95 }) }),
+    }));
+}
+
+/**
+ * List the regression badges of the runs table of a history page
+ *
+ * @param {string} html - History page
+ * @returns {string[]} Badge texts with their rolling median, newest run first
+ */
+function historyRegressions(html) {
+    return Array.from(html.matchAll(/<span class="badge badge-error" title="Rolling median: ([^"]+)">([^<]+)<\/span>/g), match => `${match[2]} vs ${match[1]}`);
+}
+
+test('historyReport flags a run worse than the rolling median by more than the tolerance', () => {
+    const html = historyReport(historyEntries([200, 210, 190, 260]));
+    assert.deepEqual(historyRegressions(html), ['p(95) Latency +30.0% vs 200.00 ms']);
+    assert.equal(html.match(/<tr class="failed">/g).length, 1);
+});
+
+test('historyReport needs enough earlier runs and respects the window', () => {
+    assert.deepEqual(historyRegressions(historyReport(historyEntries([100, 300]))), []);
+    // With window 2 only the two runs before the last count, and their median of 400 leaves the last run unflagged
+    const entries = historyEntries([100, 100, 400, 400, 420]);
+    assert.deepEqual(historyRegressions(historyReport(entries, { window: 2 })), ['p(95) Latency +60.0% vs 250.00 ms', 'p(95) Latency +300.0% vs 100.00 ms']);
+    assert.equal(historyRegressions(historyReport(entries))[0], 'p(95) Latency +68.0% vs 250.00 ms');
+});
+
+test('historyReport takes the tolerance from baselineTolerance or its alias tolerance', () => {
+    for (let options of [{ baselineTolerance: 50 }, { tolerance: 50 }, { baselineTolerance: { http_req_duration: 50 } }]) {
+        assert.deepEqual(historyRegressions(historyReport(historyEntries([200, 200, 200, 260]), options)), [], JSON.stringify(options));
+    }
+});
+
+test('historyReport shares the base stylesheet of the run report', () => {
+    const css = html => html.slice(html.indexOf('GLOBAL STYLES'), html.indexOf('/* Main container'));
+    const history = historyReport(historyEntries([200]));
+    assert.ok(css(history).length > 0);
+    assert.equal(css(history), css(htmlReport(summary({ http_reqs: counter(1, 1) }))));
+});
+
+test('the HTTP status breakdown counts status codes, status classes and error codes', () => {
+    const data = summary({
+        http_reqs: counter(1000, 16),
+        'http_reqs{status:200}': counter(800, 13),
+        'http_reqs{status:500}': counter(150, 2.5),
+        'http_req_failed{status:0}': rate(7, 0),
+        'http_reqs{error_code:1050}': counter(10, 0.2),
+        'http_reqs{status:200,method:GET}': counter(800, 13),
+    });
+    const statuses = JSON.parse(jsonReport(data)).httpStatuses;
+    assert.equal(statuses.total, 1000);
+    assert.deepEqual(statuses.statuses.map(entry => [entry.status, entry.statusClass, entry.count]), [['0', 'network', 7], ['200', '2xx', 800], ['500', '5xx', 150]]);
+    assert.deepEqual(statuses.classes.map(entry => [entry.id, entry.count, entry.share]), [['2xx', 800, 0.8], ['5xx', 150, 0.15], ['network', 7, 0.007]]);
+    assert.deepEqual(statuses.errorCodes, [{ code: '1050', meaning: 'HTTP request timed out', count: 10, metric: 'http_reqs{error_code:1050}' }]);
+});
+
+test('error codes are explained from the documented codes and code ranges', () => {
+    const data = summary({ http_reqs: counter(100, 10) });
+    for (let code of [1404, 1503, 1613, 1999]) {
+        data.metrics[`http_reqs{error_code:${code}}`] = counter(1, 0.1);
+    }
+    assert.deepEqual(JSON.parse(jsonReport(data)).httpStatuses.errorCodes.map(entry => entry.meaning), [
+        'HTTP 404 client error response',
+        'HTTP 503 server error response',
+        'HTTP/2 GoAway error (HTTP/2 error code 2)',
+        'Not a documented k6 error code',
+    ]);
+});
+
+test('the HTTP status breakdown is left out without status or error_code sub-metrics', () => {
+    const data = summary({ http_reqs: counter(10, 1), 'http_reqs{method:GET}': counter(10, 1) });
+    assert.equal(JSON.parse(jsonReport(data)).httpStatuses, undefined);
+    assert.doesNotMatch(htmlReport(data), /HTTP Status Breakdown/);
+});